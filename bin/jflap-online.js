@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * jflap-online - Run strings and test files on a machine from the command line
+ *
+ * Exit status: 0 when every expectation holds, 1 when a test fails and 2
+ * when the machine or a test file cannot be used.
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadFile, RegularExpression, TestSuite } = require('..');
+
+const USAGE = `Usage: jflap-online <machine.jff|machine.dot|machine.json> [options] [input ...]
+
+Runs each input on an automaton, grammar or regular expression and prints
+the result. Use ε, λ or "" for the empty string. Without inputs or test
+files, runs the tests saved in a .json file; with nothing to run, exits
+with status 2.
+
+Options:
+  -t, --tests <file>     Run a test file (may be repeated). Each line is an
+                         input and the expected result: accept or reject,
+                         then for Turing machines optionally the final tape;
+                         for Mealy/Moore machines the expected output.
+  -e, --expect <result>  Expect every input argument to be accepted or rejected
+      --max-steps <n>    Turing machines: stop a run after n steps
+      --max-configurations <n>
+                         Turing machines: stop a run with more than n
+                         live configurations
+      --json             Print the results as JSON
+  -h, --help             Show this help
+  -v, --version          Show the version`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArguments(args) {
+    const options = { file: null, inputs: [], testFiles: [], expect: null, json: false, maxSteps: null, maxConfigurations: null };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-v' || arg === '--version') {
+            options.version = true;
+        } else if (arg === '-t' || arg === '--tests') {
+            options.testFiles.push(value());
+        } else if (arg === '-e' || arg === '--expect') {
+            options.expect = value();
+            if (options.expect !== 'accept' && options.expect !== 'reject') {
+                throw new Error('--expect must be accept or reject');
+            }
+        } else if (arg === '--max-steps' || arg === '--max-configurations') {
+            const limit = Number(value());
+            if (!Number.isInteger(limit) || limit < 1) {
+                throw new Error(`${arg} must be a positive whole number`);
+            }
+            options[arg === '--max-steps' ? 'maxSteps' : 'maxConfigurations'] = limit;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--') {
+            options.inputs.push(...args.slice(i + 1));
+            break;
+        } else if (arg.startsWith('-') && arg.length > 1) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (options.file === null) {
+            options.file = arg;
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load the machine to run (an automaton, a grammar, or a regular expression
+ * as an NFA) and the tests saved with it
+ */
+function loadMachine(file) {
+    const result = loadFile(file);
+    switch (result.kind) {
+        case 'grammar':
+            return { machine: result.grammar, tests: result.tests };
+        case 'regex':
+            return { machine: RegularExpression.parse(result.expression).toNFA() };
+        default:
+            return { machine: result.automaton, tests: result.tests };
+    }
+}
+
+/**
+ * Describe a result as a line of output
+ */
+function formatResult(machine, result) {
+    const transducer = machine.type === 'mealy' || machine.type === 'moore';
+    const status = transducer
+        ? (result.accepted ? 'done' : 'halted')
+        : (result.accepted ? 'accept' : 'reject');
+
+    let line = `${status.padEnd(7)} ${TestSuite.writeString(result.input)}`;
+    if (result.actualOutput !== null) {
+        line += ` → ${TestSuite.writeString(result.actualOutput)}`;
+    }
+
+    if (!TestSuite.hasExpectation(result)) {
+        return line;
+    }
+
+    const expected = [];
+    if (!result.passed) {
+        if (result.expected !== null) expected.push(result.expected);
+        if (result.output !== null) expected.push(`output ${TestSuite.writeString(result.output)}`);
+    }
+    return `${result.passed ? 'PASS' : 'FAIL'}  ${line}${expected.length > 0 ? ` (expected ${expected.join(', ')})` : ''}`;
+}
+
+/**
+ * Run the command; returns the exit status
+ */
+function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.version) {
+        console.log(require('../package.json').version);
+        return 0;
+    }
+    if (!options.file) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    let machine;
+    const suites = [];
+    try {
+        const loaded = loadMachine(options.file);
+        machine = loaded.machine;
+
+        if (options.maxSteps !== null || options.maxConfigurations !== null) {
+            if (machine.type !== 'tm') {
+                throw new Error('--max-steps and --max-configurations only apply to Turing machines');
+            }
+            machine.setLimits(options.maxSteps || machine.maxSteps, options.maxConfigurations || machine.maxConfigurations);
+        }
+
+        // Without inputs or test files, run the tests saved in the JSON file
+        if (options.inputs.length === 0 && options.testFiles.length === 0 && loaded.tests) {
+            suites.push(loaded.tests);
+        }
+
+        const inputs = options.inputs.map(input => ({
+            input: TestSuite.readString(input),
+            expected: options.expect,
+            output: null
+        }));
+        suites.push(new TestSuite(inputs));
+
+        options.testFiles.forEach(file => {
+            suites.push(TestSuite.parse(fs.readFileSync(file, 'utf8')));
+        });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 2;
+    }
+
+    // A run that checks nothing must not look like a pass
+    if (suites.every(suite => suite.cases.length === 0)) {
+        console.error(`Error: nothing to run: give inputs or --tests, or a .json file with saved tests\n\n${USAGE}`);
+        return 2;
+    }
+
+    const validation = machine.validate();
+    validation.errors.forEach(error => console.error(`Warning: ${error}`));
+
+    let results;
+    try {
+        results = suites.flatMap(suite => suite.run(machine));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 2;
+    }
+
+    const { passed, total } = TestSuite.summarize(results);
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            file: path.basename(options.file),
+            type: machine.type,
+            results: results,
+            passed: passed,
+            total: total
+        }, null, 2));
+    } else {
+        results.forEach(result => console.log(formatResult(machine, result)));
+        if (total > 0) {
+            console.log(`\n${passed}/${total} tests passed`);
+        }
+    }
+
+    return passed === total ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
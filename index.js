@@ -0,0 +1,86 @@
+/**
+ * JFLAP Online for Node.js
+ *
+ * The browser scripts declare their classes as globals that refer to one
+ * another, so they are run in page order inside one VM context and the
+ * classes are exported from there. Nothing is added to Node's own globals.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as the <script> tags in index.html, without the UI
+const SCRIPTS = [
+    'js/core/State.js',
+    'js/core/Transition.js',
+    'js/core/Automaton.js',
+    'js/core/GraphLayout.js',
+    'js/core/RegularExpression.js',
+    'js/core/Grammar.js',
+    'js/core/CYKParser.js',
+    'js/core/XMLParser.js',
+    'js/core/JFLAPFormat.js',
+    'js/core/TikZFormat.js',
+    'js/core/DOTFormat.js',
+    'js/core/TestSuite.js',
+    'js/core/ComputationTree.js',
+    'js/core/Breakpoint.js',
+    'js/machines/DFA.js',
+    'js/machines/NFA.js',
+    'js/machines/PDA.js',
+    'js/machines/TuringMachine.js',
+    'js/machines/Transducer.js',
+    'js/machines/MealyMachine.js',
+    'js/machines/MooreMachine.js',
+    'js/conversions/SubsetConstruction.js',
+    'js/conversions/StateElimination.js',
+    'js/conversions/ThompsonConstruction.js',
+    'js/conversions/ChomskyNormalForm.js',
+    'js/conversions/GrammarToPDA.js',
+    'js/conversions/PDAToGrammar.js',
+    'js/conversions/FAToGrammar.js',
+    'js/conversions/GrammarToNFA.js',
+    'js/conversions/MealyToMoore.js',
+    'js/conversions/MooreToMealy.js'
+];
+
+const context = vm.createContext({ console });
+SCRIPTS.forEach(script => {
+    const filename = path.join(__dirname, script);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+});
+
+// Each script declares the class named after its file
+const classes = vm.runInContext(`({ ${SCRIPTS.map(script => path.basename(script, '.js')).join(', ')} })`, context);
+
+/**
+ * Read a .jff, .dot or .json file's text. Returns { kind: 'automaton', automaton },
+ * { kind: 'grammar', grammar } or { kind: 'regex', expression }; JSON files
+ * saved with batch tests also have a tests suite.
+ */
+function parseFile(name, content) {
+    if (name.toLowerCase().endsWith('.jff')) {
+        return classes.JFLAPFormat.parse(content);
+    }
+    if (/\.(dot|gv)$/i.test(name)) {
+        return { kind: 'automaton', automaton: classes.DOTFormat.parse(content) };
+    }
+
+    const json = JSON.parse(content);
+    const result = json.type === 'grammar'
+        ? { kind: 'grammar', grammar: classes.Grammar.fromJSON(json) }
+        : { kind: 'automaton', automaton: classes.Automaton.fromJSON(json) };
+    if (json.tests) {
+        result.tests = classes.TestSuite.fromJSON(json.tests);
+    }
+    return result;
+}
+
+/**
+ * Load a .jff, .dot or .json file from disk, as parseFile does
+ */
+function loadFile(file) {
+    return parseFile(path.basename(file), fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { ...classes, parseFile, loadFile };
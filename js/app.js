@@ -9,15 +9,32 @@ class JFLAPApp {
         this.renderer = new CanvasRenderer(this.canvas);
         this.editor = new CanvasEditor(this.canvas, this.renderer);
         this.simulator = new Simulator();
+        this.grammarEditor = new GrammarEditor();
+        this.cykView = new CYKView();
+        this.treeView = new ComputationTreeView();
+        this.treeView.onSelect = () => this.render();
+        this.subsetView = new SubsetConstructionView(this.editor);
+        this.documentsView = new DocumentsView();
+        this.store = new DocumentStore();
 
         // Current automaton
         this.automaton = null;
         this.machineType = 'dfa';
 
+        // Open documents: { id, name, automaton, batch, input, created, opened, saved }
+        this.tabs = [];
+        this.activeTab = null;
+        this.autosaveInterval = 2000;
+
         // Code editor state
         this.codeEditorVisible = false;
         this.currentCodeTab = 'json';
 
+        // Step-by-step conversion viewer state
+        this.conversionSteps = [];
+        this.conversionIndex = 0;
+        this.conversionTimer = null;
+
         // Initialize
         this.init();
     }
@@ -26,38 +43,47 @@ class JFLAPApp {
      * Initialize the application
      */
     init() {
+        this.addTab();
         this.createNewAutomaton('dfa');
         this.setupEventListeners();
         this.setupModals();
+        this.setupAutosave();
+        this.renderTabs();
         this.render();
+
+        // A shared link opens after the session is back, so restoring cannot replace it
+        this.restoreSession().then(() => this.openSharedLink());
     }
 
     /**
-     * Create a new automaton of the specified type
+     * Replace the current tab's automaton with a new one of the specified type
      */
-    createNewAutomaton(type) {
-        this.machineType = type;
-
+    createNewAutomaton(type, tapeCount = 1) {
+        let automaton;
         switch (type) {
             case 'dfa':
-                this.automaton = new DFA();
+                automaton = new DFA();
                 break;
             case 'nfa':
-                this.automaton = new NFA();
+                automaton = new NFA();
                 break;
             case 'pda':
-                this.automaton = new PDA();
+                automaton = new PDA();
                 break;
             case 'tm':
-                this.automaton = new TuringMachine();
+                automaton = new TuringMachine(tapeCount);
+                break;
+            case 'mealy':
+                automaton = new MealyMachine();
+                break;
+            case 'moore':
+                automaton = new MooreMachine();
                 break;
             default:
-                this.automaton = new DFA();
+                automaton = new DFA();
         }
 
-        this.editor.setAutomaton(this.automaton);
-        this.simulator.setAutomaton(this.automaton);
-        this.updateCodeEditor();
+        this.replaceAutomaton(automaton);
     }
 
     /**
@@ -76,6 +102,19 @@ class JFLAPApp {
             });
         }
 
+        // Number of Turing machine tapes
+        const tapeCountSelect = document.getElementById('tape-count');
+        if (tapeCountSelect) {
+            tapeCountSelect.addEventListener('change', (e) => {
+                if (this.automaton.states.length === 0 ||
+                    confirm('Changing the number of tapes will clear the current automaton. Continue?')) {
+                    this.createNewAutomaton('tm', parseInt(e.target.value));
+                } else {
+                    e.target.value = this.automaton.tapeCount;
+                }
+            });
+        }
+
         // Tool buttons
         document.getElementById('tool-select')?.addEventListener('click', () => this.editor.setTool('select'));
         document.getElementById('tool-state')?.addEventListener('click', () => this.editor.setTool('state'));
@@ -84,19 +123,84 @@ class JFLAPApp {
 
         // Header buttons
         document.getElementById('btn-new')?.addEventListener('click', () => this.newAutomaton());
+        document.getElementById('btn-documents')?.addEventListener('click', () => this.toggleDocuments());
         document.getElementById('btn-save')?.addEventListener('click', () => this.save());
         document.getElementById('btn-load')?.addEventListener('click', () => this.load());
         document.getElementById('btn-export')?.addEventListener('click', () => this.export());
+        document.getElementById('btn-share')?.addEventListener('click', () => this.share());
+        document.getElementById('btn-grammar')?.addEventListener('click', () => this.toggleGrammarPanel());
         document.getElementById('btn-help')?.addEventListener('click', () => this.showHelp());
         document.getElementById('btn-clear')?.addEventListener('click', () => this.clear());
 
+        // Undo/redo
+        document.getElementById('btn-undo')?.addEventListener('click', () => this.editor.undo());
+        document.getElementById('btn-redo')?.addEventListener('click', () => this.editor.redo());
+
+        // Conversions
+        document.getElementById('btn-to-dfa')?.addEventListener('click', () => this.startSubsetConstruction());
+        document.getElementById('btn-minimize')?.addEventListener('click', () => this.minimize());
+        document.getElementById('btn-to-regex')?.addEventListener('click', () => this.convertToRegex());
+        document.getElementById('btn-from-regex')?.addEventListener('click', () => this.convertFromRegex());
+        document.getElementById('btn-compare')?.addEventListener('click', () => this.compareWithFile());
+        document.getElementById('btn-to-grammar')?.addEventListener('click', () => this.convertToGrammar());
+        document.getElementById('btn-mealy-moore')?.addEventListener('click', () => this.convertMealyMoore());
+        document.getElementById('btn-apply-operation')?.addEventListener('click', () => this.applyOperation());
+        document.getElementById('btn-apply-layout')?.addEventListener('click', () => this.applyLayout());
+
+        // Subset construction view
+        this.subsetView.onLayoutChanged = () => {
+            this.renderer.resize();
+            this.render();
+        };
+        this.subsetView.onOpenResult = (dfa) => {
+            if (confirm(`Open the ${dfa.states.length}-state DFA in a new tab?`)) {
+                this.openAutomaton(dfa, `${this.activeTab.name} (DFA)`);
+            }
+        };
+
+        // Tabs and saved documents
+        document.getElementById('btn-new-tab')?.addEventListener('click', () => this.newAutomaton());
+        this.documentsView.onSelectTab = (id) => this.selectTab(id);
+        this.documentsView.onCloseTab = (id) => this.closeTab(id);
+        this.documentsView.onRename = (id) => this.renameDocument(id);
+        this.documentsView.onOpenDocument = (id) => this.openDocument(id);
+        this.documentsView.onDeleteDocument = (id) => this.deleteDocument(id);
+
+        // Grammar panel
+        document.getElementById('btn-grammar-save')?.addEventListener('click', () => this.save('grammar'));
+        document.getElementById('btn-grammar-load')?.addEventListener('click', () => this.load());
+        document.getElementById('btn-grammar-export')?.addEventListener('click', () => this.exportGrammar());
+        document.getElementById('btn-grammar-clear')?.addEventListener('click', () => this.clearGrammar());
+        document.getElementById('btn-grammar-cnf')?.addEventListener('click', () => this.convertGrammarToCNF());
+        document.getElementById('btn-grammar-to-pda')?.addEventListener('click', () => this.convertGrammarToPDA());
+        document.getElementById('btn-grammar-to-nfa')?.addEventListener('click', () => this.convertGrammarToNFA());
+        this.grammarEditor.onGrammarChanged = () => this.cykView.hide();
+        document.getElementById('regex-input')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.convertFromRegex();
+            }
+        });
+
+        // Conversion viewer
+        document.getElementById('btn-conversion-prev')?.addEventListener('click', () => this.showConversionStep(this.conversionIndex - 1));
+        document.getElementById('btn-conversion-next')?.addEventListener('click', () => this.showConversionStep(this.conversionIndex + 1));
+        document.getElementById('btn-conversion-play')?.addEventListener('click', () => this.toggleConversionPlayback());
+        document.getElementById('btn-close-conversion')?.addEventListener('click', () => this.closeConversionPanel());
+
         // Simulation buttons
         document.getElementById('btn-run')?.addEventListener('click', () => this.runSimulation());
+        document.getElementById('btn-run-fast')?.addEventListener('click', () => this.runToBreakpoint());
         document.getElementById('btn-step')?.addEventListener('click', () => this.stepSimulation());
+        document.getElementById('btn-step-back')?.addEventListener('click', () => this.stepBackSimulation());
         document.getElementById('btn-reset')?.addEventListener('click', () => this.resetSimulation());
 
         // Batch testing
         document.getElementById('btn-batch-run')?.addEventListener('click', () => this.runBatchTests());
+        document.getElementById('btn-batch-load')?.addEventListener('click', () => this.loadTests());
+        document.getElementById('btn-batch-save')?.addEventListener('click', () => this.saveTests());
+
+        // Computation tree
+        document.getElementById('btn-tree-build')?.addEventListener('click', () => this.buildComputationTree());
 
         // Code editor
         document.getElementById('btn-toggle-code')?.addEventListener('click', () => this.toggleCodeEditor());
@@ -118,6 +222,11 @@ class JFLAPApp {
         // Editor callbacks
         this.editor.onAutomatonChanged = () => {
             this.updateCodeEditor();
+            this.updateHistoryButtons();
+        };
+
+        this.editor.onHistoryRestored = () => {
+            this.simulator.reset();
         };
 
         this.editor.onRequestTransitionInput = (from, to) => {
@@ -133,6 +242,10 @@ class JFLAPApp {
             this.render();
         };
 
+        this.simulator.onRestore = () => {
+            this.render();
+        };
+
         // Custom events for modals
         document.addEventListener('openStateProperties', (e) => {
             this.showStateModal(e.detail.state);
@@ -160,150 +273,1096 @@ class JFLAPApp {
             } else if (e.key === 'ArrowRight' && !['INPUT', 'TEXTAREA'].includes(e.target.tagName)) {
                 e.preventDefault();
                 this.stepSimulation();
+            } else if (e.key === 'ArrowLeft' && !['INPUT', 'TEXTAREA'].includes(e.target.tagName)) {
+                e.preventDefault();
+                this.stepBackSimulation();
+            }
+        });
+
+        // Shared links pasted into an open page
+        window.addEventListener('hashchange', () => this.openSharedLink());
+
+        // Input field enter key
+        document.getElementById('input-string')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.runSimulation();
             }
         });
+    }
+
+    /**
+     * Setup modal interactions
+     */
+    setupModals() {
+        // Close buttons
+        document.querySelectorAll('.modal-close').forEach(btn => {
+            btn.addEventListener('click', () => this.closeAllModals());
+        });
+
+        // Click outside to close
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeAllModals();
+                }
+            });
+        });
+
+        // Help modal close
+        document.getElementById('help-modal')?.querySelector('.modal-close')?.addEventListener('click', () => {
+            document.getElementById('help-modal').classList.add('hidden');
+        });
+    }
+
+    /**
+     * Close all modals
+     */
+    closeAllModals() {
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.classList.add('hidden');
+        });
+    }
+
+    /**
+     * New automaton in a new tab
+     */
+    newAutomaton() {
+        this.saveTab(this.activeTab);
+        this.addTab();
+        this.createNewAutomaton(this.machineType);
+        this.renderTabs();
+        this.saveSession();
+    }
+
+    /**
+     * Clear all states and transitions
+     */
+    clear() {
+        if (confirm('Clear all states and transitions?')) {
+            this.automaton.clear();
+            this.automaton.saveToHistory();
+            this.editor.clearSelection();
+            this.render();
+            this.updateCodeEditor();
+            this.updateHistoryButtons();
+        }
+    }
+
+    /**
+     * Save the automaton (or the grammar) to file
+     */
+    save(target = 'automaton') {
+        const data = target === 'grammar' ? this.grammarEditor.grammar.toJSON() : this.automaton.toJSON();
+        data.tests = this.getSavedTests();
+        const json = JSON.stringify(data, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = target === 'grammar'
+            ? `grammar_${Date.now()}.json`
+            : `automaton_${this.machineType}_${Date.now()}.json`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load an automaton or a grammar from file
+     */
+    load() {
+        this.pickFile('.json,.jff,.dot,.gv', (name, content) => {
+            const documentName = name.replace(/\.[^.]+$/, '');
+            if (name.endsWith('.jff')) {
+                this.openJFLAPFile(content, documentName);
+                return;
+            }
+            if (/\.(dot|gv)$/.test(name)) {
+                this.openAutomaton(Automaton.fromDOT(content), documentName);
+                return;
+            }
+            const json = JSON.parse(content);
+            if (json.type === 'grammar') {
+                this.openGrammar(Grammar.fromJSON(json));
+            } else {
+                this.openAutomaton(Automaton.fromJSON(json), documentName);
+            }
+            if (json.tests) {
+                this.setTestSuite(TestSuite.fromJSON(json.tests));
+            }
+        });
+    }
+
+    /**
+     * Open a .jff file: automata go to the canvas, grammars to the grammar
+     * panel and regular expressions to the toolbar, built into an NFA
+     */
+    openJFLAPFile(content, name) {
+        const result = JFLAPFormat.parse(content);
+        if (result.kind === 'grammar') {
+            this.openGrammar(result.grammar);
+        } else if (result.kind === 'regex') {
+            const input = document.getElementById('regex-input');
+            if (input) input.value = result.expression;
+            this.convertFromRegex();
+        } else {
+            this.openAutomaton(result.automaton, name);
+        }
+    }
+
+    /**
+     * Copy a link with the automaton, input string and tests in its fragment
+     */
+    share() {
+        ShareLink.encode(this.automaton, this.getInputText(), this.getSavedTests()).then(hash => {
+            const url = location.href.replace(/#.*$/, '') + hash;
+            return navigator.clipboard.writeText(url).then(() => {
+                const btn = document.getElementById('btn-share');
+                if (btn) {
+                    const originalText = btn.textContent;
+                    btn.textContent = 'Link copied!';
+                    setTimeout(() => btn.textContent = originalText, 1500);
+                }
+            }, () => prompt('Copy the link to share this automaton:', url));
+        }).catch(error => alert('Error creating link: ' + error.message));
+    }
+
+    /**
+     * Open the automaton of a shared link (in the URL fragment) in a new tab
+     */
+    openSharedLink() {
+        if (!ShareLink.isShareFragment(location.hash)) return;
+
+        const hash = location.hash;
+        // Drop the fragment so reloading does not open the automaton again
+        history.replaceState(null, '', location.pathname + location.search);
+
+        ShareLink.decode(hash).then(shared => {
+            this.openAutomaton(shared.automaton, `Shared ${shared.automaton.type.toUpperCase()}`);
+            this.activeTab.input = shared.input;
+            this.activeTab.batch = shared.tests ? shared.tests.toText() : '';
+            this.showTabFields(this.activeTab);
+        }).catch(error => alert('Error opening shared link: ' + error.message));
+    }
+
+    /**
+     * Let the user choose a file and pass its name and text content to a callback
+     */
+    pickFile(accept, onLoad) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    onLoad(file.name, event.target.result);
+                } catch (error) {
+                    alert('Error loading file: ' + error.message);
+                }
+            };
+            reader.readAsText(file);
+        };
+
+        input.click();
+    }
+
+    /**
+     * Parse a .jff (JFLAP), .dot (Graphviz) or .json file into an automaton
+     */
+    parseAutomatonFile(name, content) {
+        if (name.endsWith('.jff')) {
+            return Automaton.fromJFLAPXML(content);
+        }
+        if (/\.(dot|gv)$/.test(name)) {
+            return Automaton.fromDOT(content);
+        }
+        const json = JSON.parse(content);
+        if (json.type === 'grammar') {
+            throw new Error('File contains a grammar, not an automaton');
+        }
+        return Automaton.fromJSON(json);
+    }
+
+    /**
+     * Show the grammar panel with the given grammar
+     */
+    openGrammar(grammar) {
+        this.cykView.hide();
+        this.grammarEditor.setGrammar(grammar);
+        this.setGrammarPanelVisible(true);
+    }
+
+    /**
+     * Show or hide the grammar panel
+     */
+    toggleGrammarPanel() {
+        this.setGrammarPanelVisible(!this.grammarEditor.isVisible());
+    }
+
+    /**
+     * Set grammar panel visibility, resizing the canvas to the remaining space
+     */
+    setGrammarPanelVisible(visible) {
+        this.grammarEditor.setVisible(visible);
+        document.getElementById('btn-grammar')?.classList.toggle('active', visible);
+        this.renderer.resize();
+        this.render();
+    }
+
+    /**
+     * Remove all productions from the grammar
+     */
+    clearGrammar() {
+        if (confirm('Clear all productions?')) {
+            this.openGrammar(new Grammar());
+        }
+    }
+
+    /**
+     * Replace the grammar with its Chomsky normal form, listing the steps taken
+     */
+    convertGrammarToCNF() {
+        const grammar = this.grammarEditor.grammar;
+        const validation = grammar.validate();
+        if (!validation.isValid) {
+            alert('Error converting grammar: ' + validation.errors[0]);
+            return;
+        }
+        if (ChomskyNormalForm.isCNF(grammar)) {
+            alert('The grammar is already in Chomsky normal form.');
+            return;
+        }
+
+        const conversion = new ChomskyNormalForm(grammar);
+        const result = conversion.convert();
+        const steps = conversion.steps.slice(1).map((step, i) => `${i + 1}. ${step.description}`).join('\n');
+        if (confirm(`Replace the grammar with its Chomsky normal form?\n\n${steps}\n\n${result.toText()}`)) {
+            this.openGrammar(result);
+        }
+    }
+
+    /**
+     * Parse a file into an automaton that is used alongside the canvas
+     */
+    parseSecondAutomatonFile(name, content) {
+        // Loading resets the global id counters; keep them ahead of the canvas
+        const nextStateId = State.nextId;
+        const nextTransitionId = Transition.nextId;
+        try {
+            return this.parseAutomatonFile(name, content);
+        } finally {
+            State.setIdCounter(Math.max(nextStateId, State.nextId));
+            Transition.setIdCounter(Math.max(nextTransitionId, Transition.nextId));
+        }
+    }
+
+    /**
+     * Apply the operation chosen in the toolbar; binary ones ask for a second file
+     */
+    applyOperation() {
+        if (this.machineType !== 'dfa' && this.machineType !== 'nfa') {
+            alert('Operations are only available for DFA and NFA.');
+            return;
+        }
+
+        const operation = document.getElementById('operation-select')?.value;
+        const asDFA = (automaton) => automaton.type === 'nfa' ? automaton.toDFA() : automaton;
+        const asNFA = (automaton) => automaton.type === 'dfa' ? automaton.toNFA() : automaton;
+
+        const openResult = (result) => {
+            if (confirm(`The result has ${result.states.length} state(s). Open it in a new tab?`)) {
+                this.openAutomaton(result, `${this.activeTab.name} (${operation})`);
+            }
+        };
+
+        try {
+            switch (operation) {
+                case 'complement':
+                    openResult(asDFA(this.automaton).complement());
+                    return;
+                case 'star':
+                    openResult(asNFA(this.automaton).star());
+                    return;
+            }
+        } catch (error) {
+            alert('Error applying operation: ' + error.message);
+            return;
+        }
+
+        this.pickFile('.json,.jff,.dot,.gv', (name, content) => {
+            const other = this.parseSecondAutomatonFile(name, content);
+
+            switch (operation) {
+                case 'union':
+                    openResult(this.automaton.type === 'dfa' && other.type === 'dfa'
+                        ? this.automaton.union(other)
+                        : asNFA(this.automaton).union(other));
+                    break;
+                case 'intersection':
+                    openResult(asDFA(this.automaton).intersection(other));
+                    break;
+                case 'difference':
+                    openResult(asDFA(this.automaton).difference(other));
+                    break;
+                case 'concatenation':
+                    openResult(asNFA(this.automaton).concatenate(other));
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Compare the current automaton against one loaded from a file
+     */
+    compareWithFile() {
+        if (this.machineType !== 'dfa' && this.machineType !== 'nfa') {
+            alert('Equivalence checking is only available for DFA and NFA.');
+            return;
+        }
+
+        this.pickFile('.json,.jff,.dot,.gv', (name, content) => {
+            const other = this.parseSecondAutomatonFile(name, content);
+            const result = this.automaton.checkEquivalence(other);
+            if (result.equivalent) {
+                alert(`Equivalent: the current automaton and ${name} accept the same language.`);
+            } else {
+                const word = result.counterexample === '' ? 'ε (empty string)' : `"${result.counterexample}"`;
+                const acceptedBy = result.acceptedByThis ? 'the current automaton' : name;
+                const rejectedBy = result.acceptedByThis ? name : 'the current automaton';
+                alert(`Not equivalent: ${word} is accepted by ${acceptedBy} but rejected by ${rejectedBy}.`);
+            }
+        });
+    }
+
+    /**
+     * Make an automaton the one being edited and simulated, keeping its undo history
+     */
+    showAutomaton(automaton) {
+        this.closeConversionPanel();
+        this.subsetView.close();
+        this.automaton = automaton;
+        this.machineType = automaton.type;
+        document.getElementById('machine-type').value = automaton.type;
+        this.updateTapeCountSelect();
+
+        automaton.syncIdCounters();
+        this.editor.setAutomaton(automaton);
+        this.simulator.setAutomaton(automaton);
+        this.treeView.setAutomaton(automaton);
+        this.render();
+        this.updateCodeEditor();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Replace the current tab's automaton, starting a new undo history
+     */
+    replaceAutomaton(automaton) {
+        // Files without positions would stack every state on one spot
+        if (automaton.needsLayout()) {
+            automaton.layoutStates({ algorithm: this.getLayoutAlgorithm(), automatic: true });
+        }
+        automaton.resetHistory();
+        this.activeTab.automaton = automaton;
+        this.showAutomaton(automaton);
+    }
+
+    /**
+     * Open an automaton in a new tab; an empty, untouched tab is reused
+     */
+    openAutomaton(automaton, name = automaton.type.toUpperCase()) {
+        if (!this.isBlankTab(this.activeTab)) {
+            // The new tab starts with the same tests, e.g. to check a minimized DFA
+            this.addTab({ name: name, batch: this.getBatchText(), input: this.getInputText() });
+        } else {
+            this.activeTab.name = name;
+        }
+        this.replaceAutomaton(automaton);
+        this.renderTabs();
+        this.saveSession();
+    }
+
+    /**
+     * Get the text of the batch panel
+     */
+    getBatchText() {
+        const textarea = document.getElementById('batch-inputs');
+        return textarea ? textarea.value : '';
+    }
+
+    /**
+     * Get the text of the simulation input field
+     */
+    getInputText() {
+        const input = document.getElementById('input-string');
+        return input ? input.value : '';
+    }
+
+    /**
+     * Keep the batch panel and input field with the current tab
+     */
+    storeTabFields() {
+        if (!this.activeTab) return;
+        this.activeTab.batch = this.getBatchText();
+        this.activeTab.input = this.getInputText();
+    }
+
+    /**
+     * Show a tab's batch tests and input string
+     */
+    showTabFields(tab) {
+        const textarea = document.getElementById('batch-inputs');
+        const input = document.getElementById('input-string');
+        const results = document.getElementById('batch-results');
+        if (textarea) textarea.value = tab.batch;
+        if (input) input.value = tab.input;
+        if (results) results.innerHTML = '';
+    }
+
+    /**
+     * Check if a tab holds nothing worth saving
+     */
+    isBlankTab(tab) {
+        if (tab === this.activeTab) {
+            this.storeTabFields();
+        }
+        return tab.automaton.states.length === 0 && !tab.automaton.canUndo() && tab.batch.trim() === '';
+    }
+
+    /**
+     * Add a tab and make it the current one; the caller sets its automaton
+     */
+    addTab({ id = DocumentStore.createId(), name = 'Untitled', batch = '', input = '', created = Date.now() } = {}) {
+        this.storeTabFields();
+        this.activeTab = { id, name, automaton: null, batch, input, created, opened: Date.now(), saved: null };
+        this.tabs.push(this.activeTab);
+        this.showTabFields(this.activeTab);
+    }
+
+    /**
+     * Switch to another tab, saving the one being left
+     */
+    selectTab(id) {
+        const tab = this.tabs.find(t => t.id === id);
+        if (!tab || tab === this.activeTab) return;
+
+        this.saveTab(this.activeTab);
+        this.showTab(tab);
+    }
+
+    /**
+     * Make a tab the current one
+     */
+    showTab(tab) {
+        this.activeTab = tab;
+        tab.opened = Date.now();
+        this.showTabFields(tab);
+        this.showAutomaton(tab.automaton);
+        this.renderTabs();
+        this.saveSession();
+    }
+
+    /**
+     * Close a tab; its document stays in the sidebar. Resolves once it is saved.
+     */
+    closeTab(id) {
+        const index = this.tabs.findIndex(t => t.id === id);
+        if (index === -1) return Promise.resolve();
+
+        const tab = this.tabs[index];
+        const saved = this.saveTab(tab);
+        this.tabs.splice(index, 1);
+
+        if (this.tabs.length === 0) {
+            this.activeTab = null;
+            this.addTab();
+            this.createNewAutomaton('dfa');
+            this.renderTabs();
+            this.saveSession();
+        } else if (tab === this.activeTab) {
+            this.showTab(this.tabs[Math.min(index, this.tabs.length - 1)]);
+        } else {
+            this.renderTabs();
+            this.saveSession();
+        }
+        return saved;
+    }
+
+    /**
+     * Open a saved document in a new tab, or switch to it if it is open
+     */
+    openDocument(id) {
+        if (this.tabs.some(t => t.id === id)) {
+            this.selectTab(id);
+            return;
+        }
+
+        this.store.getDocument(id).then(doc => {
+            if (!doc) return;
+            this.saveTab(this.activeTab);
+            this.openDocumentTab(doc);
+            this.renderTabs();
+            this.saveSession();
+        }).catch(error => alert('Error opening document: ' + error.message));
+    }
+
+    /**
+     * Add a tab for a saved document
+     */
+    openDocumentTab(doc) {
+        const automaton = Automaton.fromJSON(doc.automaton);
+        this.addTab(doc);
+        this.replaceAutomaton(automaton);
+        this.activeTab.saved = JSON.stringify(this.getTabContent(this.activeTab));
+    }
+
+    /**
+     * Rename an open tab or a saved document
+     */
+    renameDocument(id) {
+        const tab = this.tabs.find(t => t.id === id);
+        const loading = tab ? Promise.resolve(tab) : this.store.getDocument(id);
+
+        loading.then(doc => {
+            if (!doc) return undefined;
+            const name = prompt('Document name:', doc.name);
+            if (!name || name.trim() === '') return undefined;
+
+            doc.name = name.trim();
+            if (tab) {
+                this.renderTabs();
+                return this.saveTab(tab);
+            }
+            return this.store.saveDocument(doc);
+        }).then(() => this.refreshDocuments())
+            .catch(error => alert('Error renaming document: ' + error.message));
+    }
+
+    /**
+     * Delete a saved document, closing its tab
+     */
+    deleteDocument(id) {
+        this.store.getDocument(id).then(doc => {
+            if (!doc || !confirm(`Delete "${doc.name}"? This cannot be undone.`)) return undefined;
+            return this.closeTab(id).then(() => this.store.deleteDocument(id));
+        }).then(() => this.refreshDocuments())
+            .catch(error => alert('Error deleting document: ' + error.message));
+    }
+
+    /**
+     * Get what is saved of a tab
+     */
+    getTabContent(tab) {
+        if (tab === this.activeTab) {
+            this.storeTabFields();
+        }
+        return {
+            name: tab.name,
+            type: tab.automaton.type,
+            automaton: tab.automaton.toJSON(),
+            batch: tab.batch,
+            input: tab.input,
+            opened: tab.opened
+        };
+    }
+
+    /**
+     * Save a tab to the browser if it changed since the last save
+     */
+    saveTab(tab) {
+        if (!tab || this.isBlankTab(tab)) return Promise.resolve();
+
+        const content = this.getTabContent(tab);
+        const key = JSON.stringify(content);
+        if (key === tab.saved) return Promise.resolve();
+
+        tab.saved = key;
+        const doc = Object.assign(content, { id: tab.id, created: tab.created, updated: Date.now() });
+        return this.store.saveDocument(doc)
+            .then(() => this.refreshDocuments())
+            .catch(error => {
+                tab.saved = null;
+                this.documentsView.showStatus('Autosave failed: ' + error.message);
+            });
+    }
+
+    /**
+     * Remember which tabs are open
+     */
+    saveSession() {
+        this.store.saveSession({ openIds: this.tabs.map(t => t.id), activeId: this.activeTab.id })
+            .catch(error => this.documentsView.showStatus('Autosave failed: ' + error.message));
+    }
+
+    /**
+     * Save the current tab every few seconds and when the page is hidden,
+     * and keep this page's running mark fresh
+     */
+    setupAutosave() {
+        setInterval(() => this.saveTab(this.activeTab), this.autosaveInterval);
+        setInterval(() => this.store.heartbeat(), DocumentStore.HEARTBEAT);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveTab(this.activeTab);
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.saveTab(this.activeTab);
+            this.store.markClosed();
+        });
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) this.store.heartbeat();
+        });
+    }
+
+    /**
+     * Reopen the tabs of the last session, replacing the empty start tab.
+     * Returns a promise that settles once the tabs are open.
+     */
+    restoreSession() {
+        const crashed = this.store.markRunning();
+        let activeId = null;
+
+        return this.store.getSession().then(session => {
+            if (!session) return [];
+            activeId = session.activeId;
+            return Promise.all(session.openIds.map(id => this.store.getDocument(id)));
+        }).then(documents => {
+            const initial = this.activeTab;
+            let restored = 0;
+            documents.filter(Boolean).forEach(doc => {
+                try {
+                    this.openDocumentTab(doc);
+                    restored++;
+                } catch (error) {
+                    // Skip documents that no longer load
+                }
+            });
+            if (restored === 0) return;
+
+            let active = initial;
+            if (this.isBlankTab(initial)) {
+                this.tabs.splice(this.tabs.indexOf(initial), 1);
+                active = this.tabs.find(t => t.id === activeId) || this.tabs[0];
+            }
+            this.showTab(active);
+
+            this.documentsView.showStatus(crashed
+                ? `Recovered ${restored} document(s) after the page closed unexpectedly`
+                : `Restored ${restored} document(s) from the last session`);
+            setTimeout(() => this.documentsView.showStatus(''), 8000);
+        }).catch(error => this.documentsView.showStatus('Could not restore the last session: ' + error.message));
+    }
+
+    /**
+     * Show the open tabs
+     */
+    renderTabs() {
+        this.documentsView.renderTabs(this.tabs, this.activeTab.id);
+    }
+
+    /**
+     * Show or hide the documents sidebar
+     */
+    toggleDocuments() {
+        this.documentsView.toggleSidebar();
+        document.getElementById('btn-documents')?.classList.toggle('active', this.documentsView.isSidebarOpen());
+        this.renderer.resize();
+        this.render();
+        this.refreshDocuments();
+    }
+
+    /**
+     * List the saved documents in the sidebar when it is shown
+     */
+    refreshDocuments() {
+        if (!this.documentsView.isSidebarOpen()) return Promise.resolve();
+
+        return this.store.listDocuments()
+            .then(documents => this.documentsView.renderDocuments(documents, this.tabs.map(t => t.id)));
+    }
+
+    /**
+     * Get the layout chosen in the toolbar
+     */
+    getLayoutAlgorithm() {
+        return document.getElementById('layout-select')?.value || 'layered';
+    }
+
+    /**
+     * Arrange the states with the chosen layout, as one undoable step
+     */
+    applyLayout() {
+        if (this.automaton.states.length === 0) return;
+
+        this.automaton.layoutStates({ algorithm: this.getLayoutAlgorithm() });
+        this.automaton.saveToHistory();
+        this.render();
+        this.updateCodeEditor();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Show the number of tapes when editing a Turing machine
+     */
+    updateTapeCountSelect() {
+        const isTM = this.automaton.type === 'tm';
+        document.getElementById('tape-count-group')?.classList.toggle('hidden', !isTM);
+
+        const select = document.getElementById('tape-count');
+        if (select && isTM) {
+            select.value = this.automaton.tapeCount;
+        }
+    }
+
+    /**
+     * Build the DFA for the NFA one subset state at a time in a second canvas
+     */
+    startSubsetConstruction() {
+        if (this.machineType !== 'nfa') {
+            alert('The subset construction is only available for NFA.');
+            return;
+        }
+
+        try {
+            this.closeConversionPanel();
+            this.simulator.reset();
+            this.subsetView.open(this.automaton);
+        } catch (error) {
+            this.subsetView.close();
+            alert('Error converting: ' + error.message);
+        }
+    }
+
+    /**
+     * Replace the canvas with the minimal equivalent DFA
+     */
+    minimize() {
+        if (this.machineType !== 'dfa' && this.machineType !== 'nfa') {
+            alert('Minimization is only available for DFA and NFA.');
+            return;
+        }
+
+        try {
+            const dfa = this.machineType === 'nfa' ? this.automaton.toDFA() : this.automaton;
+            const minimized = dfa.minimize();
+            if (confirm(`The minimal DFA has ${minimized.states.length} state(s). Open it in a new tab?`)) {
+                this.openAutomaton(minimized, `${this.activeTab.name} (minimized)`);
+            }
+        } catch (error) {
+            alert('Error minimizing: ' + error.message);
+        }
+    }
+
+    /**
+     * Convert the current DFA/NFA to a regular expression, showing each elimination step
+     */
+    convertToRegex() {
+        if (this.machineType !== 'dfa' && this.machineType !== 'nfa') {
+            alert('Conversion to a regular expression is only available for DFA and NFA.');
+            return;
+        }
+
+        try {
+            const elimination = new StateElimination(this.automaton);
+            const regex = elimination.run().toString();
+            const steps = elimination.steps.map(step => ({
+                description: step.description,
+                automaton: StateElimination.stepToAutomaton(step)
+            }));
+            this.showConversionSteps('State Elimination', steps, regex);
+        } catch (error) {
+            alert('Error converting: ' + error.message);
+        }
+    }
 
-        // Input field enter key
-        document.getElementById('input-string')?.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                this.runSimulation();
-            }
-        });
+    /**
+     * Build an NFA from the regular expression in the toolbar and open it
+     */
+    convertFromRegex() {
+        const input = document.getElementById('regex-input');
+        if (!input) return;
+
+        try {
+            const nfa = RegularExpression.parse(input.value).toNFA();
+            this.openAutomaton(nfa, input.value.trim() || 'ε');
+        } catch (error) {
+            alert('Error parsing regular expression: ' + error.message);
+        }
     }
 
     /**
-     * Setup modal interactions
+     * Convert the automaton to a grammar: right-linear for DFA/NFA, by triples for PDA
      */
-    setupModals() {
-        // Close buttons
-        document.querySelectorAll('.modal-close').forEach(btn => {
-            btn.addEventListener('click', () => this.closeAllModals());
-        });
+    convertToGrammar() {
+        if (!['dfa', 'nfa', 'pda'].includes(this.machineType)) {
+            alert('Conversion to a grammar is only available for DFA, NFA and PDA.');
+            return;
+        }
 
-        // Click outside to close
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    this.closeAllModals();
-                }
-            });
-        });
+        if (this.grammarEditor.grammar.productions.length > 0 &&
+            !confirm('Open the generated grammar? The current grammar will be replaced.')) {
+            return;
+        }
 
-        // Help modal close
-        document.getElementById('help-modal')?.querySelector('.modal-close')?.addEventListener('click', () => {
-            document.getElementById('help-modal').classList.add('hidden');
-        });
+        if (this.machineType === 'pda') {
+            this.convertPDAToGrammar();
+            return;
+        }
+
+        try {
+            const conversion = new FAToGrammar(this.automaton);
+            const grammar = conversion.convert();
+            const states = Array.from(conversion.variableStates)
+                .map(([variable, state]) => `${variable} = ${state}`)
+                .join('\n');
+
+            this.openGrammar(grammar);
+            this.showConversionSteps('Automaton to Grammar', [
+                { description: 'Each state is a variable; A → aB for each transition, A → ε for final states', automaton: this.automaton }
+            ], states);
+        } catch (error) {
+            alert('Error converting: ' + error.message);
+        }
     }
 
     /**
-     * Close all modals
+     * Convert the PDA to a grammar, showing the normalized PDA the triples are built from
      */
-    closeAllModals() {
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.classList.add('hidden');
-        });
+    convertPDAToGrammar() {
+        try {
+            const conversion = new PDAToGrammar(this.automaton);
+            const grammar = conversion.convert();
+
+            const notes = conversion.notes.length > 0 ? conversion.notes.join('; ') : 'already in normal form';
+            const steps = [
+                { description: 'Original PDA', automaton: this.automaton },
+                { description: `Normalized to accept by empty stack: ${notes}`, automaton: conversion.normalized }
+            ];
+            const triples = Array.from(conversion.variableTriples)
+                .map(([variable, triple]) => `${variable} = ${triple}`)
+                .join('\n');
+
+            this.openGrammar(grammar);
+            this.showConversionSteps('PDA to Grammar', steps, triples);
+            this.showConversionStep(steps.length - 1);
+        } catch (error) {
+            alert('Error converting: ' + error.message);
+        }
     }
 
     /**
-     * New automaton
+     * Build the single-state PDA for the grammar and open it
      */
-    newAutomaton() {
-        if (confirm('Create new automaton? Current work will be lost.')) {
-            this.createNewAutomaton(this.machineType);
+    convertGrammarToPDA() {
+        try {
+            const pda = new GrammarToPDA(this.grammarEditor.grammar).build();
+            this.openAutomaton(pda, 'Grammar PDA (empty stack)');
+        } catch (error) {
+            alert('Error converting grammar: ' + error.message);
         }
     }
 
     /**
-     * Clear all states and transitions
+     * Build an NFA from the right- or left-linear grammar and open it
      */
-    clear() {
-        if (confirm('Clear all states and transitions?')) {
-            this.automaton.clear();
-            this.editor.clearSelection();
-            this.render();
-            this.updateCodeEditor();
+    convertGrammarToNFA() {
+        try {
+            const nfa = this.grammarEditor.grammar.toNFA();
+            this.openAutomaton(nfa, 'Grammar NFA');
+        } catch (error) {
+            alert('Error converting grammar: ' + error.message);
         }
     }
 
     /**
-     * Save automaton to file
+     * Convert a Mealy machine to a Moore machine or back and open the result
      */
-    save() {
-        const json = JSON.stringify(this.automaton.toJSON(), null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+    convertMealyMoore() {
+        if (!this.automaton.isTransducer()) {
+            alert('Mealy ↔ Moore conversion is only available for Mealy and Moore machines.');
+            return;
+        }
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `automaton_${this.machineType}_${Date.now()}.json`;
-        a.click();
+        try {
+            let result;
+            let message;
+            if (this.machineType === 'mealy') {
+                result = this.automaton.toMoore();
+                message = `Open the equivalent Moore machine (${result.states.length} states)?`;
+            } else {
+                const conversion = new MooreToMealy(this.automaton);
+                result = conversion.convert();
+                message = 'Open the equivalent Mealy machine?';
+                if (conversion.initialOutput) {
+                    message += ` It does not write the initial output '${conversion.initialOutput}'.`;
+                }
+            }
 
-        URL.revokeObjectURL(url);
+            if (!confirm(message + ' It opens in a new tab.')) {
+                return;
+            }
+            this.openAutomaton(result, `${this.activeTab.name} (${result.type === 'moore' ? 'Moore' : 'Mealy'})`);
+        } catch (error) {
+            alert('Error converting: ' + error.message);
+        }
     }
 
     /**
-     * Load automaton from file
+     * Open the conversion viewer on a list of { description, automaton } steps
      */
-    load() {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json,.jff';
+    showConversionSteps(title, steps, result = '') {
+        this.subsetView.close();
+        this.stopConversionPlayback();
+        this.conversionSteps = steps;
 
-        input.onchange = (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
+        document.getElementById('conversion-title').textContent = title;
+        document.getElementById('conversion-result').textContent = result;
+        document.getElementById('conversion-panel').classList.remove('hidden');
 
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const content = event.target.result;
-
-                    if (file.name.endsWith('.jff')) {
-                        // Load JFLAP format
-                        this.automaton = Automaton.fromJFLAPXML(content);
-                    } else {
-                        // Load JSON format
-                        const json = JSON.parse(content);
-                        this.createNewAutomaton(json.type || 'dfa');
-                        this.automaton.loadFromJSON(json);
-                    }
-
-                    // Update UI
-                    document.getElementById('machine-type').value = this.automaton.type;
-                    this.machineType = this.automaton.type;
-                    this.editor.setAutomaton(this.automaton);
-                    this.simulator.setAutomaton(this.automaton);
-                    this.render();
-                    this.updateCodeEditor();
-                } catch (error) {
-                    alert('Error loading file: ' + error.message);
-                }
-            };
-            reader.readAsText(file);
-        };
+        this.showConversionStep(0);
+    }
 
-        input.click();
+    /**
+     * Show one step of the conversion on the canvas
+     */
+    showConversionStep(index) {
+        if (this.conversionSteps.length === 0) return;
+
+        this.conversionIndex = Math.max(0, Math.min(index, this.conversionSteps.length - 1));
+        const step = this.conversionSteps[this.conversionIndex];
+
+        document.getElementById('conversion-description').textContent =
+            `Step ${this.conversionIndex + 1}/${this.conversionSteps.length}: ${step.description}`;
+        document.getElementById('btn-conversion-prev').disabled = this.conversionIndex === 0;
+        document.getElementById('btn-conversion-next').disabled = this.conversionIndex === this.conversionSteps.length - 1;
+
+        this.editor.setPreview(step.automaton);
+    }
+
+    /**
+     * Play or pause automatic stepping through the conversion
+     */
+    toggleConversionPlayback() {
+        if (this.conversionTimer) {
+            this.stopConversionPlayback();
+            return;
+        }
+
+        if (this.conversionIndex === this.conversionSteps.length - 1) {
+            this.showConversionStep(0);
+        }
+
+        document.getElementById('btn-conversion-play').textContent = 'Pause';
+        this.conversionTimer = setInterval(() => {
+            this.showConversionStep(this.conversionIndex + 1);
+            if (this.conversionIndex === this.conversionSteps.length - 1) {
+                this.stopConversionPlayback();
+            }
+        }, 1200);
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    stopConversionPlayback() {
+        if (this.conversionTimer) {
+            clearInterval(this.conversionTimer);
+            this.conversionTimer = null;
+        }
+        const playButton = document.getElementById('btn-conversion-play');
+        if (playButton) playButton.textContent = 'Play';
+    }
+
+    /**
+     * Close the conversion viewer and go back to editing
+     */
+    closeConversionPanel() {
+        this.stopConversionPlayback();
+        this.conversionSteps = [];
+        document.getElementById('conversion-panel').classList.add('hidden');
+        this.editor.setPreview(null);
     }
 
     /**
      * Export automaton
      */
     export() {
-        const format = prompt('Export format (json/jflap):', 'json');
+        const format = prompt('Export format (json/jflap/dot/tikz/svg/png/pdf):', 'json');
         if (!format) return;
 
+        if (['svg', 'png', 'pdf'].includes(format.toLowerCase())) {
+            this.exportImage(format.toLowerCase());
+            return;
+        }
+
         let content, filename, type;
 
         if (format.toLowerCase() === 'jflap' || format.toLowerCase() === 'jff') {
             content = this.automaton.toJFLAPXML();
             filename = `automaton_${this.machineType}.jff`;
             type = 'application/xml';
+        } else if (format.toLowerCase() === 'dot' || format.toLowerCase() === 'gv') {
+            content = this.automaton.toDOT();
+            filename = `automaton_${this.machineType}.dot`;
+            type = 'text/vnd.graphviz';
+        } else if (format.toLowerCase() === 'tikz' || format.toLowerCase() === 'tex') {
+            content = this.automaton.toTikZ();
+            filename = `automaton_${this.machineType}.tex`;
+            type = 'text/x-tex';
         } else {
-            content = JSON.stringify(this.automaton.toJSON(), null, 2);
+            content = JSON.stringify({ ...this.automaton.toJSON(), tests: this.getSavedTests() }, null, 2);
             filename = `automaton_${this.machineType}.json`;
             type = 'application/json';
         }
 
+        this.downloadFile(content, filename, type);
+    }
+
+    /**
+     * Export the automaton as a picture: SVG, PNG (transparent, at a chosen scale) or PDF
+     */
+    exportImage(format) {
+        const filename = `automaton_${this.machineType}.${format}`;
+        try {
+            if (format === 'svg') {
+                this.downloadFile(ImageExport.toSVG(this.automaton), filename, 'image/svg+xml');
+            } else if (format === 'pdf') {
+                this.downloadFile(ImageExport.toPDF(this.automaton), filename, 'application/pdf');
+            } else {
+                const scale = parseFloat(prompt('PNG scale factor (1 = screen size):', '2'));
+                if (!(scale > 0)) return;
+                ImageExport.toPNG(this.automaton, scale)
+                    .then(blob => this.downloadFile(blob, filename, 'image/png'))
+                    .catch(error => alert('Error exporting image: ' + error.message));
+            }
+        } catch (error) {
+            alert('Error exporting image: ' + error.message);
+        }
+    }
+
+    /**
+     * Export the grammar as a JFLAP .jff file
+     */
+    exportGrammar() {
+        try {
+            this.downloadFile(this.grammarEditor.grammar.toJFLAPXML(), `grammar_${Date.now()}.jff`, 'application/xml');
+        } catch (error) {
+            alert('Error exporting grammar: ' + error.message);
+        }
+    }
+
+    /**
+     * Offer text content (or a Blob) as a file download
+     */
+    downloadFile(content, filename, type) {
         const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
 
@@ -326,12 +1385,47 @@ class JFLAPApp {
      * Run simulation
      */
     runSimulation() {
+        // Continue a run paused at a breakpoint
+        if (this.simulator.isRunning && this.simulator.isPaused) {
+            this.simulator.resume();
+            return;
+        }
+
+        if (!this.validateBreakpointCondition()) return;
+
         const input = document.getElementById('input-string').value;
         this.simulator.init(input);
         this.simulator.run();
         this.render();
     }
 
+    /**
+     * Run at full speed until a breakpoint or the end of the run; a paused
+     * run goes on from where it is
+     */
+    runToBreakpoint() {
+        if (!this.validateBreakpointCondition()) return;
+
+        if (!(this.simulator.isRunning && this.simulator.isPaused)) {
+            this.simulator.init(document.getElementById('input-string').value);
+        }
+        this.simulator.runToBreakpoint();
+        this.render();
+    }
+
+    /**
+     * Check the condition typed in the simulator panel before a run
+     */
+    validateBreakpointCondition() {
+        const condition = document.getElementById('breakpoint-condition')?.value || '';
+        const error = Breakpoint.validate(condition, this.automaton.type);
+        if (error) {
+            alert('Error in breakpoint condition: ' + error);
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Step simulation
      */
@@ -340,6 +1434,14 @@ class JFLAPApp {
         this.render();
     }
 
+    /**
+     * Step simulation back
+     */
+    stepBackSimulation() {
+        this.simulator.stepBack();
+        this.render();
+    }
+
     /**
      * Reset simulation
      */
@@ -348,26 +1450,132 @@ class JFLAPApp {
         this.render();
     }
 
+    /**
+     * Build the computation tree of the NFA or PDA on the input
+     */
+    buildComputationTree() {
+        const input = document.getElementById('input-string').value;
+        try {
+            this.simulator.reset();
+            this.treeView.build(input);
+        } catch (error) {
+            alert('Error building computation tree: ' + error.message);
+        }
+        this.render();
+    }
+
+    /**
+     * Parse the batch panel as a test suite; an empty panel tests the empty string
+     */
+    getTestSuite() {
+        const textarea = document.getElementById('batch-inputs');
+        const suite = TestSuite.parse(textarea ? textarea.value : '');
+        if (suite.cases.length === 0) {
+            suite.cases.push({ input: '', expected: null, output: null });
+        }
+        return suite;
+    }
+
+    /**
+     * Show a test suite in the batch panel
+     */
+    setTestSuite(suite) {
+        const textarea = document.getElementById('batch-inputs');
+        if (textarea) textarea.value = suite.toText();
+    }
+
+    /**
+     * Get the batch panel's tests for saving with the automaton or grammar
+     */
+    getSavedTests() {
+        const textarea = document.getElementById('batch-inputs');
+        if (!textarea || textarea.value.trim() === '') return undefined;
+        try {
+            return TestSuite.parse(textarea.value).toJSON();
+        } catch (error) {
+            alert('The batch tests were not saved: ' + error.message);
+            return undefined;
+        }
+    }
+
     /**
      * Run batch tests
      */
     runBatchTests() {
-        const textarea = document.getElementById('batch-inputs');
         const resultsContainer = document.getElementById('batch-results');
+        if (!resultsContainer) return;
 
-        if (!textarea || !resultsContainer) return;
-
-        const inputs = textarea.value.split('\n').filter(s => s.length > 0 || textarea.value.includes('\n'));
+        let suite;
+        try {
+            suite = this.getTestSuite();
+        } catch (error) {
+            alert('Error in test suite: ' + error.message);
+            return;
+        }
 
-        // Include empty string if explicitly entered
-        if (textarea.value === '' || textarea.value.startsWith('\n')) {
-            inputs.unshift('');
+        if (this.grammarEditor.isVisible()) {
+            this.runGrammarBatchTests(suite, resultsContainer);
+            return;
         }
 
-        const results = this.simulator.runBatchTests(inputs);
+        let results;
+        try {
+            results = this.simulator.runBatchTests(suite);
+        } catch (error) {
+            alert('Error in test suite: ' + error.message);
+            return;
+        }
         this.simulator.displayBatchResults(results, resultsContainer);
     }
 
+    /**
+     * Test the suite against the grammar with CYK; clicking a result shows its table
+     */
+    runGrammarBatchTests(suite, resultsContainer) {
+        const grammar = this.grammarEditor.grammar;
+        let parser, results;
+        try {
+            parser = new CYKParser(grammar);
+            results = suite.run(grammar);
+        } catch (error) {
+            alert('Error testing grammar: ' + error.message);
+            return;
+        }
+
+        this.cykView.hide();
+        this.simulator.displayBatchResults(results, resultsContainer, result => this.cykView.show(parser.parse(result.input)));
+    }
+
+    /**
+     * Load a test file into the batch panel
+     */
+    loadTests() {
+        this.pickFile('.txt,.tests', (name, content) => {
+            this.setTestSuite(TestSuite.parse(content));
+        });
+    }
+
+    /**
+     * Save the batch panel as a test file
+     */
+    saveTests() {
+        try {
+            this.downloadFile(this.getTestSuite().toText() + '\n', 'tests.txt', 'text/plain');
+        } catch (error) {
+            alert('Error in test suite: ' + error.message);
+        }
+    }
+
+    /**
+     * Enable/disable the undo and redo buttons
+     */
+    updateHistoryButtons() {
+        const undoButton = document.getElementById('btn-undo');
+        const redoButton = document.getElementById('btn-redo');
+        if (undoButton) undoButton.disabled = !this.automaton.canUndo();
+        if (redoButton) redoButton.disabled = !this.automaton.canRedo();
+    }
+
     /**
      * Toggle code editor visibility
      */
@@ -416,7 +1624,8 @@ class JFLAPApp {
         const json = this.automaton.toJSON();
         let code = `// ${this.machineType.toUpperCase()} Definition\n\n`;
 
-        code += `const automaton = new ${this.getClassName()}();\n\n`;
+        const args = json.tapeCount > 1 ? json.tapeCount : '';
+        code += `const automaton = new ${this.getClassName()}(${args});\n\n`;
         code += `// States\n`;
 
         json.states.forEach(state => {
@@ -426,7 +1635,12 @@ class JFLAPApp {
             code += `    x: ${state.x},\n`;
             code += `    y: ${state.y},\n`;
             code += `    isInitial: ${state.isInitial},\n`;
-            code += `    isFinal: ${state.isFinal}\n`;
+            if (this.machineType === 'moore') {
+                code += `    isFinal: ${state.isFinal},\n`;
+                code += `    output: ${JSON.stringify(state.output || '')}\n`;
+            } else {
+                code += `    isFinal: ${state.isFinal}\n`;
+            }
             code += `}));\n\n`;
         });
 
@@ -439,7 +1653,13 @@ class JFLAPApp {
             if (this.machineType === 'tm') {
                 code += `    readSymbol: "${t.readSymbol || ''}",\n`;
                 code += `    writeSymbol: "${t.writeSymbol || ''}",\n`;
-                code += `    direction: "${t.direction || 'R'}"\n`;
+                code += `    direction: "${t.direction || 'R'}"${t.tapes ? ',' : ''}\n`;
+                if (t.tapes) {
+                    code += `    tapes: ${JSON.stringify(t.tapes)}\n`;
+                }
+            } else if (this.machineType === 'mealy') {
+                code += `    symbols: ${JSON.stringify(t.symbols)},\n`;
+                code += `    output: ${JSON.stringify(t.output || '')}\n`;
             } else if (this.machineType === 'pda') {
                 code += `    symbols: ${JSON.stringify(t.symbols)},\n`;
                 code += `    stackRead: "${t.stackRead || ''}",\n`;
@@ -453,9 +1673,14 @@ class JFLAPApp {
 
         code += `// Test the automaton\n`;
         code += `const input = "your_input_here";\n`;
-        code += `automaton.initSimulation(input);\n`;
-        code += `const accepted = automaton.run();\n`;
-        code += `console.log(\`Input "\${input}" is \${accepted ? 'ACCEPTED' : 'REJECTED'}\`);\n`;
+        if (this.automaton.isTransducer()) {
+            code += `const result = automaton.translate(input);\n`;
+            code += `console.log(\`Output for "\${input}": \${result.output}\`);\n`;
+        } else {
+            code += `automaton.initSimulation(input);\n`;
+            code += `const accepted = automaton.run();\n`;
+            code += `console.log(\`Input "\${input}" is \${accepted ? 'ACCEPTED' : 'REJECTED'}\`);\n`;
+        }
 
         return code;
     }
@@ -469,6 +1694,8 @@ class JFLAPApp {
             case 'nfa': return 'NFA';
             case 'pda': return 'PDA';
             case 'tm': return 'TuringMachine';
+            case 'mealy': return 'MealyMachine';
+            case 'moore': return 'MooreMachine';
             default: return 'DFA';
         }
     }
@@ -485,9 +1712,7 @@ class JFLAPApp {
                 const json = JSON.parse(editor.value);
                 this.createNewAutomaton(json.type || this.machineType);
                 this.automaton.loadFromJSON(json);
-                this.editor.setAutomaton(this.automaton);
-                this.simulator.setAutomaton(this.automaton);
-                this.render();
+                this.replaceAutomaton(this.automaton);
             } else {
                 alert('JavaScript code cannot be applied directly. Use JSON format.');
             }
@@ -579,6 +1804,7 @@ class JFLAPApp {
     generateTransitionForm() {
         switch (this.machineType) {
             case 'dfa':
+            case 'moore':
                 return `
                     <div class="form-group">
                         <label for="trans-symbol">Symbol:</label>
@@ -612,26 +1838,21 @@ class JFLAPApp {
                     </div>
                 `;
 
-            case 'tm':
+            case 'mealy':
                 return `
                     <div class="form-group">
-                        <label for="trans-read">Read Symbol:</label>
-                        <input type="text" id="trans-read" placeholder="0 or □" maxlength="1">
-                    </div>
-                    <div class="form-group">
-                        <label for="trans-write">Write Symbol:</label>
-                        <input type="text" id="trans-write" placeholder="1 or □" maxlength="1">
+                        <label for="trans-symbol">Input Symbol:</label>
+                        <input type="text" id="trans-symbol" placeholder="a" maxlength="1">
                     </div>
                     <div class="form-group">
-                        <label for="trans-direction">Move Direction:</label>
-                        <select id="trans-direction">
-                            <option value="R">Right (R)</option>
-                            <option value="L">Left (L)</option>
-                            <option value="S">Stay (S)</option>
-                        </select>
+                        <label for="trans-output">Output:</label>
+                        <input type="text" id="trans-output" placeholder="01 or ε">
                     </div>
                 `;
 
+            case 'tm':
+                return this.generateTapeFields();
+
             default:
                 return `
                     <div class="form-group">
@@ -642,6 +1863,40 @@ class JFLAPApp {
         }
     }
 
+    /**
+     * Generate read/write/move fields for every Turing machine tape
+     */
+    generateTapeFields() {
+        const tapeCount = this.automaton.tapeCount;
+        let html = '';
+
+        for (let i = 0; i < tapeCount; i++) {
+            // Tape 1 keeps the single-tape ids
+            const suffix = i === 0 ? '' : `-${i + 1}`;
+            const tape = tapeCount > 1 ? ` (Tape ${i + 1})` : '';
+            html += `
+                    <div class="form-group">
+                        <label for="trans-read${suffix}">Read Symbol${tape}:</label>
+                        <input type="text" id="trans-read${suffix}" placeholder="0 or □" maxlength="1">
+                    </div>
+                    <div class="form-group">
+                        <label for="trans-write${suffix}">Write Symbol${tape}:</label>
+                        <input type="text" id="trans-write${suffix}" placeholder="1 or □" maxlength="1">
+                    </div>
+                    <div class="form-group">
+                        <label for="trans-direction${suffix}">Move Direction${tape}:</label>
+                        <select id="trans-direction${suffix}">
+                            <option value="R">Right (R)</option>
+                            <option value="L">Left (L)</option>
+                            <option value="S">Stay (S)</option>
+                        </select>
+                    </div>
+                `;
+        }
+
+        return html;
+    }
+
     /**
      * Get value from transition form
      */
@@ -649,8 +1904,14 @@ class JFLAPApp {
         switch (this.machineType) {
             case 'dfa':
             case 'nfa':
+            case 'moore':
                 return document.getElementById('trans-symbol')?.value || '';
 
+            case 'mealy':
+                const symbol = document.getElementById('trans-symbol')?.value || '';
+                const output = document.getElementById('trans-output')?.value || '';
+                return `${symbol}/${output}`;
+
             case 'pda':
                 const input = document.getElementById('trans-input')?.value || 'ε';
                 const pop = document.getElementById('trans-pop')?.value || 'ε';
@@ -658,10 +1919,15 @@ class JFLAPApp {
                 return `${input},${pop};${push}`;
 
             case 'tm':
-                const read = document.getElementById('trans-read')?.value || '□';
-                const write = document.getElementById('trans-write')?.value || '□';
-                const dir = document.getElementById('trans-direction')?.value || 'R';
-                return `${read};${write},${dir}`;
+                const parts = [];
+                for (let i = 0; i < this.automaton.tapeCount; i++) {
+                    const suffix = i === 0 ? '' : `-${i + 1}`;
+                    const read = document.getElementById(`trans-read${suffix}`)?.value || '□';
+                    const write = document.getElementById(`trans-write${suffix}`)?.value || '□';
+                    const dir = document.getElementById(`trans-direction${suffix}`)?.value || 'R';
+                    parts.push(`${read};${write},${dir}`);
+                }
+                return parts.join(' | ');
 
             default:
                 return document.getElementById('trans-symbol')?.value || '';
@@ -678,11 +1944,25 @@ class JFLAPApp {
         document.getElementById('state-name').value = state.name;
         document.getElementById('state-initial').checked = state.isInitial;
         document.getElementById('state-final').checked = state.isFinal;
+        const labelInput = document.getElementById('state-label');
+        if (labelInput) labelInput.value = state.label || '';
+
+        // Moore machines write an output on each state
+        const isMoore = this.machineType === 'moore';
+        document.getElementById('state-output-group')?.classList.toggle('hidden', !isMoore);
+        const outputInput = document.getElementById('state-output');
+        if (outputInput) outputInput.value = state.output || '';
 
         modal.classList.remove('hidden');
 
         document.getElementById('btn-save-state').onclick = () => {
             state.name = document.getElementById('state-name').value || state.name;
+            state.isFinal = document.getElementById('state-final').checked;
+            if (labelInput) state.label = labelInput.value.trim();
+            if (isMoore && outputInput) {
+                const output = outputInput.value.trim();
+                state.output = output === 'ε' || output === 'λ' ? '' : output;
+            }
 
             const wasInitial = state.isInitial;
             const makeInitial = document.getElementById('state-initial').checked;
@@ -693,12 +1973,12 @@ class JFLAPApp {
                 state.isInitial = false;
                 this.automaton.initialState = null;
             }
-
-            state.isFinal = document.getElementById('state-final').checked;
+            this.automaton.saveToHistory();
 
             modal.classList.add('hidden');
             this.render();
             this.updateCodeEditor();
+            this.updateHistoryButtons();
         };
 
         document.getElementById('btn-delete-state').onclick = () => {
@@ -733,10 +2013,12 @@ class JFLAPApp {
             if (label !== null) {
                 const parsed = Transition.parseLabel(label, this.machineType);
                 Object.assign(transition, parsed);
+                this.automaton.saveToHistory();
                 modal.classList.add('hidden');
                 document.getElementById('btn-add-transition').textContent = 'Add';
                 this.render();
                 this.updateCodeEditor();
+                this.updateHistoryButtons();
             }
         };
 
@@ -753,10 +2035,16 @@ class JFLAPApp {
         switch (this.machineType) {
             case 'dfa':
             case 'nfa':
+            case 'moore':
                 const symbolInput = document.getElementById('trans-symbol');
                 if (symbolInput) symbolInput.value = transition.symbols.join(',');
                 break;
 
+            case 'mealy':
+                document.getElementById('trans-symbol').value = transition.symbols.join(',');
+                document.getElementById('trans-output').value = transition.output || '';
+                break;
+
             case 'pda':
                 document.getElementById('trans-input').value = transition.symbols[0] || '';
                 document.getElementById('trans-pop').value = transition.stackRead || '';
@@ -764,9 +2052,14 @@ class JFLAPApp {
                 break;
 
             case 'tm':
-                document.getElementById('trans-read').value = transition.readSymbol || '';
-                document.getElementById('trans-write').value = transition.writeSymbol || '';
-                document.getElementById('trans-direction').value = transition.direction || 'R';
+                transition.getTapeOperations().forEach((op, i) => {
+                    const suffix = i === 0 ? '' : `-${i + 1}`;
+                    const read = document.getElementById(`trans-read${suffix}`);
+                    if (!read) return;
+                    read.value = op.readSymbol || '';
+                    document.getElementById(`trans-write${suffix}`).value = op.writeSymbol || '';
+                    document.getElementById(`trans-direction${suffix}`).value = op.direction || 'R';
+                });
                 break;
         }
     }
@@ -0,0 +1,248 @@
+/**
+ * ChomskyNormalForm - Converts a context-free grammar to Chomsky normal form
+ *
+ * Follows the textbook order: a new start variable, removal of ε-productions,
+ * unit productions and useless symbols, then terminals in long right-hand
+ * sides are replaced by variables and long right-hand sides are split in two.
+ * Variables introduced by the last two steps are recorded in `helpers` so a
+ * parse tree can be mapped back to the shape of the original rules.
+ */
+class ChomskyNormalForm {
+    constructor(grammar) {
+        this.source = grammar;
+        this.grammar = null;
+
+        // Introduced variable -> 'terminal' (T → a) or 'binary' (X → BC)
+        this.helpers = new Map();
+
+        // Recorded steps: [{ description, grammar }]
+        this.steps = [];
+    }
+
+    /**
+     * Check if a grammar is already in Chomsky normal form
+     */
+    static isCNF(grammar) {
+        const start = grammar.startVariable;
+        return grammar.productions.every(p => {
+            if (p.rhs.length === 0) return p.lhs === start;
+            if (p.rhs.length === 1) return !Grammar.isVariable(p.rhs[0]);
+            return p.rhs.length === 2 && p.rhs.every(s => Grammar.isVariable(s) && s !== start);
+        });
+    }
+
+    /**
+     * Run all steps and return the converted grammar
+     */
+    convert() {
+        this.grammar = this.source.clone();
+        this.helpers = new Map();
+        this.steps = [];
+
+        this.addStep('Original grammar');
+        this.addStartVariable();
+        this.removeEpsilonProductions();
+        this.removeUnitProductions();
+        this.removeUselessSymbols();
+        this.replaceTerminals();
+        this.splitLongProductions();
+
+        return this.grammar;
+    }
+
+    /**
+     * Record a snapshot of the grammar
+     */
+    addStep(description) {
+        this.grammar.updateSymbols();
+        this.steps.push({ description: description, grammar: this.grammar.clone() });
+    }
+
+    /**
+     * Get an unused variable name: the letter followed by the lowest free number
+     */
+    freshVariable(letter, from = 1) {
+        let n = from;
+        while (this.grammar.variables.has(letter + n)) n++;
+        const name = letter + n;
+        this.grammar.variables.add(name);
+        return name;
+    }
+
+    /**
+     * Replace the productions, dropping duplicates
+     */
+    setProductions(productions) {
+        const seen = new Set();
+        this.grammar.productions = productions.filter(p => {
+            const key = p.lhs + '→' + p.rhs.join(' ');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Add S0 → S when the start variable appears on a right-hand side
+     */
+    addStartVariable() {
+        const start = this.grammar.startVariable;
+        if (!this.grammar.productions.some(p => p.rhs.includes(start))) return;
+
+        const newStart = this.freshVariable(start.charAt(0), 0);
+        this.grammar.productions.unshift({ lhs: newStart, rhs: [start] });
+        this.grammar.startVariable = newStart;
+        this.addStep(`Added start variable ${newStart} → ${start}`);
+    }
+
+    /**
+     * Compute the variables that derive ε
+     */
+    getNullableVariables() {
+        const nullable = new Set();
+        let changed = true;
+        while (changed) {
+            changed = false;
+            this.grammar.productions.forEach(p => {
+                if (!nullable.has(p.lhs) && p.rhs.every(s => nullable.has(s))) {
+                    nullable.add(p.lhs);
+                    changed = true;
+                }
+            });
+        }
+        return nullable;
+    }
+
+    /**
+     * Remove A → ε, adding every variant of each rule without nullable occurrences
+     */
+    removeEpsilonProductions() {
+        const nullable = this.getNullableVariables();
+        if (nullable.size === 0) return;
+
+        const start = this.grammar.startVariable;
+        const productions = [];
+        this.grammar.productions.forEach(p => {
+            let variants = [[]];
+            p.rhs.forEach(symbol => {
+                const extended = variants.map(v => [...v, symbol]);
+                variants = nullable.has(symbol) ? extended.concat(variants) : extended;
+            });
+            variants
+                .filter(rhs => rhs.length > 0)
+                .forEach(rhs => productions.push({ lhs: p.lhs, rhs: rhs }));
+        });
+
+        if (nullable.has(start)) {
+            productions.push({ lhs: start, rhs: [] });
+        }
+
+        this.setProductions(productions);
+        this.addStep(`Removed ε-productions (nullable: ${Array.from(nullable).join(', ')})`);
+    }
+
+    /**
+     * Replace unit productions A → B by B's non-unit productions
+     */
+    removeUnitProductions() {
+        const isUnit = (p) => p.rhs.length === 1 && Grammar.isVariable(p.rhs[0]);
+        if (!this.grammar.productions.some(isUnit)) return;
+
+        const variables = Array.from(this.grammar.variables);
+        const productions = [];
+        variables.forEach(variable => {
+            // Every B with A ⇒* B through unit productions
+            const reachable = new Set([variable]);
+            const queue = [variable];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                this.grammar.getProductionsFor(current).filter(isUnit).forEach(p => {
+                    if (!reachable.has(p.rhs[0])) {
+                        reachable.add(p.rhs[0]);
+                        queue.push(p.rhs[0]);
+                    }
+                });
+            }
+
+            reachable.forEach(target => {
+                this.grammar.getProductionsFor(target)
+                    .filter(p => !isUnit(p))
+                    .forEach(p => productions.push({ lhs: variable, rhs: [...p.rhs] }));
+            });
+        });
+
+        this.setProductions(productions);
+        this.addStep('Removed unit productions');
+    }
+
+    /**
+     * Remove variables that derive no string or are unreachable from the start
+     */
+    removeUselessSymbols() {
+        if (this.grammar.removeUselessProductions()) {
+            this.addStep('Removed useless symbols');
+        }
+    }
+
+    /**
+     * Replace terminals in right-hand sides of length 2+ by variables T → a
+     */
+    replaceTerminals() {
+        const byTerminal = new Map();
+        const added = [];
+
+        this.grammar.productions.forEach(p => {
+            if (p.rhs.length < 2) return;
+            p.rhs = p.rhs.map(symbol => {
+                if (Grammar.isVariable(symbol)) return symbol;
+                if (!byTerminal.has(symbol)) {
+                    const variable = this.freshVariable('T');
+                    byTerminal.set(symbol, variable);
+                    this.helpers.set(variable, 'terminal');
+                    added.push({ lhs: variable, rhs: [symbol] });
+                }
+                return byTerminal.get(symbol);
+            });
+        });
+
+        if (added.length === 0) return;
+        this.grammar.productions.push(...added);
+        this.addStep('Replaced terminals in long rules: ' +
+            added.map(p => `${p.lhs} → ${p.rhs[0]}`).join(', '));
+    }
+
+    /**
+     * Split A → B1 B2 ... Bk (k > 2) into A → B1 X1, X1 → B2 X2, ...
+     */
+    splitLongProductions() {
+        const byTail = new Map();
+        const productions = [];
+        const added = [];
+
+        const split = (lhs, rhs, target) => {
+            if (rhs.length <= 2) {
+                target.push({ lhs: lhs, rhs: rhs });
+                return;
+            }
+            const tail = rhs.slice(1);
+            const key = tail.join(' ');
+            if (!byTail.has(key)) {
+                const variable = this.freshVariable('X');
+                byTail.set(key, variable);
+                this.helpers.set(variable, 'binary');
+                split(variable, tail, added);
+            }
+            target.push({ lhs: lhs, rhs: [rhs[0], byTail.get(key)] });
+        };
+        this.grammar.productions.forEach(p => split(p.lhs, p.rhs, productions));
+
+        if (byTail.size === 0) return;
+        this.setProductions(productions.concat(added));
+        this.addStep('Split long rules into pairs of variables');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChomskyNormalForm;
+}
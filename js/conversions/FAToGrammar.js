@@ -0,0 +1,89 @@
+/**
+ * FAToGrammar - Converts a DFA or NFA to a right-linear grammar
+ *
+ * Each state becomes a variable (the initial state is S). A transition
+ * p --a--> q gives P → aQ, an ε-transition gives P → Q and a final state
+ * gives P → ε. Uppercase symbols are rejected, since they would be read
+ * as variables.
+ */
+class FAToGrammar {
+    constructor(automaton) {
+        this.automaton = automaton;
+
+        // Grammar variable -> state name
+        this.variableStates = new Map();
+    }
+
+    /**
+     * Name the variables: S for the initial state, then A, B, C, ...
+     */
+    assignVariables() {
+        const letters = 'ABCDEFGHIJKLMNOPQRTUVWXYZ'.split('');
+        const byState = new Map();
+        this.variableStates = new Map();
+
+        const ordered = this.automaton.states.filter(s => s !== this.automaton.initialState);
+        if (this.automaton.initialState) {
+            ordered.unshift(this.automaton.initialState);
+        }
+
+        let index = 0;
+        ordered.forEach(state => {
+            let variable;
+            if (state === this.automaton.initialState) {
+                variable = 'S';
+            } else {
+                const round = Math.floor(index / letters.length);
+                variable = letters[index % letters.length] + (round > 0 ? round : '');
+                index++;
+            }
+            byState.set(state.id, variable);
+            this.variableStates.set(variable, state.name);
+        });
+
+        return byState;
+    }
+
+    /**
+     * Build the grammar
+     */
+    convert() {
+        if (!this.automaton.initialState) {
+            throw new Error('The automaton has no initial state');
+        }
+
+        // Uppercase letters are grammar variables, so they cannot be terminals
+        const uppercase = this.automaton.transitions.flatMap(t => t.symbols).find(symbol => /[A-Z]/.test(symbol));
+        if (uppercase !== undefined) {
+            throw new Error(`The symbol "${uppercase}" is uppercase; grammar terminals cannot be uppercase letters, which are variables`);
+        }
+
+        const variables = this.assignVariables();
+        const grammar = new Grammar({ startVariable: 'S' });
+
+        this.automaton.states.forEach(state => {
+            const lhs = variables.get(state.id);
+            this.automaton.getTransitionsFrom(state).forEach(t => {
+                const target = variables.get(t.getToStateId());
+                if (t.isEpsilon()) {
+                    grammar.productions.push({ lhs: lhs, rhs: [target] });
+                } else {
+                    t.symbols.forEach(symbol => {
+                        grammar.productions.push({ lhs: lhs, rhs: [symbol, target] });
+                    });
+                }
+            });
+            if (state.isFinal) {
+                grammar.productions.push({ lhs: lhs, rhs: [] });
+            }
+        });
+
+        grammar.updateSymbols();
+        return grammar;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FAToGrammar;
+}
@@ -0,0 +1,105 @@
+/**
+ * GrammarToNFA - Converts a right-linear or left-linear grammar to an NFA
+ *
+ * Right-linear (A → wB | w): each variable is a state, A → wB spells w from
+ * A to B and A → w spells w from A to a new final state.
+ * Left-linear (A → Bw | w): each variable is a state reached after reading
+ * a string it derives, so A → Bw spells w from B to A, A → w spells w from a
+ * new initial state to A, and the start variable is the final state.
+ */
+class GrammarToNFA {
+    constructor(grammar) {
+        this.grammar = grammar;
+        this.nfa = null;
+        this.extraCount = 0;
+    }
+
+    /**
+     * Add a state to the NFA being built
+     */
+    addState(name) {
+        const state = new State({ name: name });
+        this.nfa.states.push(state);
+        return state;
+    }
+
+    /**
+     * Connect two states by a path spelling a terminal string (ε-transition if empty)
+     */
+    addPath(from, to, terminals) {
+        if (terminals.length === 0) {
+            this.nfa.addTransition(new Transition({ fromState: from, toState: to, symbols: ['ε'] }));
+            return;
+        }
+
+        let current = from;
+        terminals.forEach((symbol, i) => {
+            const next = i === terminals.length - 1 ? to : this.addState(`q${this.extraCount++}`);
+            this.nfa.addTransition(new Transition({ fromState: current, toState: next, symbols: [symbol] }));
+            current = next;
+        });
+    }
+
+    /**
+     * Build the NFA
+     */
+    build() {
+        const grammar = this.grammar;
+        const validation = grammar.validate();
+        if (!validation.isValid) {
+            throw new Error(validation.errors[0]);
+        }
+
+        const rightLinear = grammar.isRightLinear();
+        if (!rightLinear && !grammar.isLeftLinear()) {
+            throw new Error('The grammar is neither right-linear nor left-linear');
+        }
+
+        this.nfa = new NFA();
+        this.extraCount = 0;
+
+        const states = new Map();
+        grammar.variables.forEach(variable => {
+            states.set(variable, this.addState(variable));
+        });
+        const start = states.get(grammar.startVariable);
+
+        if (rightLinear) {
+            const final = this.addState('qf');
+            final.isFinal = true;
+            start.isInitial = true;
+            this.nfa.initialState = start;
+
+            grammar.productions.forEach(p => {
+                const last = p.rhs[p.rhs.length - 1];
+                if (last !== undefined && Grammar.isVariable(last)) {
+                    this.addPath(states.get(p.lhs), states.get(last), p.rhs.slice(0, -1));
+                } else {
+                    this.addPath(states.get(p.lhs), final, p.rhs);
+                }
+            });
+        } else {
+            const initial = this.addState('qi');
+            initial.isInitial = true;
+            this.nfa.initialState = initial;
+            start.isFinal = true;
+
+            grammar.productions.forEach(p => {
+                const first = p.rhs[0];
+                if (first !== undefined && Grammar.isVariable(first)) {
+                    this.addPath(states.get(first), states.get(p.lhs), p.rhs.slice(1));
+                } else {
+                    this.addPath(initial, states.get(p.lhs), p.rhs);
+                }
+            });
+        }
+
+        this.nfa.layoutStates();
+        return this.nfa;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrammarToNFA;
+}
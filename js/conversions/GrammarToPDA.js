@@ -0,0 +1,95 @@
+/**
+ * GrammarToPDA - Converts a context-free grammar to an equivalent PDA
+ *
+ * Uses the single-state construction: the stack starts with the start
+ * variable, a variable on top is replaced by the right-hand side of one of
+ * its productions, and a terminal on top is matched against the input. The
+ * PDA accepts by empty stack.
+ */
+class GrammarToPDA {
+    constructor(grammar) {
+        this.grammar = grammar;
+
+        // Variable -> single-character stack symbol
+        this.stackSymbols = new Map();
+    }
+
+    /**
+     * Assign a stack symbol to each variable. Stack contents are strings of
+     * single characters, so variables such as S0 get a free uppercase letter.
+     */
+    assignStackSymbols() {
+        this.stackSymbols = new Map();
+        const used = new Set(Array.from(this.grammar.variables).filter(v => v.length === 1));
+        const free = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').filter(c => !used.has(c));
+
+        this.grammar.variables.forEach(variable => {
+            if (variable.length === 1) {
+                this.stackSymbols.set(variable, variable);
+            } else if (free.length > 0) {
+                this.stackSymbols.set(variable, free.shift());
+            } else {
+                throw new Error('Too many variables to use as single-character stack symbols');
+            }
+        });
+    }
+
+    /**
+     * Map a right-hand side to the string pushed onto the stack
+     */
+    toStackString(rhs) {
+        return rhs.map(symbol => this.stackSymbols.get(symbol) || symbol).join('');
+    }
+
+    /**
+     * Build the PDA
+     */
+    build() {
+        const validation = this.grammar.validate();
+        if (!validation.isValid) {
+            throw new Error(validation.errors[0]);
+        }
+        this.assignStackSymbols();
+
+        const pda = new PDA();
+        const state = new State({ name: 'q0', x: 250, y: 250, isInitial: true });
+        pda.addState(state);
+
+        pda.initialStackSymbol = this.stackSymbols.get(this.grammar.startVariable);
+        pda.acceptByFinalState = false;
+        pda.acceptByEmptyStack = true;
+        pda.stackAlphabet = new Set(this.stackSymbols.values());
+
+        // Expand: ε, A → α
+        this.grammar.productions.forEach(p => {
+            const push = this.toStackString(p.rhs);
+            pda.addTransition(new Transition({
+                fromState: state,
+                toState: state,
+                symbols: ['ε'],
+                stackRead: this.stackSymbols.get(p.lhs),
+                stackWrite: push === '' ? 'ε' : push
+            }));
+        });
+
+        // Match: a, a → ε
+        this.grammar.terminals.forEach(terminal => {
+            pda.stackAlphabet.add(terminal);
+            pda.alphabet.add(terminal);
+            pda.addTransition(new Transition({
+                fromState: state,
+                toState: state,
+                symbols: [terminal],
+                stackRead: terminal,
+                stackWrite: 'ε'
+            }));
+        });
+
+        return pda;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrammarToPDA;
+}
@@ -0,0 +1,79 @@
+/**
+ * MealyToMoore - Converts a Mealy machine to an equivalent Moore machine
+ *
+ * Each state q is split into one state per output o written on the
+ * transitions entering q, named q/o, so that entering it writes o. The
+ * initial state gets an empty output, so both machines produce the same
+ * strings.
+ */
+class MealyToMoore {
+    constructor(mealy) {
+        this.mealy = mealy;
+
+        // Moore state name -> [Mealy state name, output]
+        this.stateOutputs = new Map();
+    }
+
+    /**
+     * Build the Moore machine
+     */
+    convert() {
+        const mealy = this.mealy;
+        if (!mealy.initialState) {
+            throw new Error('The Mealy machine has no initial state');
+        }
+
+        // Outputs needed for each state, in order of appearance
+        const outputs = new Map(mealy.states.map(s => [s.id, []]));
+        const need = (state, output) => {
+            const list = outputs.get(state.id);
+            if (!list.includes(output)) list.push(output);
+        };
+        need(mealy.initialState, '');
+        mealy.transitions.forEach(t => {
+            need(mealy.getState(t.getToStateId()), t.output || '');
+        });
+
+        const moore = new MooreMachine();
+        const variants = new Map();
+        this.stateOutputs = new Map();
+
+        mealy.states.forEach(state => {
+            const list = outputs.get(state.id);
+            if (list.length === 0) list.push('');
+
+            list.forEach(output => {
+                const name = list.length === 1 ? state.name : `${state.name}/${output || 'ε'}`;
+                const copy = new State({ name: name, output: output });
+                moore.states.push(copy);
+                variants.set(`${state.id}|${output}`, copy);
+                this.stateOutputs.set(name, [state.name, output]);
+            });
+        });
+
+        const initial = variants.get(`${mealy.initialState.id}|`);
+        initial.isInitial = true;
+        moore.initialState = initial;
+
+        // Every copy of the source state gets the transition into the matching copy of the target
+        mealy.transitions.forEach(t => {
+            const from = mealy.getState(t.getFromStateId());
+            const to = variants.get(`${t.getToStateId()}|${t.output || ''}`);
+            outputs.get(from.id).forEach(output => {
+                moore.addTransition(new Transition({
+                    fromState: variants.get(`${from.id}|${output}`),
+                    toState: to,
+                    symbols: [...t.symbols]
+                }));
+            });
+        });
+
+        moore.layoutStates();
+        return moore;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MealyToMoore;
+}
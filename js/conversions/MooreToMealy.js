@@ -0,0 +1,58 @@
+/**
+ * MooreToMealy - Converts a Moore machine to an equivalent Mealy machine
+ *
+ * Each transition outputs what its target state outputs. A Mealy machine
+ * produces nothing before reading input, so the Moore machine's initial
+ * output is dropped; apart from it the two produce the same strings.
+ */
+class MooreToMealy {
+    constructor(moore) {
+        this.moore = moore;
+
+        // Output of the Moore machine's initial state, which the Mealy machine leaves out
+        this.initialOutput = '';
+    }
+
+    /**
+     * Build the Mealy machine
+     */
+    convert() {
+        const moore = this.moore;
+        if (!moore.initialState) {
+            throw new Error('The Moore machine has no initial state');
+        }
+
+        const mealy = new MealyMachine();
+        const states = new Map();
+
+        moore.states.forEach(state => {
+            const copy = new State({
+                name: state.name,
+                x: state.x,
+                y: state.y,
+                isInitial: state === moore.initialState
+            });
+            mealy.states.push(copy);
+            states.set(state.id, copy);
+        });
+        mealy.initialState = states.get(moore.initialState.id);
+
+        moore.transitions.forEach(t => {
+            const target = moore.getState(t.getToStateId());
+            mealy.addTransition(new Transition({
+                fromState: states.get(t.getFromStateId()),
+                toState: states.get(target.id),
+                symbols: [...t.symbols],
+                output: target.output || ''
+            }));
+        });
+
+        this.initialOutput = moore.initialState.output || '';
+        return mealy;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MooreToMealy;
+}
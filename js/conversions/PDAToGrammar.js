@@ -0,0 +1,260 @@
+/**
+ * PDAToGrammar - Converts a PDA to an equivalent context-free grammar
+ *
+ * The PDA is first normalized so that it accepts by empty stack and every
+ * transition pops exactly one symbol and pushes at most two. Each variable
+ * [p A q] of the grammar then derives the strings that take the PDA from p
+ * to q while removing A from the stack.
+ */
+class PDAToGrammar {
+    constructor(pda) {
+        this.pda = pda;
+        this.normalized = null;
+
+        // Grammar variable -> readable triple, e.g. "[q0 Z q1]"
+        this.variableTriples = new Map();
+
+        // Descriptions of the normalization changes
+        this.notes = [];
+    }
+
+    /**
+     * Get all stack symbols used by the PDA
+     */
+    getStackAlphabet() {
+        const alphabet = new Set(this.pda.stackAlphabet);
+        alphabet.add(this.pda.initialStackSymbol);
+        this.pda.transitions.forEach(t => {
+            [t.stackRead, t.stackWrite].forEach(value => {
+                if (value && value !== 'ε') {
+                    value.split('').forEach(symbol => alphabet.add(symbol));
+                }
+            });
+        });
+        return alphabet;
+    }
+
+    /**
+     * Build the normalized PDA: empty-stack acceptance, one pop per
+     * transition and at most two pushed symbols
+     */
+    normalize() {
+        const source = this.pda;
+        const pda = new PDA();
+        const stackAlphabet = this.getStackAlphabet();
+        this.notes = [];
+
+        source.states.forEach(state => {
+            const copy = state.clone();
+            copy.isInitial = false;
+            copy.isFinal = false;
+            pda.states.push(copy);
+        });
+        const stateFor = (state) => pda.getState(typeof state === 'object' ? state.id : state);
+
+        // Raw transitions: { from, to, input, pop, push } with push a string ('' for nothing)
+        let edges = [];
+        source.transitions.forEach(t => {
+            const inputs = t.isEpsilon() ? ['ε'] : t.symbols;
+            inputs.forEach(input => edges.push({
+                from: stateFor(t.fromState),
+                to: stateFor(t.toState),
+                input: input,
+                pop: t.stackRead && t.stackRead !== 'ε' ? t.stackRead : null,
+                push: t.stackWrite && t.stackWrite !== 'ε' ? t.stackWrite : ''
+            }));
+        });
+
+        const maxX = Math.max(0, ...pda.states.map(s => s.x));
+        const maxY = Math.max(0, ...pda.states.map(s => s.y));
+        let start = stateFor(source.initialState);
+        let bottom = source.initialStackSymbol;
+
+        if (source.acceptByFinalState || !source.acceptByEmptyStack) {
+            // New bottom marker so the original PDA can never empty the stack by accident
+            bottom = ['$', '#', '%', '@', '&'].find(c => !stackAlphabet.has(c));
+            if (!bottom) throw new Error('No free symbol for the new stack bottom');
+            stackAlphabet.add(bottom);
+
+            const newStart = new State({ name: 'qs', x: Math.max(0, (start ? start.x : 100) - 150), y: start ? start.y : 100 });
+            const drain = new State({ name: 'qe', x: maxX + 150, y: maxY + 100 });
+            pda.states.push(newStart, drain);
+
+            if (start) {
+                edges.push({ from: newStart, to: start, input: 'ε', pop: bottom, push: source.initialStackSymbol + bottom });
+            }
+            source.getFinalStates().forEach(f => {
+                stackAlphabet.forEach(symbol => {
+                    edges.push({ from: stateFor(f), to: drain, input: 'ε', pop: symbol, push: '' });
+                });
+            });
+            if (source.acceptByEmptyStack) {
+                source.states.forEach(s => {
+                    edges.push({ from: stateFor(s), to: drain, input: 'ε', pop: bottom, push: '' });
+                });
+            }
+            stackAlphabet.forEach(symbol => {
+                edges.push({ from: drain, to: drain, input: 'ε', pop: symbol, push: '' });
+            });
+
+            start = newStart;
+            this.notes.push(`added ${newStart.name} pushing ${bottom} and ${drain.name} emptying the stack`);
+        }
+
+        // Transitions that pop nothing pop any symbol and push it back
+        const popless = edges.filter(e => e.pop === null);
+        if (popless.length > 0) {
+            edges = edges.filter(e => e.pop !== null);
+            popless.forEach(e => {
+                stackAlphabet.forEach(symbol => {
+                    edges.push({ ...e, pop: symbol, push: e.push + symbol });
+                });
+            });
+            this.notes.push('made every transition pop one symbol');
+        }
+
+        // Push B1...Bk (k > 2) in steps of two through new states
+        let splitCount = 0;
+        const y = maxY + 200;
+        edges = edges.flatMap(e => {
+            if (e.push.length <= 2) return [e];
+
+            // p --a, A → B1...Bk--> q becomes p --a, A → Bk-1 Bk--> r1 --ε, Bk-1 → Bk-2 Bk-1--> ... q
+            const symbols = e.push.split('');
+            const result = [];
+            let from = e.from;
+            for (let i = symbols.length - 2; i >= 0; i--) {
+                let to = e.to;
+                if (i > 0) {
+                    to = new State({ name: `qp${splitCount}`, x: 100 + splitCount * 100, y: y });
+                    pda.states.push(to);
+                    splitCount++;
+                }
+                const first = i === symbols.length - 2;
+                result.push({
+                    from: from,
+                    to: to,
+                    input: first ? e.input : 'ε',
+                    pop: first ? e.pop : symbols[i + 1],
+                    push: symbols[i] + symbols[i + 1]
+                });
+                from = to;
+            }
+            return result;
+        });
+        if (splitCount > 0) {
+            this.notes.push('split pushes of more than two symbols');
+        }
+
+        if (start) {
+            start.isInitial = true;
+            pda.initialState = start;
+        }
+        pda.initialStackSymbol = bottom;
+        pda.acceptByFinalState = false;
+        pda.acceptByEmptyStack = true;
+        pda.stackAlphabet = stackAlphabet;
+
+        edges.forEach(e => {
+            pda.addTransition(new Transition({
+                fromState: e.from,
+                toState: e.to,
+                symbols: [e.input],
+                stackRead: e.pop,
+                stackWrite: e.push === '' ? 'ε' : e.push
+            }));
+        });
+
+        this.normalized = pda;
+        return pda;
+    }
+
+    /**
+     * Build the grammar from the normalized PDA
+     */
+    convert() {
+        const pda = this.normalize();
+        if (!pda.initialState) {
+            throw new Error('The PDA has no initial state');
+        }
+
+        // Triples get temporary names until useless ones are removed
+        const tripleNames = new Map();
+        const triples = new Map();
+        const variable = (p, symbol, q) => {
+            const key = `${p.id}|${symbol}|${q.id}`;
+            if (!tripleNames.has(key)) {
+                const name = `V${tripleNames.size}`;
+                tripleNames.set(key, name);
+                triples.set(name, `[${p.name} ${symbol} ${q.name}]`);
+            }
+            return tripleNames.get(key);
+        };
+
+        const grammar = new Grammar({ startVariable: 'S' });
+        const states = pda.states;
+
+        states.forEach(q => {
+            grammar.productions.push({ lhs: 'S', rhs: [variable(pda.initialState, pda.initialStackSymbol, q)] });
+        });
+
+        pda.transitions.forEach(t => {
+            const p = pda.getState(t.getFromStateId());
+            const q = pda.getState(t.getToStateId());
+            const input = t.isEpsilon() ? [] : [t.symbols[0]];
+            const push = t.stackWrite === 'ε' ? [] : t.stackWrite.split('');
+
+            if (push.length === 0) {
+                grammar.productions.push({ lhs: variable(p, t.stackRead, q), rhs: input });
+            } else if (push.length === 1) {
+                states.forEach(r => {
+                    grammar.productions.push({
+                        lhs: variable(p, t.stackRead, r),
+                        rhs: [...input, variable(q, push[0], r)]
+                    });
+                });
+            } else {
+                states.forEach(r => {
+                    states.forEach(s => {
+                        grammar.productions.push({
+                            lhs: variable(p, t.stackRead, s),
+                            rhs: [...input, variable(q, push[0], r), variable(r, push[1], s)]
+                        });
+                    });
+                });
+            }
+        });
+
+        grammar.updateSymbols();
+        grammar.removeUselessProductions();
+
+        // Give the remaining triples short names in order of appearance
+        const names = new Map([['S', 'S']]);
+        const letters = 'ABCDEFGHIJKLMNOPQRTUVWXYZ'.split('');
+        const rename = (symbol) => {
+            if (!triples.has(symbol)) return symbol;
+            if (!names.has(symbol)) {
+                const index = names.size - 1;
+                const round = Math.floor(index / letters.length);
+                names.set(symbol, letters[index % letters.length] + (round > 0 ? round : ''));
+            }
+            return names.get(symbol);
+        };
+        grammar.productions = grammar.productions.map(p => ({ lhs: rename(p.lhs), rhs: p.rhs.map(rename) }));
+        grammar.updateSymbols();
+
+        this.variableTriples = new Map();
+        names.forEach((name, temporary) => {
+            if (triples.has(temporary)) {
+                this.variableTriples.set(name, triples.get(temporary));
+            }
+        });
+
+        return grammar;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDAToGrammar;
+}
@@ -0,0 +1,220 @@
+/**
+ * StateElimination - Converts a DFA or NFA to a regular expression
+ *
+ * The automaton is first turned into a generalized NFA (GNFA) with a fresh
+ * start and accept state and regular expressions on its edges. States are then
+ * removed one at a time, rerouting paths through each removed state as
+ * R(p,q) + R(p,k) R(k,k)* R(k,q), until only the start and accept state remain.
+ */
+class StateElimination {
+    constructor(automaton) {
+        if (automaton.type !== 'dfa' && automaton.type !== 'nfa') {
+            throw new Error('State elimination requires a DFA or NFA');
+        }
+        if (!automaton.initialState) {
+            throw new Error('Cannot convert: no initial state defined');
+        }
+
+        this.automaton = automaton;
+
+        // GNFA nodes: { id, name, x, y } - ids are the original state ids plus start/accept
+        this.nodes = [];
+        this.edges = new Map(); // 'fromId->toId' -> RegularExpression
+        this.startId = 'start';
+        this.acceptId = 'accept';
+
+        // Recorded snapshots, one per elimination (plus the initial GNFA)
+        this.steps = [];
+
+        this.buildGNFA();
+    }
+
+    /**
+     * Build the generalized NFA from the source automaton
+     */
+    buildGNFA() {
+        const states = this.automaton.states;
+        const xs = states.map(s => s.x);
+        const ys = states.map(s => s.y);
+        const initial = this.automaton.initialState;
+
+        this.nodes.push({ id: this.startId, name: 's', x: Math.min(...xs) - 150, y: initial.y });
+        states.forEach(s => this.nodes.push({ id: s.id, name: s.name, x: s.x, y: s.y }));
+        this.nodes.push({
+            id: this.acceptId,
+            name: 'f',
+            x: Math.max(...xs) + 150,
+            y: ys.reduce((sum, y) => sum + y, 0) / ys.length
+        });
+
+        this.addEdge(this.startId, initial.id, RegularExpression.epsilon());
+
+        states.filter(s => s.isFinal).forEach(s => {
+            this.addEdge(s.id, this.acceptId, RegularExpression.epsilon());
+        });
+
+        this.automaton.transitions.forEach(t => {
+            const symbols = t.isEpsilon() ? [RegularExpression.epsilon()] :
+                t.symbols.map(s => RegularExpression.symbol(s));
+            this.addEdge(t.getFromStateId(), t.getToStateId(), RegularExpression.union(...symbols));
+        });
+
+        this.recordStep(null, 'Convert to GNFA: add start state s and accept state f');
+    }
+
+    /**
+     * Union an expression into the edge between two nodes
+     */
+    addEdge(fromId, toId, regex) {
+        const key = `${fromId}->${toId}`;
+        const existing = this.edges.get(key);
+        const combined = existing ? RegularExpression.union(existing, regex) : regex;
+
+        if (combined.isEmpty()) {
+            this.edges.delete(key);
+        } else {
+            this.edges.set(key, combined);
+        }
+    }
+
+    /**
+     * Get the expression on an edge (∅ if there is none)
+     */
+    getEdge(fromId, toId) {
+        return this.edges.get(`${fromId}->${toId}`) || RegularExpression.empty();
+    }
+
+    /**
+     * Get the states that still have to be eliminated
+     */
+    getRemainingStates() {
+        return this.nodes.filter(n => n.id !== this.startId && n.id !== this.acceptId);
+    }
+
+    /**
+     * Pick the next state to remove: the one rerouting the fewest paths
+     */
+    chooseNextState() {
+        let best = null;
+        let bestCost = Infinity;
+
+        this.getRemainingStates().forEach(node => {
+            const incoming = this.nodes.filter(n => n.id !== node.id && this.edges.has(`${n.id}->${node.id}`));
+            const outgoing = this.nodes.filter(n => n.id !== node.id && this.edges.has(`${node.id}->${n.id}`));
+            const cost = incoming.length * outgoing.length;
+            if (cost < bestCost) {
+                best = node;
+                bestCost = cost;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Eliminate one state; returns false when nothing is left to remove
+     */
+    eliminateNext(stateId = null) {
+        const node = stateId !== null
+            ? this.getRemainingStates().find(n => n.id === stateId)
+            : this.chooseNextState();
+        if (!node) return false;
+
+        const k = node.id;
+        const loop = RegularExpression.star(this.getEdge(k, k));
+        const others = this.nodes.filter(n => n.id !== k);
+
+        others.forEach(p => {
+            const into = this.getEdge(p.id, k);
+            if (into.isEmpty()) return;
+
+            others.forEach(q => {
+                const out = this.getEdge(k, q.id);
+                if (out.isEmpty()) return;
+                this.addEdge(p.id, q.id, RegularExpression.concat(into, loop, out));
+            });
+        });
+
+        // Drop the node and every edge touching it
+        this.nodes = others;
+        Array.from(this.edges.keys()).forEach(key => {
+            const [from, to] = key.split('->');
+            if (from === String(k) || to === String(k)) {
+                this.edges.delete(key);
+            }
+        });
+
+        this.recordStep(node.name, `Eliminate state ${node.name}`);
+        return true;
+    }
+
+    /**
+     * Eliminate every remaining state and return the resulting expression
+     */
+    run() {
+        while (this.eliminateNext()) {
+            // keep eliminating
+        }
+        return this.getRegex();
+    }
+
+    /**
+     * Get the expression between start and accept (only final once run() completes)
+     */
+    getRegex() {
+        return this.getEdge(this.startId, this.acceptId);
+    }
+
+    /**
+     * Record a snapshot of the current GNFA
+     */
+    recordStep(removedState, description) {
+        this.steps.push({
+            removedState: removedState,
+            description: description,
+            nodes: this.nodes.map(n => ({ ...n })),
+            edges: Array.from(this.edges.entries()).map(([key, regex]) => {
+                const [from, to] = key.split('->');
+                return { from: from, to: to, regex: regex.toString() };
+            })
+        });
+    }
+
+    /**
+     * Build a displayable NFA for a recorded step, with expressions as labels
+     */
+    static stepToAutomaton(step) {
+        const nfa = new NFA();
+        const stateMap = new Map();
+
+        step.nodes.forEach((node, index) => {
+            const state = new State({
+                id: index,
+                name: node.name,
+                x: node.x,
+                y: node.y,
+                isInitial: node.id === 'start',
+                isFinal: node.id === 'accept'
+            });
+            nfa.states.push(state);
+            if (state.isInitial) nfa.initialState = state;
+            stateMap.set(String(node.id), state);
+        });
+
+        step.edges.forEach((edge, index) => {
+            nfa.transitions.push(new Transition({
+                id: index,
+                fromState: stateMap.get(edge.from),
+                toState: stateMap.get(edge.to),
+                symbols: [edge.regex]
+            }));
+        });
+
+        return nfa;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateElimination;
+}
@@ -0,0 +1,163 @@
+/**
+ * SubsetConstruction - Converts an NFA to a DFA one subset state at a time
+ *
+ * Each DFA state stands for the ε-closure of a set of NFA states. Expanding
+ * a DFA state computes, for every input symbol, the ε-closure of the states
+ * reachable on that symbol and adds any new subset as a new DFA state.
+ * Subsets that are empty are left out, so the DFA may be incomplete.
+ */
+class SubsetConstruction {
+    constructor(nfa) {
+        this.nfa = nfa;
+        this.dfa = new DFA();
+
+        // Subset key (sorted NFA state ids) -> { dfaState, nfaStates }
+        this.subsets = new Map();
+
+        // Subsets waiting to be expanded, in discovery order
+        this.queue = [];
+        this.started = false;
+    }
+
+    /**
+     * Get the key identifying a set of NFA states
+     */
+    static getKey(states) {
+        return Array.from(states).map(s => s.id).sort((a, b) => a - b).join(',');
+    }
+
+    /**
+     * Get the input symbols to expand on
+     */
+    getSymbols() {
+        return Array.from(this.nfa.alphabet).filter(symbol => symbol !== 'ε');
+    }
+
+    /**
+     * Get the NFA states a DFA state stands for
+     */
+    getSubset(dfaState) {
+        for (const entry of this.subsets.values()) {
+            if (entry.dfaState === dfaState) return entry.nfaStates;
+        }
+        return [];
+    }
+
+    /**
+     * Get the ε-transitions between states of a closure
+     */
+    getClosureTransitions(closure) {
+        const ids = new Set(closure.map(s => s.id));
+        return this.nfa.transitions.filter(t =>
+            t.isEpsilon() && ids.has(t.getFromStateId()) && ids.has(t.getToStateId()));
+    }
+
+    /**
+     * Find the DFA state for a closure, adding it if it is new
+     */
+    getOrAddState(closure) {
+        const key = SubsetConstruction.getKey(closure);
+        if (this.subsets.has(key)) {
+            return { dfaState: this.subsets.get(key).dfaState, isNew: false };
+        }
+
+        // Name by NFA state order so {q0,q1} reads the same however it was reached
+        const ordered = this.nfa.states.filter(s => closure.includes(s));
+        const dfaState = new State({
+            name: `{${ordered.map(s => s.name).join(',')}}`,
+            isFinal: ordered.some(s => s.isFinal)
+        });
+        this.dfa.addState(dfaState);
+        this.subsets.set(key, { dfaState: dfaState, nfaStates: ordered });
+        this.queue.push(dfaState);
+
+        return { dfaState: dfaState, isNew: true };
+    }
+
+    /**
+     * Create the initial DFA state from the ε-closure of the NFA's initial state
+     */
+    start() {
+        if (!this.nfa.initialState) {
+            throw new Error('The NFA has no initial state');
+        }
+
+        this.started = true;
+        const closure = Array.from(this.nfa.epsilonClosure([this.nfa.initialState]));
+        const { dfaState } = this.getOrAddState(closure);
+
+        return {
+            dfaState: dfaState,
+            subset: this.getSubset(dfaState),
+            transitions: this.getClosureTransitions(closure),
+            description: `Initial state ${dfaState.name}: ε-closure of ${this.nfa.initialState.name}`
+        };
+    }
+
+    /**
+     * Check if every DFA state has been expanded
+     */
+    isComplete() {
+        return this.started && this.queue.length === 0;
+    }
+
+    /**
+     * Expand the next DFA state; returns a description of the step, or null when done
+     */
+    expandNext() {
+        if (!this.started) return this.start();
+        if (this.queue.length === 0) return null;
+
+        const dfaState = this.queue.shift();
+        const subset = this.getSubset(dfaState);
+        const used = [];
+        const parts = [];
+
+        this.getSymbols().forEach(symbol => {
+            const moved = new Set();
+            subset.forEach(state => {
+                this.nfa.getTransitionsFrom(state).forEach(t => {
+                    if (!t.isEpsilon() && t.accepts(symbol)) {
+                        moved.add(this.nfa.getState(t.getToStateId()));
+                        used.push(t);
+                    }
+                });
+            });
+            if (moved.size === 0) return;
+
+            const closure = Array.from(this.nfa.epsilonClosure(Array.from(moved)));
+            used.push(...this.getClosureTransitions(closure));
+
+            const target = this.getOrAddState(closure);
+            this.dfa.addTransition(new Transition({
+                fromState: dfaState,
+                toState: target.dfaState,
+                symbols: [symbol]
+            }));
+            parts.push(`${symbol} → ${target.dfaState.name}${target.isNew ? ' (new)' : ''}`);
+        });
+
+        return {
+            dfaState: dfaState,
+            subset: subset,
+            transitions: Array.from(new Set(used)),
+            description: `Expanded ${dfaState.name}: ` + (parts.length > 0 ? parts.join(', ') : 'no transitions')
+        };
+    }
+
+    /**
+     * Expand all remaining states and return the laid-out DFA
+     */
+    run() {
+        while (!this.isComplete()) {
+            this.expandNext();
+        }
+        this.dfa.layoutStates();
+        return this.dfa;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubsetConstruction;
+}
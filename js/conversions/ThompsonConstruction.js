@@ -0,0 +1,141 @@
+/**
+ * ThompsonConstruction - Converts a regular expression to an NFA
+ *
+ * Each node of the expression becomes a fragment with one entry and one exit
+ * state, glued together with ε-transitions. States are numbered in
+ * breadth-first order from the start state once the construction is done.
+ */
+class ThompsonConstruction {
+    constructor(regex) {
+        this.regex = typeof regex === 'string' ? RegularExpression.parse(regex) : regex;
+
+        // Intermediate graph: nodes are plain integers, edges { from, to, symbol }
+        this.nodeCount = 0;
+        this.edges = [];
+    }
+
+    /**
+     * Create a fresh node
+     */
+    newNode() {
+        return this.nodeCount++;
+    }
+
+    /**
+     * Build the fragment { start, end } for an expression
+     */
+    buildFragment(expr) {
+        const start = this.newNode();
+        const end = this.newNode();
+        const epsilon = RegularExpression.EPSILON;
+
+        switch (expr.type) {
+            case 'empty':
+                // No path from start to end
+                break;
+
+            case 'epsilon':
+                this.edges.push({ from: start, to: end, symbol: epsilon });
+                break;
+
+            case 'symbol':
+                this.edges.push({ from: start, to: end, symbol: expr.symbol });
+                break;
+
+            case 'union':
+                expr.children.forEach(child => {
+                    const fragment = this.buildFragment(child);
+                    this.edges.push({ from: start, to: fragment.start, symbol: epsilon });
+                    this.edges.push({ from: fragment.end, to: end, symbol: epsilon });
+                });
+                break;
+
+            case 'concat': {
+                let previous = start;
+                expr.children.forEach(child => {
+                    const fragment = this.buildFragment(child);
+                    this.edges.push({ from: previous, to: fragment.start, symbol: epsilon });
+                    previous = fragment.end;
+                });
+                this.edges.push({ from: previous, to: end, symbol: epsilon });
+                break;
+            }
+
+            case 'star': {
+                const fragment = this.buildFragment(expr.children[0]);
+                this.edges.push({ from: start, to: fragment.start, symbol: epsilon });
+                this.edges.push({ from: fragment.end, to: fragment.start, symbol: epsilon });
+                this.edges.push({ from: fragment.end, to: end, symbol: epsilon });
+                this.edges.push({ from: start, to: end, symbol: epsilon });
+                break;
+            }
+        }
+
+        return { start, end };
+    }
+
+    /**
+     * Run the construction and return a laid-out NFA
+     */
+    build() {
+        this.nodeCount = 0;
+        this.edges = [];
+        const fragment = this.buildFragment(this.regex);
+
+        // Number nodes breadth-first from the start so q0 is the initial state
+        const order = new Map([[fragment.start, 0]]);
+        const queue = [fragment.start];
+        while (queue.length > 0) {
+            const node = queue.shift();
+            this.edges.filter(e => e.from === node).forEach(e => {
+                if (!order.has(e.to)) {
+                    order.set(e.to, order.size);
+                    queue.push(e.to);
+                }
+            });
+        }
+        if (!order.has(fragment.end)) {
+            order.set(fragment.end, order.size);
+        }
+
+        const nfa = new NFA();
+        const states = [];
+        order.forEach((id, node) => {
+            const state = new State({
+                id: id,
+                isInitial: node === fragment.start,
+                isFinal: node === fragment.end
+            });
+            states[id] = state;
+        });
+        states.forEach(state => nfa.states.push(state));
+        nfa.initialState = states[0];
+
+        this.edges
+            .filter(e => order.has(e.from))
+            .forEach((e, index) => {
+                const transition = new Transition({
+                    id: index,
+                    fromState: states[order.get(e.from)],
+                    toState: states[order.get(e.to)],
+                    symbols: [e.symbol]
+                });
+                nfa.transitions.push(transition);
+                if (e.symbol !== RegularExpression.EPSILON) {
+                    nfa.alphabet.add(e.symbol);
+                }
+            });
+
+        // Continue the global counters after the ids assigned here
+        State.setIdCounter(states.length);
+        Transition.setIdCounter(nfa.transitions.length);
+
+        nfa.layoutStates();
+        return nfa;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThompsonConstruction;
+}
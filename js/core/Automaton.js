@@ -1,6 +1,7 @@
 /**
  * Base Automaton class
- * This serves as the base class for DFA, NFA, PDA, and Turing Machine
+ * This serves as the base class for DFA, NFA, PDA, Turing Machine and the
+ * Mealy/Moore transducers
  */
 class Automaton {
     constructor(type = 'dfa') {
@@ -18,7 +19,8 @@ class Automaton {
         this.isRunning = false;
         this.isAccepted = null;
 
-        // History for undo/redo
+        // History for undo/redo; edits in the editor record it, the methods
+        // below do not, so conversions can build machines with them cheaply
         this.history = [];
         this.historyIndex = -1;
         this.maxHistory = 50;
@@ -44,7 +46,6 @@ class Automaton {
         }
 
         this.states.push(state);
-        this.saveToHistory();
         return state;
     }
 
@@ -71,8 +72,6 @@ class Automaton {
                 this.initialState.isInitial = true;
             }
         }
-
-        this.saveToHistory();
     }
 
     /**
@@ -89,7 +88,6 @@ class Automaton {
         }
 
         this.transitions.push(transition);
-        this.saveToHistory();
         return transition;
     }
 
@@ -99,7 +97,6 @@ class Automaton {
     removeTransition(transition) {
         const transitionId = typeof transition === 'object' ? transition.id : transition;
         this.transitions = this.transitions.filter(t => t.id !== transitionId);
-        this.saveToHistory();
     }
 
     /**
@@ -157,7 +154,6 @@ class Automaton {
             stateObj.isInitial = true;
             this.initialState = stateObj;
         }
-        this.saveToHistory();
     }
 
     /**
@@ -167,6 +163,21 @@ class Automaton {
         return this.states.filter(s => s.isFinal);
     }
 
+    /**
+     * Arrange the states with a GraphLayout algorithm ('layered' by default).
+     * Used for machines produced by conversions, which have no positions of their own.
+     */
+    layoutStates(options = {}) {
+        GraphLayout.apply(this, options.algorithm || 'layered', options);
+    }
+
+    /**
+     * Check if states overlap, e.g. after importing a file without coordinates
+     */
+    needsLayout() {
+        return GraphLayout.needsLayout(this);
+    }
+
     /**
      * Clear all states and transitions
      */
@@ -178,7 +189,6 @@ class Automaton {
         this.resetSimulation();
         State.resetIdCounter();
         Transition.resetIdCounter();
-        this.saveToHistory();
     }
 
     /**
@@ -221,6 +231,36 @@ class Automaton {
         return this.currentStates.size > 0;
     }
 
+    /**
+     * Capture the simulation state so a run can be stepped back to it
+     * Subclasses add the state of their own simulation
+     */
+    getSimulationSnapshot() {
+        return {
+            currentStates: Array.from(this.currentStates),
+            inputIndex: this.inputIndex,
+            traceLength: this.trace.length,
+            isAccepted: this.isAccepted,
+            activeStates: this.states.filter(s => s.active),
+            highlightedTransitions: this.transitions.filter(t => t.highlighted)
+        };
+    }
+
+    /**
+     * Restore a snapshot from getSimulationSnapshot(); the trace is cut back
+     * to the entries that existed then
+     */
+    restoreSimulationSnapshot(snapshot, trace = this.trace) {
+        this.currentStates = new Set(snapshot.currentStates);
+        this.inputIndex = snapshot.inputIndex;
+        this.trace = trace.slice(0, snapshot.traceLength);
+        this.isAccepted = snapshot.isAccepted;
+        this.isRunning = false;
+
+        this.states.forEach(s => s.active = snapshot.activeStates.includes(s));
+        this.transitions.forEach(t => t.highlighted = snapshot.highlightedTransitions.includes(t));
+    }
+
     /**
      * Perform one step of simulation
      * To be overridden by subclasses
@@ -261,6 +301,13 @@ class Automaton {
         return this.isAccepted;
     }
 
+    /**
+     * Check if this machine produces output instead of accepting (Mealy/Moore)
+     */
+    isTransducer() {
+        return this.type === 'mealy' || this.type === 'moore';
+    }
+
     /**
      * Test if a string is accepted
      */
@@ -289,11 +336,75 @@ class Automaton {
         };
     }
 
+    /**
+     * Check whether this automaton and another DFA/NFA accept the same language.
+     * Both are determinized and explored together as a product automaton in
+     * breadth-first order, so the counterexample (if any) is a shortest one.
+     * Returns { equivalent: true } or
+     * { equivalent: false, counterexample, acceptedByThis, acceptedByOther }.
+     */
+    checkEquivalence(other) {
+        [this, other].forEach(automaton => {
+            if (automaton.type !== 'dfa' && automaton.type !== 'nfa') {
+                throw new Error('Equivalence checking requires a DFA or NFA');
+            }
+            if (!automaton.initialState) {
+                throw new Error('Cannot compare: an automaton has no initial state');
+            }
+        });
+
+        const left = this.type === 'nfa' ? this.toDFA() : this;
+        const right = other.type === 'nfa' ? other.toDFA() : other;
+        const alphabet = Array.from(new Set([...left.alphabet, ...right.alphabet]))
+            .filter(s => s !== 'ε')
+            .sort();
+
+        // A missing state (null) is the implicit trap state of a partial DFA
+        const isFinal = state => state !== null && state.isFinal;
+        const next = (dfa, state, symbol) => state === null ? null : dfa.getNextState(state, symbol);
+        const key = (a, b) => `${a ? a.id : '-'},${b ? b.id : '-'}`;
+
+        const queue = [{ left: left.initialState, right: right.initialState, word: '' }];
+        const visited = new Set([key(left.initialState, right.initialState)]);
+
+        while (queue.length > 0) {
+            const pair = queue.shift();
+
+            if (isFinal(pair.left) !== isFinal(pair.right)) {
+                return {
+                    equivalent: false,
+                    counterexample: pair.word,
+                    acceptedByThis: isFinal(pair.left),
+                    acceptedByOther: isFinal(pair.right)
+                };
+            }
+
+            alphabet.forEach(symbol => {
+                const a = next(left, pair.left, symbol);
+                const b = next(right, pair.right, symbol);
+                const k = key(a, b);
+                if (a === null && b === null) return;
+                if (!visited.has(k)) {
+                    visited.add(k);
+                    queue.push({ left: a, right: b, word: pair.word + symbol });
+                }
+            });
+        }
+
+        return { equivalent: true };
+    }
+
     /**
      * Save current state to history
      */
     saveToHistory() {
-        const snapshot = this.toJSON();
+        // Snapshots are stored serialized so later edits cannot mutate them
+        const snapshot = JSON.stringify(this.toJSON());
+
+        // Skip no-op entries (e.g. a click that did not move anything)
+        if (this.historyIndex >= 0 && this.history[this.historyIndex] === snapshot) {
+            return;
+        }
 
         // Remove any future history if we're not at the end
         if (this.historyIndex < this.history.length - 1) {
@@ -310,13 +421,35 @@ class Automaton {
         }
     }
 
+    /**
+     * Start a fresh history with the current state as its only entry
+     */
+    resetHistory() {
+        this.history = [JSON.stringify(this.toJSON())];
+        this.historyIndex = 0;
+    }
+
+    /**
+     * Check if there is an action to undo
+     */
+    canUndo() {
+        return this.historyIndex > 0;
+    }
+
+    /**
+     * Check if there is an undone action to redo
+     */
+    canRedo() {
+        return this.historyIndex < this.history.length - 1;
+    }
+
     /**
      * Undo last action
      */
     undo() {
         if (this.historyIndex > 0) {
             this.historyIndex--;
-            this.loadFromJSON(this.history[this.historyIndex]);
+            this.loadFromJSON(JSON.parse(this.history[this.historyIndex]));
             return true;
         }
         return false;
@@ -328,7 +461,7 @@ class Automaton {
     redo() {
         if (this.historyIndex < this.history.length - 1) {
             this.historyIndex++;
-            this.loadFromJSON(this.history[this.historyIndex]);
+            this.loadFromJSON(JSON.parse(this.history[this.historyIndex]));
             return true;
         }
         return false;
@@ -367,7 +500,19 @@ class Automaton {
             this.initialState = this.states.find(s => s.isInitial) || null;
         }
 
-        // Update ID counters to continue from max IDs
+        this.syncIdCounters();
+        this.resetSimulation();
+
+        if (!clearHistory) {
+            // Don't save to history when loading
+        }
+    }
+
+    /**
+     * Update the ID counters to continue from this automaton's max IDs.
+     * The counters are shared, so this is needed when switching between open automata.
+     */
+    syncIdCounters() {
         if (this.states.length > 0) {
             const maxStateId = Math.max(...this.states.map(s => s.id));
             State.setIdCounter(maxStateId + 1);
@@ -376,147 +521,71 @@ class Automaton {
             const maxTransitionId = Math.max(...this.transitions.map(t => t.id));
             Transition.setIdCounter(maxTransitionId + 1);
         }
+    }
 
-        this.resetSimulation();
-
-        if (!clearHistory) {
-            // Don't save to history when loading
+    /**
+     * Create an empty automaton of the given type
+     */
+    static create(type) {
+        switch (type) {
+            case 'nfa':
+                return new NFA();
+            case 'pda':
+                return new PDA();
+            case 'tm':
+                return new TuringMachine();
+            case 'mealy':
+                return new MealyMachine();
+            case 'moore':
+                return new MooreMachine();
+            case 'dfa':
+            default:
+                return new DFA();
         }
     }
 
+    /**
+     * Create an automaton of the right type from JSON
+     */
+    static fromJSON(json) {
+        const automaton = Automaton.create(json.type || 'dfa');
+        automaton.loadFromJSON(json);
+        return automaton;
+    }
+
     /**
      * Export to JFLAP XML format
      */
     toJFLAPXML() {
-        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-        xml += '<structure>\n';
-        xml += `  <type>${this.type}</type>\n`;
-        xml += '  <automaton>\n';
-
-        // States
-        this.states.forEach((state, index) => {
-            xml += `    <state id="${state.id}" name="${state.name}">\n`;
-            xml += `      <x>${state.x}</x>\n`;
-            xml += `      <y>${state.y}</y>\n`;
-            if (state.isInitial) xml += '      <initial/>\n';
-            if (state.isFinal) xml += '      <final/>\n';
-            xml += '    </state>\n';
-        });
-
-        // Transitions
-        this.transitions.forEach(t => {
-            xml += '    <transition>\n';
-            xml += `      <from>${t.getFromStateId()}</from>\n`;
-            xml += `      <to>${t.getToStateId()}</to>\n`;
-
-            if (this.type === 'tm') {
-                xml += `      <read>${t.readSymbol || ''}</read>\n`;
-                xml += `      <write>${t.writeSymbol || ''}</write>\n`;
-                xml += `      <move>${t.direction || 'R'}</move>\n`;
-            } else if (this.type === 'pda') {
-                xml += `      <read>${t.symbols[0] || ''}</read>\n`;
-                xml += `      <pop>${t.stackRead || ''}</pop>\n`;
-                xml += `      <push>${t.stackWrite || ''}</push>\n`;
-            } else {
-                t.symbols.forEach(symbol => {
-                    xml += `      <read>${symbol === 'ε' ? '' : symbol}</read>\n`;
-                });
-            }
-
-            xml += '    </transition>\n';
-        });
-
-        xml += '  </automaton>\n';
-        xml += '</structure>';
-
-        return xml;
+        return JFLAPFormat.write(this);
     }
 
     /**
      * Create from JFLAP XML
      */
     static fromJFLAPXML(xmlString) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(xmlString, 'text/xml');
-
-        const typeElem = doc.querySelector('type');
-        const type = typeElem ? typeElem.textContent : 'fa';
-
-        let automaton;
-        switch (type) {
-            case 'turing':
-            case 'tm':
-                automaton = new TuringMachine();
-                break;
-            case 'pda':
-                automaton = new PDA();
-                break;
-            case 'fa':
-            default:
-                // Determine if DFA or NFA based on transitions
-                automaton = new NFA(); // Default to NFA, validate later
-        }
-
-        // Parse states
-        const stateElems = doc.querySelectorAll('state');
-        stateElems.forEach(elem => {
-            const state = new State({
-                id: parseInt(elem.getAttribute('id')),
-                name: elem.getAttribute('name'),
-                x: parseFloat(elem.querySelector('x')?.textContent || 100),
-                y: parseFloat(elem.querySelector('y')?.textContent || 100),
-                isInitial: elem.querySelector('initial') !== null,
-                isFinal: elem.querySelector('final') !== null
-            });
-            automaton.states.push(state);
-            if (state.isInitial) {
-                automaton.initialState = state;
-            }
-        });
-
-        // Update state ID counter
-        if (automaton.states.length > 0) {
-            State.setIdCounter(Math.max(...automaton.states.map(s => s.id)) + 1);
-        }
-
-        // Parse transitions
-        const transElems = doc.querySelectorAll('transition');
-        transElems.forEach(elem => {
-            const fromId = parseInt(elem.querySelector('from').textContent);
-            const toId = parseInt(elem.querySelector('to').textContent);
-            const fromState = automaton.states.find(s => s.id === fromId);
-            const toState = automaton.states.find(s => s.id === toId);
-
-            const transition = new Transition({
-                fromState: fromState,
-                toState: toState
-            });
-
-            if (type === 'turing' || type === 'tm') {
-                transition.readSymbol = elem.querySelector('read')?.textContent || '□';
-                transition.writeSymbol = elem.querySelector('write')?.textContent || '□';
-                transition.direction = elem.querySelector('move')?.textContent || 'R';
-            } else if (type === 'pda') {
-                const read = elem.querySelector('read')?.textContent || '';
-                transition.symbols = [read || 'ε'];
-                transition.stackRead = elem.querySelector('pop')?.textContent || 'ε';
-                transition.stackWrite = elem.querySelector('push')?.textContent || 'ε';
-            } else {
-                const read = elem.querySelector('read')?.textContent || '';
-                transition.symbols = [read || 'ε'];
-            }
+        return JFLAPFormat.parseAutomaton(xmlString);
+    }
 
-            automaton.transitions.push(transition);
+    /**
+     * Export as a TikZ picture for LaTeX
+     */
+    toTikZ() {
+        return TikZFormat.write(this);
+    }
 
-            // Add to alphabet
-            if (transition.symbols) {
-                transition.symbols.forEach(s => {
-                    if (s && s !== 'ε') automaton.alphabet.add(s);
-                });
-            }
-        });
+    /**
+     * Export as a Graphviz DOT graph
+     */
+    toDOT() {
+        return DOTFormat.write(this);
+    }
 
-        return automaton;
+    /**
+     * Create from a Graphviz DOT graph
+     */
+    static fromDOT(text) {
+        return DOTFormat.parse(text);
     }
 }
 
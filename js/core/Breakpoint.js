@@ -0,0 +1,198 @@
+/**
+ * Breakpoint - Conditions that pause a simulation run
+ *
+ * States and transitions hold a breakpoint as a condition string: '' always
+ * breaks, otherwise comparisons of run values joined by "and" / "or", e.g.
+ *   head position > 50
+ *   stack depth >= 10 and input position < 3
+ * A PDA or Turing machine breaks when the condition holds for any of its
+ * live configurations; a state's breakpoint only looks at the
+ * configurations in that state.
+ */
+class Breakpoint {
+    // Value name -> machine types it applies to (null: all)
+    static VALUES = {
+        'step': null,
+        'input position': ['dfa', 'nfa', 'pda', 'mealy', 'moore'],
+        'head position': ['tm'],
+        'stack depth': ['pda'],
+        'configurations': ['nfa', 'pda', 'tm'],
+        'output length': ['mealy', 'moore']
+    };
+
+    static ALIASES = {
+        'position': 'input position',
+        'head': 'head position',
+        'stack': 'stack depth',
+        'stack size': 'stack depth',
+        'branches': 'configurations'
+    };
+
+    static OPERATORS = ['>=', '<=', '!=', '==', '>', '<', '='];
+
+    /**
+     * Parse a condition into alternatives of comparisons:
+     * [[{ name, tape, operator, value }]] (or of ands)
+     */
+    static parseCondition(text, machineType = null) {
+        const source = text.trim().toLowerCase();
+        if (source === '') return [];
+
+        return source.split(/\s+or\s+|\s*\|\|\s*/).map(alternative =>
+            alternative.split(/\s+and\s+|\s*&&\s*/).map(comparison =>
+                Breakpoint.parseComparison(comparison, machineType)));
+    }
+
+    /**
+     * Parse one comparison, e.g. "head position 2 > 50" (tape 2)
+     */
+    static parseComparison(text, machineType) {
+        const operator = Breakpoint.OPERATORS.find(op => text.includes(op));
+        if (!operator) {
+            throw new Error(`"${text}" is not a comparison, e.g. head position > 50`);
+        }
+
+        const [left, right] = text.split(operator).map(part => part.trim());
+        const value = Number(right);
+        if (right === '' || isNaN(value)) {
+            throw new Error(`"${right}" is not a number in "${text}"`);
+        }
+
+        // A trailing number selects the tape of a multi-tape machine
+        const match = left.replace(/\s+/g, ' ').match(/^(.*?)(?: (\d+))?$/);
+        const name = Breakpoint.ALIASES[match[1]] || match[1];
+        if (!(name in Breakpoint.VALUES)) {
+            throw new Error(`Unknown value "${match[1]}"; use ${Object.keys(Breakpoint.VALUES).join(', ')}`);
+        }
+
+        const types = Breakpoint.VALUES[name];
+        if (machineType && types && !types.includes(machineType)) {
+            throw new Error(`"${name}" does not apply to this machine type`);
+        }
+        if (match[2] !== undefined && name !== 'head position') {
+            throw new Error(`Only head position takes a tape number, found "${left}"`);
+        }
+
+        return {
+            name: name,
+            tape: match[2] !== undefined ? parseInt(match[2]) - 1 : 0,
+            operator: operator,
+            value: value
+        };
+    }
+
+    /**
+     * Check a condition string; returns an error message or null
+     */
+    static validate(text, machineType = null) {
+        try {
+            Breakpoint.parseCondition(text, machineType);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Get the live configurations to evaluate a condition against, those in
+     * the given state if one is given. Finite automata and transducers, and
+     * machines that have stopped, have only the automaton's own.
+     */
+    static getConfigurations(automaton, state = null) {
+        if (!automaton.configurations || automaton.configurations.length === 0) {
+            return [automaton];
+        }
+        return state
+            ? automaton.configurations.filter(config => config.state === state)
+            : automaton.configurations;
+    }
+
+    /**
+     * Get a value of a configuration: a PDA's { state, inputIndex, stack },
+     * a Turing machine's { state, tapes }, or the automaton itself
+     */
+    static getValue(automaton, configuration, name, tape, step) {
+        switch (name) {
+            case 'step':
+                return step;
+            case 'input position':
+                return configuration.inputIndex;
+            case 'head position': {
+                if (configuration === automaton) return automaton.getHeadPosition(tape);
+                const cells = configuration.tapes[tape];
+                return cells ? cells.head + cells.start : 0;
+            }
+            case 'stack depth':
+                return configuration.stack.length;
+            case 'configurations':
+                return automaton.configurations ? automaton.configurations.length : automaton.currentStates.size;
+            case 'output length':
+                return automaton.output.length;
+        }
+        return 0;
+    }
+
+    /**
+     * Compare two numbers
+     */
+    static compare(left, operator, right) {
+        switch (operator) {
+            case '>': return left > right;
+            case '>=': return left >= right;
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '!=': return left !== right;
+            default: return left === right;
+        }
+    }
+
+    /**
+     * Check if a condition holds for any of the automaton's live
+     * configurations, or only those in the given state; the empty condition
+     * always holds
+     */
+    static evaluate(condition, automaton, step, state = null) {
+        const alternatives = Breakpoint.parseCondition(condition, automaton.type);
+        if (alternatives.length === 0) return true;
+
+        return Breakpoint.getConfigurations(automaton, state).some(configuration =>
+            alternatives.some(comparisons => comparisons.every(c => Breakpoint.compare(
+                Breakpoint.getValue(automaton, configuration, c.name, c.tape, step), c.operator, c.value))));
+    }
+
+    /**
+     * Find the breakpoint hit after a step: on a current state, on a
+     * transition just taken, or the run-wide condition. Returns a
+     * description, or null when the run should go on.
+     */
+    static check(automaton, step, condition = '') {
+        const conditionText = (c) => c ? ` (${c})` : '';
+
+        for (const state of automaton.currentStates) {
+            if (state.breakpoint !== null && Breakpoint.evaluate(state.breakpoint, automaton, step, state)) {
+                return `Breakpoint at ${state.name}${conditionText(state.breakpoint)}`;
+            }
+        }
+
+        for (const transition of automaton.transitions) {
+            if (transition.highlighted && transition.breakpoint !== null &&
+                Breakpoint.evaluate(transition.breakpoint, automaton, step)) {
+                const from = automaton.getState(transition.getFromStateId());
+                const to = automaton.getState(transition.getToStateId());
+                return `Breakpoint on ${from.name} → ${to.name}: ${transition.getLabel(automaton.type)}` +
+                    conditionText(transition.breakpoint);
+            }
+        }
+
+        if (condition.trim() !== '' && Breakpoint.evaluate(condition, automaton, step)) {
+            return `Condition met: ${condition.trim()}`;
+        }
+
+        return null;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Breakpoint;
+}
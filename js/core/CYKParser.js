@@ -0,0 +1,148 @@
+/**
+ * CYKParser - Membership testing for context-free grammars
+ *
+ * The grammar is converted to Chomsky normal form first (unless it already
+ * is). Cell table[length - 1][start] holds the variables deriving the
+ * substring of that length at that position; cells are filled shortest
+ * substrings first and each fill is recorded as a step.
+ */
+class CYKParser {
+    constructor(grammar) {
+        const validation = grammar.validate();
+        if (!validation.isValid) {
+            throw new Error(validation.errors[0]);
+        }
+
+        if (ChomskyNormalForm.isCNF(grammar)) {
+            this.grammar = grammar;
+            this.helpers = new Map();
+        } else {
+            const cnf = new ChomskyNormalForm(grammar);
+            this.grammar = cnf.convert();
+            this.helpers = cnf.helpers;
+        }
+
+        this.terminalRules = this.grammar.productions.filter(p => p.rhs.length === 1);
+        this.binaryRules = this.grammar.productions.filter(p => p.rhs.length === 2);
+    }
+
+    /**
+     * Parse an input string; returns the table, fill steps and parse tree
+     */
+    parse(input) {
+        const symbols = Array.from(input);
+        const n = symbols.length;
+        const start = this.grammar.startVariable;
+
+        if (n === 0) {
+            const accepted = this.grammar.productions.some(p => p.lhs === start && p.rhs.length === 0);
+            return {
+                input: input,
+                accepted: accepted,
+                table: [],
+                steps: [],
+                tree: accepted ? { symbol: start, children: [{ symbol: Grammar.EPSILON, children: [] }] } : null
+            };
+        }
+
+        // Back pointers: table[length - 1][position] is a Map variable -> how it was derived
+        const table = [];
+        const steps = [];
+
+        for (let length = 1; length <= n; length++) {
+            const row = [];
+            for (let position = 0; position + length <= n; position++) {
+                const cell = new Map();
+
+                if (length === 1) {
+                    this.terminalRules
+                        .filter(p => p.rhs[0] === symbols[position])
+                        .forEach(p => cell.set(p.lhs, { terminal: symbols[position] }));
+                } else {
+                    for (let split = 1; split < length; split++) {
+                        const left = table[split - 1][position];
+                        const right = table[length - split - 1][position + split];
+                        this.binaryRules.forEach(p => {
+                            if (!cell.has(p.lhs) && left.has(p.rhs[0]) && right.has(p.rhs[1])) {
+                                cell.set(p.lhs, { split: split, left: p.rhs[0], right: p.rhs[1] });
+                            }
+                        });
+                    }
+                }
+
+                row.push(cell);
+                const substring = symbols.slice(position, position + length).join('');
+                const variables = Array.from(cell.keys());
+                steps.push({
+                    length: length,
+                    position: position,
+                    variables: variables,
+                    description: `"${substring}" (${position + 1}..${position + length}): ` +
+                        (variables.length > 0 ? `{${variables.join(', ')}}` : '∅')
+                });
+            }
+            table.push(row);
+        }
+
+        const accepted = table[n - 1][0].has(start);
+        return {
+            input: input,
+            accepted: accepted,
+            table: table.map(row => row.map(cell => Array.from(cell.keys()))),
+            steps: steps,
+            tree: accepted ? this.buildTree(table, start, n, 0) : null
+        };
+    }
+
+    /**
+     * Build the parse tree for a cell, flattening variables added by the CNF
+     * conversion so the tree follows the original rules where possible
+     */
+    buildTree(table, variable, length, position) {
+        const entry = table[length - 1][position].get(variable);
+
+        let children;
+        if (entry.terminal !== undefined) {
+            children = [{ symbol: entry.terminal, children: [] }];
+        } else {
+            children = [
+                this.buildTree(table, entry.left, entry.split, position),
+                this.buildTree(table, entry.right, length - entry.split, position + entry.split)
+            ];
+        }
+
+        return {
+            symbol: variable,
+            children: children.flatMap(child =>
+                this.helpers.has(child.symbol) ? child.children : [child])
+        };
+    }
+
+    /**
+     * Get the leftmost derivation of a parse tree as a list of sentential forms
+     */
+    static getDerivation(tree) {
+        const forms = [];
+        let frontier = [tree];
+
+        const format = (nodes) => nodes.length === 0
+            ? Grammar.EPSILON
+            : Grammar.formatRHS(nodes.map(node => node.symbol));
+
+        forms.push(format(frontier));
+        let index = frontier.findIndex(node => node.children.length > 0);
+        while (index !== -1) {
+            const children = frontier[index].children.filter(c => c.symbol !== Grammar.EPSILON);
+            frontier = [...frontier.slice(0, index), ...children, ...frontier.slice(index + 1)];
+            forms.push(format(frontier));
+            index = frontier.findIndex(node => node.children.length > 0);
+        }
+
+        return forms;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CYKParser;
+}
@@ -0,0 +1,172 @@
+/**
+ * ComputationTree - Every run of an NFA or PDA on an input, as a tree
+ *
+ * Each node is a configuration (state, input position and, for a PDA, the
+ * stack) reached by the transition on the edge from its parent. Nodes are
+ * expanded breadth-first, so the first accepting node found ends a shortest
+ * accepting path. A configuration that repeats one of its ancestors is not
+ * expanded again, and expansion stops once maxNodes nodes exist.
+ */
+class ComputationTree {
+    constructor(automaton, input, maxNodes = 300) {
+        this.automaton = automaton;
+        this.input = input;
+        this.maxNodes = maxNodes;
+
+        // Nodes: { id, config, transition, parent, children, depth, status, onAcceptingPath }
+        // status is 'expanded', 'accepting', 'dead', 'repeated' or 'unexplored'
+        this.root = null;
+        this.nodes = [];
+        this.acceptingNode = null;
+        this.truncated = false;
+    }
+
+    /**
+     * Get the key identifying a configuration (stack symbols are joined with
+     * a NUL, so ['ab', 'c'] and ['a', 'bc'] stay apart)
+     */
+    static getKey(config) {
+        return `${config.state.id}|${config.inputIndex}|${config.stack ? config.stack.join('\u0000') : ''}`;
+    }
+
+    /**
+     * Add a node for a configuration
+     */
+    addNode(config, transition, parent) {
+        const node = {
+            id: this.nodes.length,
+            config: config,
+            transition: transition,
+            parent: parent,
+            children: [],
+            depth: parent ? parent.depth + 1 : 0,
+            status: 'unexplored',
+            onAcceptingPath: false
+        };
+        this.nodes.push(node);
+        if (parent) parent.children.push(node);
+        return node;
+    }
+
+    /**
+     * Check if a node's configuration already occurs on the path to it
+     */
+    isRepeated(node) {
+        const key = ComputationTree.getKey(node.config);
+        for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+            if (ComputationTree.getKey(ancestor.config) === key) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Build the tree and return its root
+     */
+    build() {
+        const automaton = this.automaton;
+        if (!automaton.initialState) {
+            throw new Error('The automaton has no initial state');
+        }
+
+        const start = { state: automaton.initialState, inputIndex: 0 };
+        if (automaton.type === 'pda') {
+            start.stack = [automaton.initialStackSymbol];
+        }
+        this.root = this.addNode(start, null, null);
+
+        const queue = [this.root];
+        while (queue.length > 0) {
+            const node = queue.shift();
+
+            if (automaton.isAcceptingConfiguration(node.config, this.input)) {
+                node.status = 'accepting';
+                if (!this.acceptingNode) this.acceptingNode = node;
+                continue;
+            }
+            if (this.isRepeated(node)) {
+                node.status = 'repeated';
+                continue;
+            }
+
+            const next = automaton.getNextConfigurations(node.config, this.input);
+            if (next.length === 0) {
+                node.status = 'dead';
+                continue;
+            }
+            if (this.truncated || this.nodes.length + next.length > this.maxNodes) {
+                this.truncated = true;
+                continue;
+            }
+
+            node.status = 'expanded';
+            next.forEach(({ config, transition }) => queue.push(this.addNode(config, transition, node)));
+        }
+
+        for (let node = this.acceptingNode; node; node = node.parent) {
+            node.onAcceptingPath = true;
+        }
+        return this.root;
+    }
+
+    /**
+     * Get the label of the edge into a node: the symbol read and, for a PDA,
+     * the stack operation
+     */
+    getEdgeLabel(node) {
+        if (!node.parent) return '';
+
+        const read = node.config.inputIndex > node.parent.config.inputIndex
+            ? this.input[node.parent.config.inputIndex]
+            : 'ε';
+        if (this.automaton.type !== 'pda') return read;
+
+        const t = node.transition;
+        return `${read}, ${t.stackRead || 'ε'} → ${t.stackWrite || 'ε'}`;
+    }
+
+    /**
+     * Describe a node's configuration
+     */
+    describeNode(node) {
+        const config = node.config;
+        let text = `${config.state.name}, remaining: ${this.input.substring(config.inputIndex) || 'ε'}`;
+        if (config.stack) {
+            text += `, stack: ${config.stack.join('') || 'ε'}`;
+        }
+
+        switch (node.status) {
+            case 'accepting':
+                return `${text} (accepting)`;
+            case 'dead':
+                return `${text} (dead: no transition applies)`;
+            case 'repeated':
+                return `${text} (repeats an earlier configuration on this path)`;
+            case 'unexplored':
+                return `${text} (not explored: node limit reached)`;
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Summarize the tree
+     */
+    getSummary() {
+        const dead = this.nodes.filter(n => n.status === 'dead').length;
+        const counts = `${this.nodes.length} configurations, ${dead} dead`;
+
+        if (this.acceptingNode) {
+            const steps = this.acceptingNode.depth;
+            return `Accepted: shortest accepting path has ${steps} step${steps === 1 ? '' : 's'} (${counts})`;
+        }
+        if (this.truncated) {
+            return `No accepting path within ${this.maxNodes} configurations (${counts})`;
+        }
+        return `Rejected: no branch accepts (${counts})`;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComputationTree;
+}
@@ -0,0 +1,491 @@
+/**
+ * DOTFormat - Reads and writes automata as Graphviz DOT graphs
+ *
+ * Nodes are states and edges are transitions, with the transition in the
+ * edge label (one per line), written as on the canvas: "a, b", "a, Z → AZ",
+ * "0 → 1, R", "a/1". Final states are doublecircles and the initial state
+ * is the target of an edge from a point (or invisible) node. Positions are
+ * kept in pos attributes. Graphs from other tools usually do not say what
+ * machine they are, so the type is guessed from the labels unless the
+ * graph has a machine_type attribute, as written by JFLAP Online.
+ */
+class DOTFormat {
+    // Values of the machine_type attribute; 'fa' is a DFA when deterministic, otherwise an NFA
+    static TYPES = ['fa', 'dfa', 'nfa', 'pda', 'tm', 'mealy', 'moore'];
+
+    // Node shapes that mark the start of the initial arrow rather than a state
+    static MARKER_SHAPES = ['point', 'none', 'plaintext', 'plain'];
+
+    // ==================== Reading ====================
+
+    /**
+     * Read a DOT graph into an automaton; type overrides the guessed machine type
+     */
+    static parse(text, type = null) {
+        return DOTFormat.readAutomaton(DOTFormat.parseGraph(text), type);
+    }
+
+    /**
+     * Split DOT source into tokens: { type: 'id' | 'punct', value, quoted }
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            const rest = text.slice(i, i + 2);
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (rest === '//' || (char === '#' && (i === 0 || text[i - 1] === '\n'))) {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (rest === '/*') {
+                const end = text.indexOf('*/', i + 2);
+                if (end === -1) throw new Error('Unterminated comment');
+                i = end + 2;
+            } else if (rest === '->' || rest === '--') {
+                tokens.push({ type: 'punct', value: rest });
+                i += 2;
+            } else if ('{}[];,=:'.includes(char)) {
+                tokens.push({ type: 'punct', value: char });
+                i++;
+            } else if (char === '"') {
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && text[i + 1] === '"') {
+                        value += '"';
+                        i += 2;
+                    } else if (text[i] === '\\' && text[i + 1] === '\n') {
+                        i += 2;
+                    } else {
+                        value += text[i++];
+                    }
+                }
+                if (i >= text.length) throw new Error('Unterminated string');
+                i++;
+
+                // "a" + "b" is one string
+                const previous = tokens[tokens.length - 1];
+                if (previous && previous.concat) {
+                    previous.value += value;
+                    previous.concat = false;
+                } else {
+                    tokens.push({ type: 'id', value, quoted: true });
+                }
+            } else if (char === '+' && tokens.length > 0 && tokens[tokens.length - 1].quoted) {
+                tokens[tokens.length - 1].concat = true;
+                i++;
+            } else if (char === '<') {
+                // HTML label: keep the text without tags
+                let depth = 0;
+                const start = i;
+                do {
+                    if (text[i] === '<') depth++;
+                    if (text[i] === '>') depth--;
+                    i++;
+                } while (i < text.length && depth > 0);
+                if (depth > 0) throw new Error('Unterminated HTML label');
+                const html = text.slice(start + 1, i - 1).replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '');
+                tokens.push({ type: 'id', value: DOTFormat.decodeEntities(html), quoted: true });
+            } else {
+                const match = text.slice(i).match(/^(-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/);
+                if (!match) {
+                    const line = text.slice(0, i).split('\n').length;
+                    throw new Error(`Unexpected "${char}" on line ${line}`);
+                }
+                tokens.push({ type: 'id', value: match[0], quoted: false });
+                i += match[0].length;
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Decode the XML entities of an HTML label
+     */
+    static decodeEntities(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Parse DOT source into { attributes, nodes: Map(name -> attributes), edges: [{ from, to, attributes }] }
+     */
+    static parseGraph(text) {
+        const tokens = DOTFormat.tokenize(text);
+        const graph = { attributes: {}, nodes: new Map(), edges: [] };
+        let position = 0;
+
+        const peek = (offset = 0) => tokens[position + offset];
+        const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+        const isKeyword = (token, value) => token && token.type === 'id' && !token.quoted &&
+            token.value.toLowerCase() === value;
+        const next = () => {
+            if (position >= tokens.length) throw new Error('Unexpected end of the graph');
+            return tokens[position++];
+        };
+        const expect = (value) => {
+            const token = next();
+            if (!isPunct(token, value)) {
+                throw new Error(`Expected "${value}" but found "${token.value}"`);
+            }
+        };
+        const readId = () => {
+            const token = next();
+            if (token.type !== 'id') throw new Error(`Expected a name but found "${token.value}"`);
+            return token.value;
+        };
+
+        const readAttributes = () => {
+            const attributes = {};
+            while (isPunct(peek(), '[')) {
+                next();
+                while (!isPunct(peek(), ']')) {
+                    const key = readId();
+                    if (isPunct(peek(), '=')) {
+                        next();
+                        attributes[key] = readId();
+                    } else {
+                        attributes[key] = 'true';
+                    }
+                    if (isPunct(peek(), ',') || isPunct(peek(), ';')) next();
+                }
+                expect(']');
+            }
+            return attributes;
+        };
+
+        const addNode = (name, scope, mentioned) => {
+            if (!graph.nodes.has(name)) {
+                graph.nodes.set(name, { ...scope.node });
+            }
+            mentioned.push(name);
+        };
+
+        // An edge end: a node (ports are ignored) or a subgraph's nodes
+        const readEndpoint = (scope, mentioned) => {
+            if (isPunct(peek(), '{') || isKeyword(peek(), 'subgraph')) {
+                return readSubgraph(scope, mentioned);
+            }
+            const name = readId();
+            while (isPunct(peek(), ':')) {
+                next();
+                readId();
+            }
+            addNode(name, scope, mentioned);
+            return [name];
+        };
+
+        const readSubgraph = (scope, mentioned) => {
+            if (isKeyword(peek(), 'subgraph')) {
+                next();
+                if (!isPunct(peek(), '{')) readId();
+            }
+            expect('{');
+            const inner = [];
+            readStatements({ node: { ...scope.node }, edge: { ...scope.edge } }, inner);
+            expect('}');
+            mentioned.push(...inner);
+            return inner;
+        };
+
+        const readStatement = (scope, mentioned) => {
+            const token = peek();
+            if (['graph', 'node', 'edge'].some(keyword => isKeyword(token, keyword)) && isPunct(peek(1), '[')) {
+                next();
+                const attributes = readAttributes();
+                const keyword = token.value.toLowerCase();
+                if (keyword === 'graph') {
+                    Object.assign(graph.attributes, attributes);
+                } else {
+                    scope[keyword] = { ...scope[keyword], ...attributes };
+                }
+                return;
+            }
+            if (token.type === 'id' && isPunct(peek(1), '=')) {
+                const key = readId();
+                next();
+                graph.attributes[key] = readId();
+                return;
+            }
+
+            const ends = [readEndpoint(scope, mentioned)];
+            while (isPunct(peek(), '->') || isPunct(peek(), '--')) {
+                next();
+                ends.push(readEndpoint(scope, mentioned));
+            }
+            const attributes = readAttributes();
+
+            if (ends.length === 1) {
+                // Node statement; a subgraph on its own has nothing to set
+                if (!(isPunct(token, '{') || isKeyword(token, 'subgraph'))) {
+                    Object.assign(graph.nodes.get(ends[0][0]), attributes);
+                }
+                return;
+            }
+            for (let i = 0; i < ends.length - 1; i++) {
+                ends[i].forEach(from => ends[i + 1].forEach(to => {
+                    graph.edges.push({ from, to, attributes: { ...scope.edge, ...attributes } });
+                }));
+            }
+        };
+
+        const readStatements = (scope, mentioned) => {
+            while (peek() && !isPunct(peek(), '}')) {
+                readStatement(scope, mentioned);
+                if (isPunct(peek(), ';') || isPunct(peek(), ',')) next();
+            }
+        };
+
+        if (isKeyword(peek(), 'strict')) next();
+        if (!isKeyword(peek(), 'digraph') && !isKeyword(peek(), 'graph')) {
+            throw new Error('Not a DOT graph: expected "digraph" or "graph"');
+        }
+        next();
+        if (!isPunct(peek(), '{')) readId();
+        expect('{');
+        readStatements({ node: {}, edge: {} }, []);
+        expect('}');
+
+        return graph;
+    }
+
+    /**
+     * Check if a node only marks where the initial arrow starts
+     */
+    static isStartMarker(attributes) {
+        return DOTFormat.MARKER_SHAPES.includes((attributes.shape || '').toLowerCase()) ||
+            /invis/i.test(attributes.style || '');
+    }
+
+    /**
+     * Split a label into its lines (DOT's \n, \l and \r end lines)
+     */
+    static getLabelLines(label) {
+        return String(label).split(/\\[nlr]|\n/).map(line => line.trim()).filter(line => line !== '');
+    }
+
+    /**
+     * Guess the machine type from the edge labels
+     */
+    static guessType(labels) {
+        const tm = /^([^;→]*)[;→]([^,]*),\s*([LRS])$/i;
+        if (labels.some(label => label.split('|').every(part => tm.test(part.trim())))) return 'tm';
+        if (labels.some(label => /^([^,]*),([^;→]*)[;→](.*)$/.test(label))) return 'pda';
+        if (labels.some(label => label.includes('/'))) return 'mealy';
+        return 'fa';
+    }
+
+    /**
+     * Build an automaton from a parsed graph
+     */
+    static readAutomaton(graph, type = null) {
+        const markers = new Set(Array.from(graph.nodes.keys())
+            .filter(name => DOTFormat.isStartMarker(graph.nodes.get(name))));
+        const edges = graph.edges.filter(edge => !markers.has(edge.from) && !markers.has(edge.to));
+        const labels = edges.flatMap(edge => DOTFormat.getLabelLines(edge.attributes.label || edge.attributes.xlabel || ''));
+
+        const machineType = type || graph.attributes.machine_type || DOTFormat.guessType(labels);
+        if (!DOTFormat.TYPES.includes(machineType)) {
+            throw new Error(`Unsupported machine type "${machineType}"`);
+        }
+        const tapeCount = machineType === 'tm'
+            ? Math.max(1, ...labels.map(label => label.split('|').length))
+            : 1;
+        const automaton = machineType === 'tm' ? new TuringMachine(tapeCount) : Automaton.create(['fa', 'dfa'].includes(machineType) ? 'nfa' : machineType);
+
+        if (automaton.type === 'pda' && graph.attributes.accept_by) {
+            automaton.acceptByFinalState = graph.attributes.accept_by.includes('final state');
+            automaton.acceptByEmptyStack = graph.attributes.accept_by.includes('empty stack');
+        }
+
+        // States, in the order the nodes first appear
+        const states = new Map();
+        const initialNames = new Set(graph.edges.filter(edge => markers.has(edge.from)).map(edge => edge.to));
+        Array.from(graph.nodes.keys()).filter(name => !markers.has(name)).forEach((name, id) => {
+            const attributes = graph.nodes.get(name);
+            let label = attributes.label !== undefined && attributes.label !== '\\N'
+                ? DOTFormat.getLabelLines(attributes.label.replace(/\\N/g, name)).join(' ')
+                : name;
+            let output = '';
+            if (automaton.type === 'moore' && label.includes('/')) {
+                output = label.slice(label.lastIndexOf('/') + 1).trim();
+                label = label.slice(0, label.lastIndexOf('/')).trim();
+            }
+
+            const pos = (attributes.pos || '').match(/^\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)/);
+            const shape = (attributes.shape || '').toLowerCase();
+            const state = new State({
+                id: id,
+                name: label || name,
+                x: pos ? parseFloat(pos[1]) : 100,
+                y: pos ? -parseFloat(pos[2]) : 100,
+                isInitial: initialNames.has(name) && !automaton.initialState,
+                isFinal: shape === 'doublecircle' || shape === 'mdoublecircle' || parseInt(attributes.peripheries) >= 2,
+                label: attributes.xlabel || '',
+                output: output === 'ε' || output === 'λ' ? '' : output
+            });
+
+            automaton.states.push(state);
+            states.set(name, state);
+            if (state.isInitial) automaton.initialState = state;
+        });
+
+        // Graphviz's y axis points up; move states above or left of the canvas into view
+        if (automaton.states.some(s => s.x < 50 || s.y < 50)) {
+            const minX = Math.min(...automaton.states.map(s => s.x));
+            const minY = Math.min(...automaton.states.map(s => s.y));
+            automaton.states.forEach(s => {
+                s.x += 100 - minX;
+                s.y += 100 - minY;
+            });
+        }
+
+        // Transitions, one per label line
+        const parseType = automaton.type === 'dfa' || automaton.type === 'moore' ? 'nfa' : automaton.type;
+        edges.forEach(edge => {
+            const fromState = states.get(edge.from);
+            const toState = states.get(edge.to);
+            const lines = DOTFormat.getLabelLines(edge.attributes.label || edge.attributes.xlabel || '');
+
+            (lines.length > 0 ? lines : ['']).forEach(line => {
+                DOTFormat.checkLabel(line, automaton.type, edge);
+                const parsed = Transition.parseLabel(line, parseType);
+                if (automaton.type === 'mealy') {
+                    // Several input symbols are written comma-separated before the output
+                    const slash = line.indexOf('/');
+                    parsed.symbols = Transition.parseLabel(slash === -1 ? line : line.substring(0, slash), 'nfa').symbols;
+                }
+                const transition = new Transition({
+                    id: automaton.transitions.length,
+                    fromState: fromState,
+                    toState: toState,
+                    ...parsed
+                });
+                // Tapes missing from a label stay put
+                if (automaton.type === 'tm' && tapeCount > 1) {
+                    const tapes = transition.tapes || [{ readSymbol: transition.readSymbol, writeSymbol: transition.writeSymbol, direction: transition.direction }];
+                    while (tapes.length < tapeCount) {
+                        tapes.push({ readSymbol: '□', writeSymbol: '□', direction: 'S' });
+                    }
+                    transition.tapes = tapes;
+                }
+                automaton.transitions.push(transition);
+                (transition.symbols || []).forEach(s => {
+                    if (s && s !== 'ε') automaton.alphabet.add(s);
+                });
+            });
+        });
+
+        if (automaton.states.length > 0) {
+            State.setIdCounter(automaton.states.length);
+        }
+        Transition.setIdCounter(automaton.transitions.length);
+
+        // Keep deterministic finite automata as DFAs
+        if (automaton.type === 'nfa' && machineType !== 'nfa' && JFLAPFormat.isDeterministic(automaton)) {
+            const dfa = new DFA();
+            dfa.loadFromJSON({ ...automaton.toJSON(), type: 'dfa' });
+            return dfa;
+        }
+        return automaton;
+    }
+
+    /**
+     * Reject PDA and Turing machine labels that would be read as defaults
+     */
+    static checkLabel(line, type, edge) {
+        const where = `edge ${edge.from} -> ${edge.to}`;
+        if (type === 'pda' && line !== '' && !/^([^,]*),([^;→]*)[;→](.*)$/.test(line)) {
+            throw new Error(`"${line}" on ${where} is not a PDA transition (input, pop → push)`);
+        }
+        if (type === 'tm' && !line.split('|').every(part => /^([^;→]*)[;→]([^,]*),\s*([LRS])$/i.test(part.trim()))) {
+            throw new Error(`"${line}" on ${where} is not a Turing machine transition (read → write, L/R/S)`);
+        }
+    }
+
+    // ==================== Writing ====================
+
+    /**
+     * Quote a DOT string
+     */
+    static quote(text) {
+        return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    }
+
+    /**
+     * Write an automaton as a DOT digraph
+     */
+    static write(automaton) {
+        const number = (value) => String(Math.round(value * 100) / 100);
+        const counts = new Map();
+        automaton.states.forEach(s => counts.set(s.name, (counts.get(s.name) || 0) + 1));
+
+        // State names are the node names unless they repeat; then the node is
+        // s<id>, with underscores in front until it is no state's name
+        const generated = new Map();
+        automaton.states.forEach(state => {
+            if (counts.get(state.name) === 1 && state.name !== '__start') return;
+            let name = `s${state.id}`;
+            while (counts.has(name)) name = `_${name}`;
+            generated.set(state.id, name);
+        });
+        const nodeName = (state) => generated.get(state.id) || DOTFormat.quote(state.name);
+
+        const lines = [
+            '// Created with JFLAP Online.',
+            'digraph automaton {',
+            `    machine_type=${automaton.type};`
+        ];
+        if (automaton.type === 'pda' && automaton.acceptByEmptyStack) {
+            const modes = automaton.acceptByFinalState ? 'final state, empty stack' : 'empty stack';
+            lines.push(`    accept_by=${DOTFormat.quote(modes)};`);
+        }
+        lines.push('    rankdir=LR;', '    node [shape=circle];');
+
+        if (automaton.initialState) {
+            lines.push('    __start [shape=point, label=""];');
+        }
+
+        automaton.states.forEach(state => {
+            let label = state.name;
+            if (automaton.type === 'moore') {
+                label += ` / ${state.output || 'ε'}`;
+            }
+            const attributes = [];
+            if (label !== state.name || generated.has(state.id)) {
+                attributes.push(`label=${DOTFormat.quote(label)}`);
+            }
+            if (state.isFinal) attributes.push('shape=doublecircle');
+            else if (state.block) attributes.push('shape=box');
+            if (state.label) attributes.push(`xlabel=${DOTFormat.quote(state.label)}`);
+            attributes.push(`pos="${number(state.x)},${number(-state.y)}!"`);
+            lines.push(`    ${nodeName(state)} [${attributes.join(', ')}];`);
+        });
+
+        if (automaton.initialState) {
+            lines.push(`    __start -> ${nodeName(automaton.initialState)};`);
+        }
+
+        automaton.transitions.forEach(transition => {
+            const from = automaton.getState(transition.getFromStateId());
+            const to = automaton.getState(transition.getToStateId());
+            if (!from || !to) return;
+            lines.push(`    ${nodeName(from)} -> ${nodeName(to)} [label=${DOTFormat.quote(transition.getLabel(automaton.type))}];`);
+        });
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DOTFormat;
+}
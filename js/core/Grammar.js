@@ -0,0 +1,320 @@
+/**
+ * Grammar class representing a context-free grammar
+ *
+ * Productions are { lhs, rhs } where lhs is a variable and rhs an array of
+ * symbols (empty for ε). As in JFLAP, variables are uppercase letters; they
+ * may be followed by digits (S0, A1) so conversions can introduce new ones.
+ * Every other character is a terminal.
+ */
+class Grammar {
+    static EPSILON = 'ε';
+
+    constructor(options = {}) {
+        this.type = 'grammar';
+        this.productions = options.productions || [];
+        this.startVariable = options.startVariable || 'S';
+
+        // Derived from the productions by updateSymbols()
+        this.variables = new Set();
+        this.terminals = new Set();
+        this.updateSymbols();
+    }
+
+    /**
+     * Check if a symbol is a variable
+     */
+    static isVariable(symbol) {
+        return /^[A-Z][0-9]*$/.test(symbol);
+    }
+
+    /**
+     * Split a right-hand side into symbols. Whitespace only separates
+     * symbols, so "A 1" is the variable A followed by the terminal 1.
+     */
+    static tokenize(text) {
+        const symbols = [];
+        const chars = Array.from(text.trim());
+
+        for (let i = 0; i < chars.length; i++) {
+            const c = chars[i];
+            if (/\s/.test(c)) continue;
+
+            if (c === Grammar.EPSILON || c === 'λ') {
+                continue; // ε contributes no symbols
+            }
+
+            if (/[A-Z]/.test(c)) {
+                let name = c;
+                while (i + 1 < chars.length && /[0-9]/.test(chars[i + 1])) {
+                    name += chars[++i];
+                }
+                symbols.push(name);
+            } else {
+                symbols.push(c);
+            }
+        }
+
+        return symbols;
+    }
+
+    /**
+     * Format a right-hand side, inserting spaces where needed to stay parseable
+     */
+    static formatRHS(rhs) {
+        if (rhs.length === 0) return Grammar.EPSILON;
+
+        return rhs.reduce((text, symbol, i) => {
+            const needsSpace = i > 0 && Grammar.isVariable(rhs[i - 1]) && /^[0-9]/.test(symbol);
+            return text + (needsSpace ? ' ' : '') + symbol;
+        }, '');
+    }
+
+    /**
+     * Parse grammar text: one "A -> α | β" rule per line (→ also accepted).
+     * The start variable is the left-hand side of the first rule.
+     */
+    static parse(text) {
+        const grammar = new Grammar();
+        let start = null;
+
+        text.split('\n').forEach((line, index) => {
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('//')) return;
+
+            const match = trimmed.match(/^(\S+)\s*(?:->|→)(.*)$/);
+            if (!match) {
+                throw new Error(`Line ${index + 1}: expected "A -> ..."`);
+            }
+
+            const lhs = match[1];
+            if (!Grammar.isVariable(lhs)) {
+                throw new Error(`Line ${index + 1}: "${lhs}" is not a variable (use an uppercase letter)`);
+            }
+            if (start === null) start = lhs;
+
+            match[2].split('|').forEach(alternative => {
+                grammar.productions.push({ lhs: lhs, rhs: Grammar.tokenize(alternative) });
+            });
+        });
+
+        if (start !== null) grammar.startVariable = start;
+        grammar.updateSymbols();
+        return grammar;
+    }
+
+    /**
+     * Format the grammar as text, grouping alternatives per variable
+     */
+    toText() {
+        const order = [];
+        const byLhs = new Map();
+
+        this.productions.forEach(p => {
+            if (!byLhs.has(p.lhs)) {
+                byLhs.set(p.lhs, []);
+                order.push(p.lhs);
+            }
+            byLhs.get(p.lhs).push(Grammar.formatRHS(p.rhs));
+        });
+
+        // Start variable first
+        const sorted = order.filter(v => v === this.startVariable)
+            .concat(order.filter(v => v !== this.startVariable));
+        return sorted.map(lhs => `${lhs} → ${byLhs.get(lhs).join(' | ')}`).join('\n');
+    }
+
+    /**
+     * Recompute the variable and terminal sets from the productions
+     */
+    updateSymbols() {
+        this.variables = new Set([this.startVariable]);
+        this.terminals = new Set();
+
+        this.productions.forEach(p => {
+            this.variables.add(p.lhs);
+            p.rhs.forEach(symbol => {
+                if (Grammar.isVariable(symbol)) {
+                    this.variables.add(symbol);
+                } else {
+                    this.terminals.add(symbol);
+                }
+            });
+        });
+    }
+
+    /**
+     * Add a production (rhs as a symbol array or text)
+     */
+    addProduction(lhs, rhs) {
+        const production = {
+            lhs: lhs,
+            rhs: typeof rhs === 'string' ? Grammar.tokenize(rhs) : [...rhs]
+        };
+        this.productions.push(production);
+        this.updateSymbols();
+        return production;
+    }
+
+    /**
+     * Remove a production by index
+     */
+    removeProduction(index) {
+        this.productions.splice(index, 1);
+        this.updateSymbols();
+    }
+
+    /**
+     * Get all productions for a variable
+     */
+    getProductionsFor(variable) {
+        return this.productions.filter(p => p.lhs === variable);
+    }
+
+    /**
+     * Check if every right-hand side is terminals optionally followed by one variable
+     */
+    isRightLinear() {
+        return this.productions.every(p =>
+            p.rhs.slice(0, -1).every(s => !Grammar.isVariable(s)));
+    }
+
+    /**
+     * Check if every right-hand side is terminals optionally preceded by one variable
+     */
+    isLeftLinear() {
+        return this.productions.every(p =>
+            p.rhs.slice(1).every(s => !Grammar.isVariable(s)));
+    }
+
+    /**
+     * Build an equivalent NFA (the grammar must be right- or left-linear)
+     */
+    toNFA() {
+        return new GrammarToNFA(this).build();
+    }
+
+    /**
+     * Remove productions using variables that derive no terminal string or
+     * are unreachable from the start variable. Returns true if any were removed.
+     */
+    removeUselessProductions() {
+        const before = this.productions.length;
+        const isGenerated = (symbol, generating) => !Grammar.isVariable(symbol) || generating.has(symbol);
+
+        const generating = new Set();
+        let changed = true;
+        while (changed) {
+            changed = false;
+            this.productions.forEach(p => {
+                if (!generating.has(p.lhs) && p.rhs.every(s => isGenerated(s, generating))) {
+                    generating.add(p.lhs);
+                    changed = true;
+                }
+            });
+        }
+        const productions = this.productions.filter(p =>
+            generating.has(p.lhs) && p.rhs.every(s => isGenerated(s, generating)));
+
+        const reachable = new Set([this.startVariable]);
+        const queue = [this.startVariable];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            productions.filter(p => p.lhs === current).forEach(p => {
+                p.rhs.filter(s => Grammar.isVariable(s) && !reachable.has(s)).forEach(s => {
+                    reachable.add(s);
+                    queue.push(s);
+                });
+            });
+        }
+
+        this.productions = productions.filter(p => reachable.has(p.lhs));
+        this.updateSymbols();
+        return this.productions.length !== before;
+    }
+
+    /**
+     * Validate the grammar structure. A start variable without productions
+     * is not an error: the grammar generates the empty language.
+     */
+    validate() {
+        const errors = [];
+        const warnings = [];
+
+        if (this.productions.length === 0) {
+            warnings.push('No productions defined, so the language is empty');
+        } else if (this.getProductionsFor(this.startVariable).length === 0) {
+            warnings.push(`Start variable ${this.startVariable} has no productions, so the language is empty`);
+        }
+
+        this.variables.forEach(v => {
+            if (v !== this.startVariable && this.getProductionsFor(v).length === 0) {
+                warnings.push(`Variable ${v} has no productions`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Clone this grammar
+     */
+    clone() {
+        return new Grammar({
+            startVariable: this.startVariable,
+            productions: this.productions.map(p => ({ lhs: p.lhs, rhs: [...p.rhs] }))
+        });
+    }
+
+    /**
+     * Serialize to JSON
+     */
+    toJSON() {
+        return {
+            type: 'grammar',
+            startVariable: this.startVariable,
+            variables: Array.from(this.variables),
+            terminals: Array.from(this.terminals),
+            productions: this.productions.map(p => ({ lhs: p.lhs, rhs: [...p.rhs] }))
+        };
+    }
+
+    /**
+     * Create grammar from JSON
+     */
+    static fromJSON(json) {
+        return new Grammar({
+            startVariable: json.startVariable,
+            productions: (json.productions || []).map(p => ({
+                lhs: p.lhs,
+                rhs: typeof p.rhs === 'string' ? Grammar.tokenize(p.rhs) : [...p.rhs]
+            }))
+        });
+    }
+
+    /**
+     * Export to JFLAP XML format
+     */
+    toJFLAPXML() {
+        return JFLAPFormat.write(this);
+    }
+
+    /**
+     * Create from JFLAP XML
+     */
+    static fromJFLAPXML(xmlString) {
+        const result = JFLAPFormat.parse(xmlString);
+        if (result.kind !== 'grammar') {
+            throw new Error('The file does not contain a grammar');
+        }
+        return result.grammar;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Grammar;
+}
@@ -0,0 +1,419 @@
+/**
+ * GraphLayout - Automatic placement of an automaton's states
+ *
+ * Three algorithms, all keeping the initial state on the left:
+ * - layered: Sugiyama-style columns following the transitions, with the
+ *   states in each column ordered to reduce edge crossings
+ * - circular: states on a circle in the layered order
+ * - force: force-directed (Fruchterman-Reingold), starting from the layered layout
+ * Layouts are deterministic, so applying one twice gives the same picture.
+ */
+class GraphLayout {
+    static ALGORITHMS = ['layered', 'circular', 'force'];
+
+    // The force-directed layout compares every pair of states per iteration,
+    // so its iterations are cut to stay within FORCE_PAIR_BUDGET comparisons,
+    // and layouts applied without being asked for (options.automatic) use
+    // the layered layout above FORCE_MAX_STATES states
+    static FORCE_PAIR_BUDGET = 2000000;
+    static FORCE_MAX_STATES = 100;
+
+    // Each sweep of the layered layout's crossing reduction visits every
+    // segment of the split edges; sweeps are cut to stay within ORDER_BUDGET
+    // segment visits, and large graphs keep the layers in state order
+    static ORDER_BUDGET = 1000000;
+
+    /**
+     * Lay out an automaton's states with an algorithm
+     */
+    static apply(automaton, algorithm = 'layered', options = {}) {
+        switch (algorithm) {
+            case 'layered':
+                return GraphLayout.layered(automaton, options);
+            case 'circular':
+                return GraphLayout.circular(automaton, options);
+            case 'force':
+                if (options.automatic && automaton.states.length > GraphLayout.FORCE_MAX_STATES) {
+                    return GraphLayout.layered(automaton, options);
+                }
+                return GraphLayout.forceDirected(automaton, options);
+            default:
+                throw new Error(`Unknown layout "${algorithm}"; use ${GraphLayout.ALGORITHMS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Get the spacing options with their defaults
+     */
+    static getOptions(options) {
+        return {
+            startX: options.startX || 100,
+            startY: options.startY || 100,
+            columnSpacing: options.columnSpacing || 150,
+            rowSpacing: options.rowSpacing || 110
+        };
+    }
+
+    /**
+     * Get the edges between distinct states, one per ordered pair of state ids
+     */
+    static getEdges(automaton) {
+        const ids = new Set(automaton.states.map(s => s.id));
+        const seen = new Set();
+        const edges = [];
+
+        automaton.transitions.forEach(t => {
+            const from = t.getFromStateId();
+            const to = t.getToStateId();
+            const key = `${from}|${to}`;
+            if (from === to || seen.has(key) || !ids.has(from) || !ids.has(to)) return;
+            seen.add(key);
+            edges.push({ from: from, to: to });
+        });
+
+        return edges;
+    }
+
+    /**
+     * Make the graph acyclic: edges found as back edges by a depth-first
+     * search from the initial state (then from the remaining states) are
+     * reversed, as are edges into the initial state
+     */
+    static removeCycles(automaton, edges) {
+        const initialId = automaton.initialState ? automaton.initialState.id : null;
+        const outgoing = new Map(automaton.states.map(s => [s.id, []]));
+        edges.forEach(edge => outgoing.get(edge.from).push(edge));
+
+        const onPath = new Set();
+        const visited = new Set();
+        const reversed = new Set();
+
+        // Depth-first search with its own stack of { id, next edge index },
+        // so long chains of states cannot overflow the call stack
+        const visit = (start) => {
+            const stack = [{ id: start, next: 0 }];
+            visited.add(start);
+            onPath.add(start);
+            while (stack.length > 0) {
+                const top = stack[stack.length - 1];
+                const edge = outgoing.get(top.id)[top.next++];
+                if (!edge) {
+                    onPath.delete(top.id);
+                    stack.pop();
+                } else if (edge.to === initialId || onPath.has(edge.to)) {
+                    reversed.add(edge);
+                } else if (!visited.has(edge.to)) {
+                    visited.add(edge.to);
+                    onPath.add(edge.to);
+                    stack.push({ id: edge.to, next: 0 });
+                }
+            }
+        };
+
+        if (initialId !== null) visit(initialId);
+        automaton.states.forEach(s => {
+            if (!visited.has(s.id)) visit(s.id);
+        });
+
+        return edges.map(edge => reversed.has(edge) ? { from: edge.to, to: edge.from } : edge);
+    }
+
+    /**
+     * Assign layers: each state one column right of its furthest predecessor
+     * in the acyclic graph, so every edge points right
+     */
+    static assignLayers(automaton, dag) {
+        const outgoing = new Map(automaton.states.map(s => [s.id, []]));
+        const waiting = new Map(automaton.states.map(s => [s.id, 0])); // Predecessors not yet placed
+        dag.forEach(edge => {
+            outgoing.get(edge.from).push(edge.to);
+            waiting.set(edge.to, waiting.get(edge.to) + 1);
+        });
+
+        // Place the states in topological order, pushing each successor right
+        const layer = new Map(automaton.states.map(s => [s.id, 0]));
+        const ready = automaton.states.map(s => s.id).filter(id => waiting.get(id) === 0);
+        while (ready.length > 0) {
+            const id = ready.pop();
+            outgoing.get(id).forEach(to => {
+                layer.set(to, Math.max(layer.get(to), layer.get(id) + 1));
+                waiting.set(to, waiting.get(to) - 1);
+                if (waiting.get(to) === 0) ready.push(to);
+            });
+        }
+
+        return layer;
+    }
+
+    /**
+     * Order the states in each layer. Edges spanning several layers get a
+     * dummy node in each layer between, then barycenter sweeps down and up
+     * keep the ordering with the fewest crossings, as far as ORDER_BUDGET
+     * allows. Returns the layers as arrays of state ids (dummies removed).
+     */
+    static orderLayers(automaton, dag, layer, sweeps = 8) {
+        const layerCount = automaton.states.reduce((count, s) => Math.max(count, layer.get(s.id) + 1), 0);
+        const layers = Array.from({ length: layerCount }, () => []);
+        automaton.states.forEach(s => layers[layer.get(s.id)].push(s.id));
+
+        const segmentCount = dag.reduce((sum, edge) => sum + layer.get(edge.to) - layer.get(edge.from), 0);
+        sweeps = Math.min(sweeps, Math.floor(GraphLayout.ORDER_BUDGET / Math.max(1, segmentCount)) - 1);
+        if (sweeps <= 0) return layers;
+
+        // Nodes are numbers: the states by index, then the dummies that
+        // split long edges into segments between adjacent layers
+        const ids = automaton.states.map(s => s.id);
+        const nodeOf = new Map(ids.map((id, i) => [id, i]));
+        const nodeLayers = layers.map(column => column.map(id => nodeOf.get(id)));
+        const up = ids.map(() => []);
+        const down = ids.map(() => []);
+        dag.forEach(edge => {
+            let from = nodeOf.get(edge.from);
+            for (let l = layer.get(edge.from) + 1; l < layer.get(edge.to); l++) {
+                const dummy = up.length;
+                up.push([from]);
+                down.push([]);
+                down[from].push(dummy);
+                nodeLayers[l].push(dummy);
+                from = dummy;
+            }
+            const to = nodeOf.get(edge.to);
+            down[from].push(to);
+            up[to].push(from);
+        });
+
+        const position = new Float64Array(up.length);
+        const tree = new Int32Array(nodeLayers.reduce((longest, column) => Math.max(longest, column.length), 0) + 1);
+
+        // Two segments between a pair of layers cross when their ends are in
+        // opposite orders. Taking the segments by upper end, then lower end,
+        // a Fenwick tree counts the earlier ones with a lower end further down.
+        const countCrossings = (order) => {
+            let crossings = 0;
+            for (let l = 0; l + 1 < order.length; l++) {
+                const lower = order[l + 1];
+                lower.forEach((node, i) => position[node] = i + 1);
+                tree.fill(0, 0, lower.length + 1);
+                let seen = 0;
+                const add = (end) => {
+                    let atOrAbove = 0;
+                    for (let i = end; i > 0; i -= i & -i) atOrAbove += tree[i];
+                    crossings += seen - atOrAbove;
+                    for (let i = end; i <= lower.length; i += i & -i) tree[i]++;
+                    seen++;
+                };
+                order[l].forEach(node => {
+                    const targets = down[node];
+                    if (targets.length === 1) {
+                        add(position[targets[0]]);
+                    } else {
+                        targets.map(to => position[to]).sort((a, b) => a - b).forEach(add);
+                    }
+                });
+            }
+            return crossings;
+        };
+
+        // Nodes without neighbours in the fixed layer keep their position
+        const reorder = (nodes, fixed, neighbours) => {
+            fixed.forEach((node, i) => position[node] = i);
+            const keys = nodes.map((node, i) => {
+                const adjacent = neighbours[node];
+                if (adjacent.length === 0) return i * Math.max(1, fixed.length) / Math.max(1, nodes.length);
+                let sum = 0;
+                adjacent.forEach(n => sum += position[n]);
+                return sum / adjacent.length;
+            });
+            return nodes
+                .map((node, i) => i)
+                .sort((a, b) => keys[a] - keys[b] || a - b)
+                .map(i => nodes[i]);
+        };
+
+        let order = nodeLayers;
+        let best = order.map(nodes => [...nodes]);
+        let bestCrossings = countCrossings(order);
+
+        for (let sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+            if (sweep % 2 === 0) {
+                for (let l = 1; l < order.length; l++) order[l] = reorder(order[l], order[l - 1], up);
+            } else {
+                for (let l = order.length - 2; l >= 0; l--) order[l] = reorder(order[l], order[l + 1], down);
+            }
+
+            const crossings = countCrossings(order);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = order.map(nodes => [...nodes]);
+            }
+        }
+
+        return best.map(nodes => nodes.filter(node => node < ids.length).map(node => ids[node]));
+    }
+
+    /**
+     * Get the layers of the layered layout: arrays of states, left to right
+     */
+    static getLayers(automaton) {
+        const dag = GraphLayout.removeCycles(automaton, GraphLayout.getEdges(automaton));
+        const layer = GraphLayout.assignLayers(automaton, dag);
+        const states = new Map(automaton.states.map(s => [s.id, s]));
+        return GraphLayout.orderLayers(automaton, dag, layer)
+            .map(ids => ids.map(id => states.get(id)));
+    }
+
+    /**
+     * Layered layout: one column per layer, each centered vertically
+     */
+    static layered(automaton, options = {}) {
+        const { startX, startY, columnSpacing, rowSpacing } = GraphLayout.getOptions(options);
+        const layers = GraphLayout.getLayers(automaton);
+
+        const tallest = Math.max(0, ...layers.map(column => column.length));
+        layers.forEach((column, col) => {
+            const offset = (tallest - column.length) * rowSpacing / 2;
+            column.forEach((state, row) => {
+                state.moveTo(startX + col * columnSpacing, startY + offset + row * rowSpacing);
+            });
+        });
+    }
+
+    /**
+     * Circular layout: states around a circle in the layered order, starting
+     * with the initial state on the left and going clockwise
+     */
+    static circular(automaton, options = {}) {
+        const { startX, startY, columnSpacing } = GraphLayout.getOptions(options);
+        const states = GraphLayout.getLayers(automaton).flat();
+        if (states.length === 0) return;
+
+        const initial = automaton.initialState;
+        if (initial && states.includes(initial)) {
+            states.splice(states.indexOf(initial), 1);
+            states.unshift(initial);
+        }
+
+        // Neighbouring states are about columnSpacing apart
+        const radius = Math.max(columnSpacing / 2, columnSpacing * states.length / (2 * Math.PI));
+        const centerX = startX + radius;
+        const centerY = startY + radius;
+        states.forEach((state, i) => {
+            const angle = Math.PI + 2 * Math.PI * i / states.length;
+            state.moveTo(Math.round(centerX + radius * Math.cos(angle)), Math.round(centerY + radius * Math.sin(angle)));
+        });
+    }
+
+    /**
+     * Force-directed layout: transitions pull states together, all states
+     * push each other apart; starts from the layered layout. Large automata
+     * get fewer iterations (at least 10).
+     */
+    static forceDirected(automaton, options = {}) {
+        const { startX, startY, columnSpacing } = GraphLayout.getOptions(options);
+        const states = automaton.states;
+        if (states.length === 0) return;
+
+        const pairs = states.length * (states.length - 1) / 2;
+        const iterations = options.iterations ||
+            Math.max(10, Math.min(300, Math.floor(GraphLayout.FORCE_PAIR_BUDGET / pairs)));
+
+        GraphLayout.layered(automaton, options);
+
+        const ideal = columnSpacing; // Preferred distance between connected states
+        const edges = GraphLayout.getEdges(automaton);
+        const index = new Map(states.map((s, i) => [s.id, i]));
+        const pos = states.map(s => ({ x: s.x, y: s.y }));
+
+        let temperature = ideal;
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const shift = states.map(() => ({ x: 0, y: 0 }));
+
+            for (let i = 0; i < states.length; i++) {
+                for (let j = i + 1; j < states.length; j++) {
+                    let dx = pos[i].x - pos[j].x;
+                    let dy = pos[i].y - pos[j].y;
+                    if (dx === 0 && dy === 0) {
+                        // Separate states on the same spot deterministically
+                        dx = j - i;
+                        dy = i - j;
+                    }
+                    const distance = Math.max(1, Math.hypot(dx, dy));
+                    const force = ideal * ideal / distance;
+                    shift[i].x += dx / distance * force;
+                    shift[i].y += dy / distance * force;
+                    shift[j].x -= dx / distance * force;
+                    shift[j].y -= dy / distance * force;
+                }
+            }
+
+            edges.forEach(edge => {
+                const i = index.get(edge.from);
+                const j = index.get(edge.to);
+                const dx = pos[i].x - pos[j].x;
+                const dy = pos[i].y - pos[j].y;
+                const distance = Math.max(1, Math.hypot(dx, dy));
+                const force = distance * distance / ideal;
+                shift[i].x -= dx / distance * force;
+                shift[i].y -= dy / distance * force;
+                shift[j].x += dx / distance * force;
+                shift[j].y += dy / distance * force;
+            });
+
+            // Move each state at most the current temperature
+            pos.forEach((p, i) => {
+                const length = Math.hypot(shift[i].x, shift[i].y);
+                if (length > 0) {
+                    const step = Math.min(length, temperature);
+                    p.x += shift[i].x / length * step;
+                    p.y += shift[i].y / length * step;
+                }
+            });
+            temperature = Math.max(1, temperature * 0.98);
+        }
+
+        // Turn the picture so the initial state is on the left of the centre
+        const initial = automaton.initialState ? index.get(automaton.initialState.id) : undefined;
+        if (initial !== undefined && states.length > 1) {
+            const cx = pos.reduce((sum, p) => sum + p.x, 0) / pos.length;
+            const cy = pos.reduce((sum, p) => sum + p.y, 0) / pos.length;
+            const rotation = Math.PI - Math.atan2(pos[initial].y - cy, pos[initial].x - cx);
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            pos.forEach(p => {
+                const dx = p.x - cx;
+                const dy = p.y - cy;
+                p.x = cx + dx * cos - dy * sin;
+                p.y = cy + dx * sin + dy * cos;
+            });
+
+            // Keep it left of every other state
+            const others = Math.min(...pos.filter((p, i) => i !== initial).map(p => p.x));
+            pos[initial].x = Math.min(pos[initial].x, others - ideal / 2);
+        }
+
+        const minX = Math.min(...pos.map(p => p.x));
+        const minY = Math.min(...pos.map(p => p.y));
+        states.forEach((state, i) => {
+            state.moveTo(Math.round(startX + pos[i].x - minX), Math.round(startY + pos[i].y - minY));
+        });
+    }
+
+    /**
+     * Check if an automaton needs a layout: two or more states on the same
+     * spot, as when a file has no coordinates
+     */
+    static needsLayout(automaton) {
+        const spots = new Set();
+        return automaton.states.some(state => {
+            const spot = `${Math.round(state.x)},${Math.round(state.y)}`;
+            if (spots.has(spot)) return true;
+            spots.add(spot);
+            return false;
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GraphLayout;
+}
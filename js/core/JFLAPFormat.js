@@ -0,0 +1,513 @@
+/**
+ * JFLAPFormat - Reads and writes JFLAP 7 .jff files
+ *
+ * A .jff file is a <structure> whose <type> says what it holds: fa, pda,
+ * turing (optionally with <tapes> and <block> building blocks), mealy and
+ * moore machines, grammar or re. JFLAP writes ε, λ and the Turing machine
+ * blank as empty elements. Files are read with XMLParser, so no DOM is
+ * needed.
+ */
+class JFLAPFormat {
+    /**
+     * Get the child elements of an element, optionally only those with a tag name
+     */
+    static getChildren(element, tagName = null) {
+        return Array.from(element.children).filter(c => tagName === null || c.tagName === tagName);
+    }
+
+    /**
+     * Get the first child element with a tag name
+     */
+    static getChild(element, tagName) {
+        return JFLAPFormat.getChildren(element, tagName)[0] || null;
+    }
+
+    /**
+     * Get the text of the first child element with a tag name
+     */
+    static getChildText(element, tagName, fallback = '') {
+        const child = JFLAPFormat.getChild(element, tagName);
+        return child ? child.textContent : fallback;
+    }
+
+    /**
+     * Find the first element with a tag name anywhere below an element
+     */
+    static findElement(element, tagName) {
+        for (const child of JFLAPFormat.getChildren(element)) {
+            if (child.tagName === tagName) return child;
+            const found = JFLAPFormat.findElement(child, tagName);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Read a .jff file. Returns { kind: 'automaton', automaton },
+     * { kind: 'grammar', grammar } or { kind: 'regex', expression }.
+     */
+    static parse(xmlString) {
+        const root = XMLParser.parse(xmlString);
+        if (root.tagName !== 'structure') {
+            throw new Error('Not a JFLAP file: the root element must be <structure>');
+        }
+
+        const type = JFLAPFormat.getChildText(root, 'type', 'fa').trim();
+        switch (type) {
+            case 'grammar':
+                return { kind: 'grammar', grammar: JFLAPFormat.readGrammar(root) };
+            case 're':
+                return { kind: 'regex', expression: JFLAPFormat.getChildText(root, 'expression').trim() };
+            default:
+                return { kind: 'automaton', automaton: JFLAPFormat.readAutomaton(root, type) };
+        }
+    }
+
+    /**
+     * Read a .jff file that must hold an automaton
+     */
+    static parseAutomaton(xmlString) {
+        const result = JFLAPFormat.parse(xmlString);
+        if (result.kind !== 'automaton') {
+            throw new Error(`The file contains a ${result.kind === 'regex' ? 'regular expression' : 'grammar'}, not an automaton`);
+        }
+        return result.automaton;
+    }
+
+    /**
+     * Read the machine of a <structure>
+     */
+    static readAutomaton(root, type) {
+        let automaton;
+        switch (type) {
+            case 'fa':
+            case 'dfa':
+            case 'nfa':
+                automaton = new NFA();
+                break;
+            case 'pda':
+                automaton = new PDA();
+                break;
+            case 'turing':
+            case 'turingbb':
+            case 'tm':
+                automaton = new TuringMachine(parseInt(JFLAPFormat.getChildText(root, 'tapes', '1')) || 1);
+                break;
+            case 'mealy':
+                automaton = new MealyMachine();
+                break;
+            case 'moore':
+                automaton = new MooreMachine();
+                break;
+            default:
+                throw new Error(`Unsupported JFLAP structure type "${type}"`);
+        }
+
+        // Files from JFLAP 4 put the states directly in <structure>
+        const element = JFLAPFormat.getChild(root, 'automaton') || root;
+        JFLAPFormat.readMachine(element, automaton, root);
+
+        if (automaton.states.length > 0) {
+            State.setIdCounter(Math.max(...automaton.states.map(s => s.id)) + 1);
+        }
+        if (automaton.transitions.length > 0) {
+            Transition.setIdCounter(Math.max(...automaton.transitions.map(t => t.id)) + 1);
+        }
+
+        // JFLAP has a single finite automaton type; keep deterministic ones as DFAs
+        if (automaton.type === 'nfa' && type !== 'nfa' && JFLAPFormat.isDeterministic(automaton)) {
+            const dfa = new DFA();
+            dfa.loadFromJSON({ ...automaton.toJSON(), type: 'dfa' });
+            return dfa;
+        }
+        return automaton;
+    }
+
+    /**
+     * Check if a finite automaton has no ε-transitions and at most one
+     * transition per state and symbol
+     */
+    static isDeterministic(automaton) {
+        return automaton.states.every(state => {
+            const seen = new Set();
+            return automaton.getTransitionsFrom(state).every(t =>
+                !t.isEpsilon() && t.symbols.every(symbol => !seen.has(symbol) && seen.add(symbol)));
+        });
+    }
+
+    /**
+     * Read the states, building blocks and transitions of a machine element
+     */
+    static readMachine(element, automaton, root) {
+        JFLAPFormat.getChildren(element).forEach(child => {
+            if (child.tagName !== 'state' && child.tagName !== 'block') return;
+
+            const id = parseInt(child.getAttribute('id'));
+            const state = new State({
+                id: id,
+                name: child.getAttribute('name') || `q${id}`,
+                x: parseFloat(JFLAPFormat.getChildText(child, 'x', '100')),
+                y: parseFloat(JFLAPFormat.getChildText(child, 'y', '100')),
+                isInitial: JFLAPFormat.getChild(child, 'initial') !== null,
+                isFinal: JFLAPFormat.getChild(child, 'final') !== null,
+                label: JFLAPFormat.getChildText(child, 'label'),
+                output: automaton.type === 'moore' ? JFLAPFormat.getChildText(child, 'output') : ''
+            });
+            if (child.tagName === 'block') {
+                state.block = JFLAPFormat.readBlock(child, automaton, root);
+            }
+
+            automaton.states.push(state);
+            if (state.isInitial && !automaton.initialState) {
+                automaton.initialState = state;
+            }
+        });
+
+        JFLAPFormat.getChildren(element, 'transition').forEach(child => {
+            const fromId = parseInt(JFLAPFormat.getChildText(child, 'from'));
+            const toId = parseInt(JFLAPFormat.getChildText(child, 'to'));
+            const fromState = automaton.getState(fromId);
+            const toState = automaton.getState(toId);
+            if (!fromState || !toState) {
+                throw new Error(`Transition from ${fromId} to ${toId} refers to a missing state`);
+            }
+
+            const read = JFLAPFormat.getChildText(child, 'read');
+            const transition = new Transition({
+                id: JFLAPFormat.getNextTransitionId(automaton),
+                fromState: fromState,
+                toState: toState
+            });
+
+            switch (automaton.type) {
+                case 'nfa': {
+                    if (read.length > 1) {
+                        JFLAPFormat.addReadChain(automaton, fromState, toState, read);
+                        return;
+                    }
+                    // JFLAP stores one symbol per transition; merge parallel ones into one label
+                    const symbol = read || 'ε';
+                    const existing = automaton.transitions.find(t =>
+                        t.fromState === fromState && t.toState === toState && !t.isEpsilon());
+                    if (existing && symbol !== 'ε') {
+                        if (!existing.symbols.includes(symbol)) existing.symbols.push(symbol);
+                        automaton.alphabet.add(symbol);
+                        return;
+                    }
+                    transition.symbols = [symbol];
+                    break;
+                }
+                case 'pda':
+                    transition.symbols = [read || 'ε'];
+                    transition.stackRead = JFLAPFormat.getChildText(child, 'pop') || 'ε';
+                    transition.stackWrite = JFLAPFormat.getChildText(child, 'push') || 'ε';
+                    break;
+                case 'tm':
+                    transition.tapes = JFLAPFormat.readTapeOperations(child, automaton.tapeCount);
+                    Object.assign(transition, transition.tapes[0]);
+                    if (automaton.tapeCount === 1) transition.tapes = null;
+                    break;
+                case 'mealy':
+                    transition.symbols = [read || 'ε'];
+                    transition.output = JFLAPFormat.getChildText(child, 'transout');
+                    break;
+                case 'moore':
+                    transition.symbols = [read || 'ε'];
+                    break;
+            }
+
+            automaton.transitions.push(transition);
+            transition.symbols.forEach(s => {
+                if (s && s !== 'ε') automaton.alphabet.add(s);
+            });
+        });
+    }
+
+    /**
+     * Get an unused transition id; imported ids do not touch the global counter
+     */
+    static getNextTransitionId(automaton) {
+        return Math.max(-1, ...automaton.transitions.map(t => t.id)) + 1;
+    }
+
+    /**
+     * Read the read/write/move of each tape; elements without a tape
+     * attribute belong to tape 1
+     */
+    static readTapeOperations(element, tapeCount) {
+        const find = (tagName, tape) => JFLAPFormat.getChildren(element, tagName).find(c => {
+            const attribute = c.getAttribute('tape');
+            return attribute ? parseInt(attribute) === tape : tape === 1;
+        });
+        const text = (tagName, tape) => {
+            const child = find(tagName, tape);
+            return child ? child.textContent : '';
+        };
+
+        const operations = [];
+        for (let tape = 1; tape <= tapeCount; tape++) {
+            operations.push({
+                readSymbol: text('read', tape) || '□',
+                writeSymbol: text('write', tape) || '□',
+                direction: (text('move', tape) || 'R').toUpperCase()
+            });
+        }
+        return operations;
+    }
+
+    /**
+     * Read the inner machine of a building block, either nested in the
+     * block or stored in the element named by its <tag>
+     */
+    static readBlock(element, automaton, root) {
+        const tag = JFLAPFormat.getChildText(element, 'tag').trim();
+        const source = JFLAPFormat.getChild(element, 'automaton') ||
+            (tag ? JFLAPFormat.findElement(root, tag) : null);
+        if (!source) {
+            throw new Error(`Building block ${element.getAttribute('name')} has no machine`);
+        }
+
+        const inner = new TuringMachine(automaton.tapeCount);
+        JFLAPFormat.readMachine(JFLAPFormat.getChild(source, 'automaton') || source, inner, root);
+        return inner.toJSON();
+    }
+
+    /**
+     * Split a multi-character read into a chain of single-symbol transitions
+     */
+    static addReadChain(automaton, fromState, toState, read) {
+        const symbols = Array.from(read);
+        let current = fromState;
+        symbols.forEach((symbol, i) => {
+            let next = toState;
+            if (i < symbols.length - 1) {
+                const id = Math.max(...automaton.states.map(s => s.id)) + 1;
+                next = new State({
+                    id: id,
+                    name: `q${id}`,
+                    x: fromState.x + (toState.x - fromState.x) * (i + 1) / symbols.length,
+                    y: fromState.y + (toState.y - fromState.y) * (i + 1) / symbols.length + 40
+                });
+                automaton.states.push(next);
+            }
+            automaton.transitions.push(new Transition({
+                id: JFLAPFormat.getNextTransitionId(automaton),
+                fromState: current,
+                toState: next,
+                symbols: [symbol]
+            }));
+            automaton.alphabet.add(symbol);
+            current = next;
+        });
+    }
+
+    /**
+     * Read a grammar; the start variable is the left side of the first production
+     */
+    static readGrammar(root) {
+        const productions = JFLAPFormat.getChildren(root, 'production').map(child => ({
+            lhs: JFLAPFormat.getChildText(child, 'left').trim(),
+            rhs: Array.from(JFLAPFormat.getChildText(child, 'right').trim())
+                .filter(symbol => symbol !== 'λ' && symbol !== 'ε')
+        }));
+
+        return new Grammar({
+            startVariable: productions.length > 0 ? productions[0].lhs : 'S',
+            productions: productions
+        });
+    }
+
+    /**
+     * Escape text for XML
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Write an element holding text; empty text gives an empty element
+     */
+    static element(tagName, text, attributes = '') {
+        return text === '' || text === null || text === undefined
+            ? `<${tagName}${attributes}/>`
+            : `<${tagName}${attributes}>${JFLAPFormat.escape(text)}</${tagName}>`;
+    }
+
+    /**
+     * Start a .jff file for a structure type
+     */
+    static header(type) {
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<!--Created with JFLAP Online.-->',
+            '<structure>',
+            `\t<type>${type}</type>`
+        ];
+    }
+
+    /**
+     * Write an automaton, grammar or regular expression (a RegularExpression or string)
+     */
+    static write(value) {
+        if (value instanceof Grammar) return JFLAPFormat.writeGrammar(value);
+        if (value instanceof RegularExpression || typeof value === 'string') {
+            return JFLAPFormat.writeRegex(value);
+        }
+        return JFLAPFormat.writeAutomaton(value);
+    }
+
+    /**
+     * Get the JFLAP structure type of an automaton
+     */
+    static getTypeName(automaton) {
+        switch (automaton.type) {
+            case 'dfa':
+            case 'nfa':
+                return 'fa';
+            case 'tm':
+                return 'turing';
+            default:
+                return automaton.type;
+        }
+    }
+
+    /**
+     * Write an automaton
+     */
+    static writeAutomaton(automaton) {
+        const lines = JFLAPFormat.header(JFLAPFormat.getTypeName(automaton));
+        if (automaton.type === 'tm' && automaton.tapeCount > 1) {
+            lines.push(`\t<tapes>${automaton.tapeCount}</tapes>`);
+        }
+        lines.push('\t<automaton>');
+        JFLAPFormat.writeMachine(automaton.toJSON(), automaton, lines, '\t\t', { blockCount: 0 });
+        lines.push('\t</automaton>', '</structure>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Write the states, building blocks and transitions of a machine given
+     * as JSON. Block machines follow the states as <MachineN> elements.
+     */
+    static writeMachine(json, automaton, lines, indent, context) {
+        const type = automaton.type;
+        const blocks = [];
+
+        lines.push(`${indent}<!--The list of states.-->`);
+        json.states.forEach(state => {
+            const attributes = ` id="${state.id}" name="${JFLAPFormat.escape(state.name)}"`;
+            if (state.block) {
+                const tag = `Machine${context.blockCount++}`;
+                blocks.push({ tag: tag, json: state.block });
+                lines.push(`${indent}<block${attributes}>`);
+                lines.push(`${indent}\t<tag>${tag}</tag>`);
+            } else {
+                lines.push(`${indent}<state${attributes}>`);
+            }
+            lines.push(`${indent}\t<x>${state.x}</x>`);
+            lines.push(`${indent}\t<y>${state.y}</y>`);
+            if (state.label) lines.push(`${indent}\t${JFLAPFormat.element('label', state.label)}`);
+            if (state.isInitial) lines.push(`${indent}\t<initial/>`);
+            if (state.isFinal) lines.push(`${indent}\t<final/>`);
+            if (type === 'moore') lines.push(`${indent}\t${JFLAPFormat.element('output', state.output)}`);
+            lines.push(`${indent}</${state.block ? 'block' : 'state'}>`);
+        });
+
+        blocks.forEach(block => {
+            lines.push(`${indent}<${block.tag}>`);
+            JFLAPFormat.writeMachine(block.json, automaton, lines, indent + '\t', context);
+            lines.push(`${indent}</${block.tag}>`);
+        });
+
+        const epsilon = symbol => symbol === 'ε' || symbol === null || symbol === undefined ? '' : symbol;
+        const blank = symbol => symbol === '□' || symbol === null || symbol === undefined ? '' : symbol;
+
+        lines.push(`${indent}<!--The list of transitions.-->`);
+        json.transitions.forEach(t => {
+            // JFLAP reads one symbol per transition; Turing machines read from their tapes
+            const reads = type === 'tm'
+                ? [null]
+                : (t.symbols && t.symbols.length > 0 ? t.symbols : ['ε']);
+
+            reads.forEach(read => {
+                lines.push(`${indent}<transition>`);
+                lines.push(`${indent}\t<from>${t.fromState}</from>`);
+                lines.push(`${indent}\t<to>${t.toState}</to>`);
+
+                if (type === 'tm') {
+                    const operations = t.tapes || [{ readSymbol: t.readSymbol, writeSymbol: t.writeSymbol, direction: t.direction }];
+                    const multiTape = automaton.tapeCount > 1;
+                    operations.forEach((op, i) => {
+                        const tape = multiTape ? ` tape="${i + 1}"` : '';
+                        lines.push(`${indent}\t${JFLAPFormat.element('read', blank(op.readSymbol), tape)}`);
+                        lines.push(`${indent}\t${JFLAPFormat.element('write', blank(op.writeSymbol), tape)}`);
+                        lines.push(`${indent}\t${JFLAPFormat.element('move', op.direction || 'R', tape)}`);
+                    });
+                } else {
+                    lines.push(`${indent}\t${JFLAPFormat.element('read', epsilon(read))}`);
+                }
+
+                if (type === 'pda') {
+                    lines.push(`${indent}\t${JFLAPFormat.element('pop', epsilon(t.stackRead))}`);
+                    lines.push(`${indent}\t${JFLAPFormat.element('push', epsilon(t.stackWrite))}`);
+                } else if (type === 'mealy') {
+                    lines.push(`${indent}\t${JFLAPFormat.element('transout', t.output)}`);
+                } else if (type === 'moore') {
+                    // JFLAP also writes the target state's output on Moore transitions
+                    const target = json.states.find(s => s.id === t.toState);
+                    lines.push(`${indent}\t${JFLAPFormat.element('transout', target ? target.output : '')}`);
+                }
+
+                lines.push(`${indent}</transition>`);
+            });
+        });
+    }
+
+    /**
+     * Write a grammar. JFLAP takes the first production's left side as the
+     * start variable and only knows single-character symbols.
+     */
+    static writeGrammar(grammar) {
+        const symbols = grammar.productions.flatMap(p => [p.lhs, ...p.rhs]);
+        const long = symbols.find(symbol => symbol.length > 1);
+        if (long) {
+            throw new Error(`JFLAP grammars only allow single-character symbols, but the grammar uses ${long}`);
+        }
+
+        const productions = [
+            ...grammar.productions.filter(p => p.lhs === grammar.startVariable),
+            ...grammar.productions.filter(p => p.lhs !== grammar.startVariable)
+        ];
+
+        const lines = JFLAPFormat.header('grammar');
+        lines.push('\t<!--The list of productions.-->');
+        productions.forEach(p => {
+            lines.push('\t<production>');
+            lines.push(`\t\t${JFLAPFormat.element('left', p.lhs)}`);
+            lines.push(`\t\t${JFLAPFormat.element('right', p.rhs.join(''))}`);
+            lines.push('\t</production>');
+        });
+        lines.push('</structure>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Write a regular expression, using ! for ε as JFLAP does
+     */
+    static writeRegex(expression) {
+        const text = String(expression).replace(/[ελ]/g, '!');
+        const lines = JFLAPFormat.header('re');
+        lines.push(`\t${JFLAPFormat.element('expression', text)}`);
+        lines.push('</structure>');
+        return lines.join('\n');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JFLAPFormat;
+}
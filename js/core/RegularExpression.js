@@ -0,0 +1,294 @@
+/**
+ * RegularExpression class representing a regular expression as a syntax tree
+ *
+ * Nodes are built through the static constructors (empty, epsilon, symbol,
+ * union, concat, star), which apply algebraic simplifications so that
+ * expressions produced by conversions stay readable.
+ */
+class RegularExpression {
+    static EPSILON = 'ε';
+    static EMPTY = '∅';
+
+    constructor(type, options = {}) {
+        this.type = type; // 'empty', 'epsilon', 'symbol', 'union', 'concat', 'star'
+        this.symbol = options.symbol || null;
+        this.children = options.children || [];
+    }
+
+    /**
+     * The empty language ∅
+     */
+    static empty() {
+        return new RegularExpression('empty');
+    }
+
+    /**
+     * The empty string ε
+     */
+    static epsilon() {
+        return new RegularExpression('epsilon');
+    }
+
+    /**
+     * A single input symbol
+     */
+    static symbol(symbol) {
+        if (symbol === '' || symbol === RegularExpression.EPSILON) {
+            return RegularExpression.epsilon();
+        }
+        return new RegularExpression('symbol', { symbol: symbol });
+    }
+
+    /**
+     * Union (r + s), dropping ∅ and duplicate alternatives
+     */
+    static union(...expressions) {
+        const children = [];
+        const seen = new Set();
+
+        const add = (expr) => {
+            if (expr.type === 'union') {
+                expr.children.forEach(add);
+                return;
+            }
+            if (expr.isEmpty()) return;
+            const key = expr.toString();
+            if (seen.has(key)) return;
+            seen.add(key);
+            children.push(expr);
+        };
+        expressions.forEach(add);
+
+        // ε + rr* = r*
+        if (children.some(c => c.isEpsilon())) {
+            children.forEach((c, i) => {
+                if (c.type !== 'concat') return;
+                const last = c.children[c.children.length - 1];
+                if (last.type !== 'star') return;
+                const prefix = RegularExpression.concat(...c.children.slice(0, -1));
+                if (prefix.toString() === last.children[0].toString()) {
+                    children[i] = last;
+                }
+            });
+        }
+
+        // ε is redundant next to an alternative that already matches the empty string
+        const filtered = children.some(c => !c.isEpsilon() && c.isNullable())
+            ? children.filter(c => !c.isEpsilon())
+            : children;
+
+        if (filtered.length === 0) return RegularExpression.empty();
+        if (filtered.length === 1) return filtered[0];
+        return new RegularExpression('union', { children: filtered });
+    }
+
+    /**
+     * Concatenation (rs), absorbing ε and ∅
+     */
+    static concat(...expressions) {
+        const children = [];
+
+        for (const expr of expressions) {
+            if (expr.isEmpty()) return RegularExpression.empty();
+            if (expr.isEpsilon()) continue;
+            if (expr.type === 'concat') {
+                children.push(...expr.children);
+            } else {
+                children.push(expr);
+            }
+        }
+
+        // r*r* = r*
+        const merged = children.filter((c, i) =>
+            !(i > 0 && c.type === 'star' && c.toString() === children[i - 1].toString()));
+
+        if (merged.length === 0) return RegularExpression.epsilon();
+        if (merged.length === 1) return merged[0];
+        return new RegularExpression('concat', { children: merged });
+    }
+
+    /**
+     * Kleene star (r*)
+     */
+    static star(expression) {
+        if (expression.isEmpty() || expression.isEpsilon()) {
+            return RegularExpression.epsilon();
+        }
+        if (expression.type === 'star') {
+            return expression;
+        }
+        // (ε + r)* = r*
+        if (expression.type === 'union' && expression.children.some(c => c.isEpsilon())) {
+            return RegularExpression.star(
+                RegularExpression.union(...expression.children.filter(c => !c.isEpsilon())));
+        }
+        return new RegularExpression('star', { children: [expression] });
+    }
+
+    /**
+     * Parse a regular expression string.
+     * Supports union (+ or |), concatenation, Kleene star, parentheses,
+     * ε (also λ or !, as in JFLAP) and ∅. Whitespace is ignored.
+     * The tree mirrors the input exactly; no simplification is applied.
+     */
+    static parse(text) {
+        const tokens = Array.from(text).filter(c => !/\s/.test(c));
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const fail = (message) => {
+            throw new Error(`${message} at position ${pos + 1}`);
+        };
+
+        const parseUnion = () => {
+            const alternatives = [parseConcat()];
+            while (peek() === '+' || peek() === '|') {
+                pos++;
+                alternatives.push(parseConcat());
+            }
+            return alternatives.length === 1
+                ? alternatives[0]
+                : new RegularExpression('union', { children: alternatives });
+        };
+
+        const parseConcat = () => {
+            const factors = [];
+            while (pos < tokens.length && !['+', '|', ')'].includes(peek())) {
+                factors.push(parseStar());
+            }
+            if (factors.length === 0) fail('Expected an expression');
+            return factors.length === 1
+                ? factors[0]
+                : new RegularExpression('concat', { children: factors });
+        };
+
+        const parseStar = () => {
+            let expr = parseAtom();
+            while (peek() === '*') {
+                pos++;
+                expr = new RegularExpression('star', { children: [expr] });
+            }
+            return expr;
+        };
+
+        const parseAtom = () => {
+            const token = peek();
+
+            if (token === '(') {
+                pos++;
+                // "()" is the empty string
+                if (peek() === ')') {
+                    pos++;
+                    return RegularExpression.epsilon();
+                }
+                const inner = parseUnion();
+                if (peek() !== ')') fail("Expected ')'");
+                pos++;
+                return inner;
+            }
+            if (token === '*') fail("Unexpected '*'");
+
+            pos++;
+            if (token === RegularExpression.EPSILON || token === 'λ' || token === '!') {
+                return RegularExpression.epsilon();
+            }
+            if (token === RegularExpression.EMPTY) {
+                return RegularExpression.empty();
+            }
+            return new RegularExpression('symbol', { symbol: token });
+        };
+
+        if (tokens.length === 0) {
+            return RegularExpression.epsilon();
+        }
+
+        const result = parseUnion();
+        if (pos < tokens.length) fail(`Unexpected '${peek()}'`);
+        return result;
+    }
+
+    /**
+     * Build an equivalent NFA using Thompson's construction
+     */
+    toNFA() {
+        return new ThompsonConstruction(this).build();
+    }
+
+    /**
+     * Check if this is the empty language
+     */
+    isEmpty() {
+        return this.type === 'empty';
+    }
+
+    /**
+     * Check if this is exactly the empty string
+     */
+    isEpsilon() {
+        return this.type === 'epsilon';
+    }
+
+    /**
+     * Check if the language contains the empty string
+     */
+    isNullable() {
+        switch (this.type) {
+            case 'epsilon':
+            case 'star':
+                return true;
+            case 'union':
+                return this.children.some(c => c.isNullable());
+            case 'concat':
+                return this.children.every(c => c.isNullable());
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Binding strength used to decide where parentheses are needed
+     */
+    getPrecedence() {
+        switch (this.type) {
+            case 'union': return 0;
+            case 'concat': return 1;
+            default: return 2;
+        }
+    }
+
+    /**
+     * Get the expression as a string, using + for union
+     */
+    toString() {
+        const wrap = (child, minPrecedence) => {
+            const str = child.toString();
+            return child.getPrecedence() < minPrecedence ? `(${str})` : str;
+        };
+
+        switch (this.type) {
+            case 'empty':
+                return RegularExpression.EMPTY;
+            case 'epsilon':
+                return RegularExpression.EPSILON;
+            case 'symbol':
+                return this.symbol;
+            case 'union':
+                return this.children.map(c => c.toString()).join('+');
+            case 'concat':
+                return this.children.map(c => wrap(c, 1)).join('');
+            case 'star': {
+                const child = this.children[0];
+                const str = child.toString();
+                const atomic = child.type !== 'union' && child.type !== 'concat' && child.type !== 'star';
+                return atomic && str.length === 1 ? `${str}*` : `(${str})*`;
+            }
+            default:
+                return '';
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegularExpression;
+}
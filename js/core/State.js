@@ -12,6 +12,7 @@ class State {
         this.isInitial = options.isInitial || false;
         this.isFinal = options.isFinal || false;
         this.radius = options.radius || 30;
+        this.label = options.label || ''; // Optional note shown under the state
 
         // Visual properties
         this.color = options.color || '#3b82f6';
@@ -21,6 +22,15 @@ class State {
 
         // For Turing Machine
         this.isHalt = options.isHalt || false;
+
+        // For Moore machines
+        this.output = options.output || '';
+
+        // For Turing machine building blocks: the JSON of the inner machine
+        this.block = options.block || null;
+
+        // Simulation breakpoint: null for none, '' to always break, or a condition (see Breakpoint)
+        this.breakpoint = options.breakpoint !== undefined ? options.breakpoint : null;
     }
 
     /**
@@ -61,8 +71,12 @@ class State {
             isInitial: this.isInitial,
             isFinal: this.isFinal,
             radius: this.radius,
+            label: this.label,
             color: this.color,
-            isHalt: this.isHalt
+            isHalt: this.isHalt,
+            output: this.output,
+            block: this.block,
+            breakpoint: this.breakpoint
         });
     }
 
@@ -77,7 +91,11 @@ class State {
             y: this.y,
             isInitial: this.isInitial,
             isFinal: this.isFinal,
-            isHalt: this.isHalt
+            isHalt: this.isHalt,
+            output: this.output,
+            label: this.label,
+            block: this.block,
+            breakpoint: this.breakpoint
         };
     }
 
@@ -92,7 +110,11 @@ class State {
             y: json.y,
             isInitial: json.isInitial,
             isFinal: json.isFinal,
-            isHalt: json.isHalt
+            isHalt: json.isHalt,
+            output: json.output,
+            label: json.label,
+            block: json.block,
+            breakpoint: json.breakpoint
         });
     }
 
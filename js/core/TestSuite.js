@@ -0,0 +1,172 @@
+/**
+ * TestSuite - Input strings with expected results
+ *
+ * In the text format each line is an input followed by the expected result,
+ * separated by whitespace; ε or λ stands for the empty string:
+ *   aabb  accept           accepted or rejected
+ *   1011  accept  1100     Turing machines: also the tape content at the end
+ *   1101  1001             Mealy/Moore machines: the output
+ * Other machines and grammars have no output, so their tests expecting one
+ * are an error when run.
+ * Comments start with // or # at the beginning of a line or after whitespace.
+ */
+class TestSuite {
+    constructor(cases = []) {
+        // { input, expected: 'accept' | 'reject' | null, output: string | null }
+        this.cases = cases;
+    }
+
+    /**
+     * Turn ε and λ into the empty string
+     */
+    static readString(text) {
+        return text === 'ε' || text === 'λ' ? '' : text;
+    }
+
+    /**
+     * Write the empty string as ε
+     */
+    static writeString(text) {
+        return text === '' ? 'ε' : text;
+    }
+
+    /**
+     * Check if a case has an expected result to compare against
+     */
+    static hasExpectation(test) {
+        return test.expected !== null || test.output !== null;
+    }
+
+    /**
+     * Parse the text format
+     */
+    static parse(text) {
+        const cases = [];
+
+        text.split('\n').forEach((line, index) => {
+            const trimmed = line.replace(/(^|\s)(\/\/|#).*$/, '').trim();
+            if (trimmed === '') return;
+
+            const fields = trimmed.split(/\s+/);
+            if (fields.length > 3) {
+                throw new Error(`Line ${index + 1}: expected an input and a result, found "${trimmed}"`);
+            }
+
+            const test = { input: TestSuite.readString(fields[0]), expected: null, output: null };
+            let rest = fields.slice(1);
+            if (rest.length > 0 && (rest[0] === 'accept' || rest[0] === 'reject')) {
+                test.expected = rest[0];
+                rest = rest.slice(1);
+            } else if (rest.length > 1) {
+                throw new Error(`Line ${index + 1}: the result must be accept or reject, found "${rest[0]}"`);
+            }
+            if (rest.length > 0) {
+                test.output = TestSuite.readString(rest[0]);
+            }
+
+            cases.push(test);
+        });
+
+        return new TestSuite(cases);
+    }
+
+    /**
+     * Run one input on an automaton or grammar: { accepted, output }
+     */
+    static runInput(machine, input, parser = null) {
+        if (machine instanceof Grammar) {
+            return { accepted: (parser || new CYKParser(machine)).parse(input).accepted, output: null };
+        }
+        if (machine.isTransducer()) {
+            const result = machine.translate(input);
+            return { accepted: result.completed, output: result.output };
+        }
+
+        const accepted = machine.accepts(input);
+        return { accepted: accepted, output: machine.type === 'tm' ? machine.getTapeContent() : null };
+    }
+
+    /**
+     * Check if a machine leaves an output to compare: the tape of a Turing
+     * machine or the output of a Mealy/Moore machine
+     */
+    static hasOutput(machine) {
+        return !(machine instanceof Grammar) && (machine.type === 'tm' || machine.isTransducer());
+    }
+
+    /**
+     * Run every case. Results are the cases with accepted, actualOutput and passed.
+     */
+    run(machine) {
+        // An expected output cannot be checked on a machine without one
+        const withOutput = this.cases.find(test => test.output !== null);
+        if (withOutput && !TestSuite.hasOutput(machine)) {
+            const kind = machine instanceof Grammar ? 'grammars' : `${machine.type.toUpperCase()}s`;
+            throw new Error(`The test for ${TestSuite.writeString(withOutput.input)} expects the output ` +
+                `${TestSuite.writeString(withOutput.output)}, but ${kind} have no output; use accept or reject`);
+        }
+
+        // Grammars are converted to CNF once for all inputs
+        const parser = machine instanceof Grammar ? new CYKParser(machine) : null;
+
+        return this.cases.map(test => {
+            const result = TestSuite.runInput(machine, test.input, parser);
+            const acceptedOk = test.expected === null || result.accepted === (test.expected === 'accept');
+            const outputOk = test.output === null || result.output === test.output;
+
+            return {
+                ...test,
+                accepted: result.accepted,
+                actualOutput: result.output,
+                passed: acceptedOk && outputOk
+            };
+        });
+    }
+
+    /**
+     * Count the passed results among those with an expectation
+     */
+    static summarize(results) {
+        const checked = results.filter(r => TestSuite.hasExpectation(r));
+        return {
+            passed: checked.filter(r => r.passed).length,
+            total: checked.length
+        };
+    }
+
+    /**
+     * Write the text format, with the columns aligned
+     */
+    toText() {
+        const rows = this.cases.map(test => [
+            TestSuite.writeString(test.input),
+            test.expected || '',
+            test.output !== null ? TestSuite.writeString(test.output) : ''
+        ].filter((field, i) => field !== '' || i === 0));
+        const width = Math.max(0, ...rows.map(row => row[0].length));
+        return rows.map(row => row.length > 1 ? `${row[0].padEnd(width)}  ${row.slice(1).join('  ')}` : row[0]).join('\n');
+    }
+
+    /**
+     * Serialize to JSON
+     */
+    toJSON() {
+        return this.cases.map(test => ({ input: test.input, expected: test.expected, output: test.output }));
+    }
+
+    /**
+     * Create a test suite from JSON
+     */
+    static fromJSON(json) {
+        return new TestSuite((json || []).map(test => ({
+            input: test.input || '',
+            expected: test.expected || null,
+            output: test.output !== undefined ? test.output : null
+        })));
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TestSuite;
+}
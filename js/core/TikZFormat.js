@@ -0,0 +1,180 @@
+/**
+ * TikZFormat - Writes automata as TikZ pictures for LaTeX
+ *
+ * The picture uses the TikZ automata library: states keep their canvas
+ * positions, initial and final states get the initial and accepting
+ * styles, and a transition's controlPoint (the control point of its
+ * curve, as in JFLAP) sets the direction of a loop or the side and angle
+ * of a bend. Without one, loops go above and transitions in both
+ * directions between two states bend right, as the canvas draws them.
+ */
+class TikZFormat {
+    // Canvas pixels per centimeter
+    static UNIT = 60;
+
+    // Characters with a meaning in LaTeX math, and the symbols used in labels
+    static MATH = {
+        '\\': '\\backslash ', '{': '\\{', '}': '\\}', '#': '\\#', '$': '\\$',
+        '%': '\\%', '&': '\\&', '_': '\\_', '^': '\\hat{}', '~': '\\sim ',
+        'ε': '\\varepsilon ', 'λ': '\\lambda ', 'δ': '\\delta ', '→': '\\to ',
+        '□': '\\sqcup ', '|': '\\mid '
+    };
+
+    /**
+     * Write an automaton as a tikzpicture; options.unit sets the canvas
+     * pixels per centimeter
+     */
+    static write(automaton, options = {}) {
+        const unit = options.unit || TikZFormat.UNIT;
+        const number = (value) => String(Math.round(value * 100) / 100);
+        const names = TikZFormat.getNodeNames(automaton);
+
+        // Put the top left state at the origin; TikZ's y axis points up
+        const minX = Math.min(...automaton.states.map(s => s.x));
+        const minY = Math.min(...automaton.states.map(s => s.y));
+        const position = (state) => ({ x: (state.x - minX) / unit, y: -(state.y - minY) / unit });
+
+        const lines = [
+            '% \\usepackage{tikz}',
+            '% \\usetikzlibrary{automata, arrows.meta}',
+            '\\begin{tikzpicture}[>={Stealth[round]}, shorten >=1pt, auto, initial text={}]'
+        ];
+
+        automaton.states.forEach(state => {
+            const styles = ['state'];
+            if (state.block) styles.push('rectangle');
+            if (state.isInitial) styles.push('initial');
+            if (state.isFinal) styles.push('accepting');
+            if (state.label) styles.push(`label=below:{${TikZFormat.escapeText(state.label)}}`);
+
+            let text = TikZFormat.getStateMath(state.name);
+            if (automaton.type === 'moore') {
+                text += `/${TikZFormat.toMath(state.output || 'ε')}`;
+            }
+
+            const pos = position(state);
+            lines.push(`    \\node[${styles.join(', ')}] (${names.get(state)}) at (${number(pos.x)}, ${number(pos.y)}) {$${text}$};`);
+        });
+
+        const edges = TikZFormat.getEdges(automaton);
+        if (edges.length > 0) {
+            lines.push('    \\path[->]');
+            edges.forEach(edge => {
+                const labels = edge.transitions.map(t => `$${TikZFormat.toMath(t.getLabel(automaton.type))}$`);
+                const node = labels.length > 1 ? `node[align=center] {${labels.join('\\\\')}}` : `node {${labels[0]}}`;
+                const style = TikZFormat.getEdgeStyle(edge, automaton, unit);
+                const target = edge.from === edge.to ? '()' : `(${names.get(edge.to)})`;
+                lines.push(`        (${names.get(edge.from)}) edge${style ? `[${style}]` : ''} ${node} ${target}`);
+            });
+            lines.push('        ;');
+        }
+
+        lines.push('\\end{tikzpicture}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Give each state a TikZ node name: its own name when that is a plain
+     * identifier used once, otherwise s<id>
+     */
+    static getNodeNames(automaton) {
+        const counts = new Map();
+        automaton.states.forEach(s => counts.set(s.name, (counts.get(s.name) || 0) + 1));
+
+        const names = new Map();
+        automaton.states.forEach(state => {
+            const plain = /^[A-Za-z][A-Za-z0-9]*$/.test(state.name) && counts.get(state.name) === 1 &&
+                !/^s\d+$/.test(state.name);
+            names.set(state, plain ? state.name : `s${state.id}`);
+        });
+        return names;
+    }
+
+    /**
+     * Group the transitions by their two states, one edge each:
+     * [{ from, to, transitions }]
+     */
+    static getEdges(automaton) {
+        const edges = new Map();
+        automaton.transitions.forEach(transition => {
+            const from = automaton.getState(transition.getFromStateId());
+            const to = automaton.getState(transition.getToStateId());
+            if (!from || !to) return;
+
+            const key = `${from.id}-${to.id}`;
+            if (!edges.has(key)) {
+                edges.set(key, { from, to, transitions: [] });
+            }
+            edges.get(key).transitions.push(transition);
+        });
+        return Array.from(edges.values());
+    }
+
+    /**
+     * Get the loop or bend options of an edge from its first control point
+     */
+    static getEdgeStyle(edge, automaton, unit) {
+        const control = edge.transitions.map(t => t.controlPoint).find(point => point) || null;
+        const from = edge.from;
+        const to = edge.to;
+
+        if (from === to) {
+            if (!control) return 'loop above';
+
+            // Canvas angles turn clockwise; TikZ angles counterclockwise
+            const angle = Math.round(Math.atan2(-(control.y - from.y), control.x - from.x) * 180 / Math.PI / 45) * 45;
+            const named = { 0: 'loop right', 90: 'loop above', 180: 'loop left', '-180': 'loop left', '-90': 'loop below' };
+            return named[angle] || `loop, out=${angle + 15}, in=${angle - 15}`;
+        }
+
+        const dx = (to.x - from.x) / unit;
+        const dy = -(to.y - from.y) / unit;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return '';
+
+        let offset;
+        if (control) {
+            // Signed distance of the control point from the line, left positive
+            offset = (dx * -(control.y - from.y) / unit - dy * (control.x - from.x) / unit) / length;
+        } else if (automaton.getTransitionsBetween(to.id, from.id).length > 0) {
+            // The canvas bends both directions to the right by its curve offset
+            offset = -30 / unit;
+        } else {
+            return '';
+        }
+        if (Math.abs(offset) < 2 / unit) return '';
+
+        // A curve's ends leave towards its control point
+        const angle = Math.min(80, Math.max(5, Math.round(Math.atan2(2 * Math.abs(offset), length) * 180 / Math.PI)));
+        return `bend ${offset > 0 ? 'left' : 'right'}=${angle}`;
+    }
+
+    /**
+     * Write a state name in math mode, with trailing digits as a subscript
+     */
+    static getStateMath(name) {
+        const match = name.match(/^(.*[^\d])(\d+)$/);
+        return match ? `${TikZFormat.toMath(match[1])}_{${match[2]}}` : TikZFormat.toMath(name);
+    }
+
+    /**
+     * Turn a label into LaTeX math
+     */
+    static toMath(text) {
+        return Array.from(String(text), char => TikZFormat.MATH[char] || char).join('').trim();
+    }
+
+    /**
+     * Escape plain text for LaTeX
+     */
+    static escapeText(text) {
+        return String(text).replace(/[\\{}#$%&_^~]/g, char => ({
+            '\\': '\\textbackslash{}', '^': '\\textasciicircum{}', '~': '\\textasciitilde{}'
+        })[char] || '\\' + char);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TikZFormat;
+}
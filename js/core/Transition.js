@@ -18,6 +18,10 @@ class Transition {
         this.readSymbol = options.readSymbol || null;
         this.writeSymbol = options.writeSymbol || null;
         this.direction = options.direction || null; // 'L', 'R', or 'S' (stay)
+        this.tapes = options.tapes || null; // Multi-tape: [{ readSymbol, writeSymbol, direction }] per tape
+
+        // For Mealy machines
+        this.output = options.output || '';
 
         // Visual properties
         this.selected = false;
@@ -29,6 +33,9 @@ class Transition {
 
         // Label position offset
         this.labelOffset = options.labelOffset || { x: 0, y: -10 };
+
+        // Simulation breakpoint: null for none, '' to always break, or a condition (see Breakpoint)
+        this.breakpoint = options.breakpoint !== undefined ? options.breakpoint : null;
     }
 
     /**
@@ -67,17 +74,33 @@ class Transition {
                 const push = this.stackWrite || 'ε';
                 return `${input}, ${pop} → ${push}`;
 
+            case 'mealy':
+                return `${this.symbols.join(', ')}/${this.output || 'ε'}`;
+
+            case 'moore':
+                return this.symbols.join(', ');
+
             case 'tm':
-                const read = this.readSymbol || '□';
-                const write = this.writeSymbol || '□';
-                const dir = this.direction || 'R';
-                return `${read} → ${write}, ${dir}`;
+                return this.getTapeOperations().map(op => {
+                    const read = op.readSymbol || '□';
+                    const write = op.writeSymbol || '□';
+                    const dir = op.direction || 'R';
+                    return `${read} → ${write}, ${dir}`;
+                }).join(' | ');
 
             default:
                 return this.symbols.join(', ');
         }
     }
 
+    /**
+     * Get the Turing machine operations, one per tape
+     */
+    getTapeOperations() {
+        if (this.tapes) return this.tapes;
+        return [{ readSymbol: this.readSymbol, writeSymbol: this.writeSymbol, direction: this.direction }];
+    }
+
     /**
      * Check if this is a self-loop
      */
@@ -116,9 +139,12 @@ class Transition {
             readSymbol: this.readSymbol,
             writeSymbol: this.writeSymbol,
             direction: this.direction,
+            tapes: this.tapes ? this.tapes.map(op => ({ ...op })) : null,
+            output: this.output,
             color: this.color,
             controlPoint: this.controlPoint ? { ...this.controlPoint } : null,
-            labelOffset: { ...this.labelOffset }
+            labelOffset: { ...this.labelOffset },
+            breakpoint: this.breakpoint
         });
     }
 
@@ -136,8 +162,11 @@ class Transition {
             readSymbol: this.readSymbol,
             writeSymbol: this.writeSymbol,
             direction: this.direction,
+            tapes: this.tapes,
+            output: this.output,
             controlPoint: this.controlPoint,
-            labelOffset: this.labelOffset
+            labelOffset: this.labelOffset,
+            breakpoint: this.breakpoint
         };
     }
 
@@ -158,8 +187,11 @@ class Transition {
             readSymbol: json.readSymbol,
             writeSymbol: json.writeSymbol,
             direction: json.direction,
+            tapes: json.tapes,
+            output: json.output,
             controlPoint: json.controlPoint,
-            labelOffset: json.labelOffset
+            labelOffset: json.labelOffset,
+            breakpoint: json.breakpoint
         });
     }
 
@@ -169,11 +201,22 @@ class Transition {
     static parseLabel(label, machineType) {
         switch (machineType) {
             case 'dfa':
+            case 'moore':
                 // Single symbol only
                 return {
                     symbols: [label.trim() || 'ε']
                 };
 
+            case 'mealy':
+                // Format: input/output, with ε (or λ) for no output
+                const slash = label.indexOf('/');
+                const mealyInput = (slash === -1 ? label : label.substring(0, slash)).trim();
+                const mealyOutput = slash === -1 ? '' : label.substring(slash + 1).trim();
+                return {
+                    symbols: [mealyInput || 'ε'],
+                    output: mealyOutput === 'ε' || mealyOutput === 'λ' ? '' : mealyOutput
+                };
+
             case 'nfa':
                 // Can have multiple symbols separated by comma
                 const nfaSymbols = label.split(',').map(s => s.trim()).filter(s => s !== '');
@@ -194,16 +237,19 @@ class Transition {
                 return { symbols: ['ε'], stackRead: 'ε', stackWrite: 'ε' };
 
             case 'tm':
-                // Format: read;write,direction or read→write,direction
-                const tmMatch = label.match(/^([^;→]*)(?:[;→])([^,]*),([LRS])$/i);
-                if (tmMatch) {
-                    return {
-                        readSymbol: tmMatch[1].trim() || '□',
-                        writeSymbol: tmMatch[2].trim() || '□',
-                        direction: tmMatch[3].toUpperCase()
-                    };
-                }
-                return { readSymbol: '□', writeSymbol: '□', direction: 'R' };
+                // Format: read;write,direction or read→write,direction, tapes separated by |
+                const operations = label.split('|').map(part => {
+                    const tmMatch = part.trim().match(/^([^;→]*)(?:[;→])([^,]*),\s*([LRS])$/i);
+                    if (tmMatch) {
+                        return {
+                            readSymbol: tmMatch[1].trim() || '□',
+                            writeSymbol: tmMatch[2].trim() || '□',
+                            direction: tmMatch[3].toUpperCase()
+                        };
+                    }
+                    return { readSymbol: '□', writeSymbol: '□', direction: 'R' };
+                });
+                return { ...operations[0], tapes: operations.length > 1 ? operations : null };
 
             default:
                 return { symbols: [label] };
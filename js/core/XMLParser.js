@@ -0,0 +1,218 @@
+/**
+ * XMLParser - A small XML parser that does not need the DOM
+ *
+ * Builds a tree of elements with tagName, attributes, children,
+ * getAttribute() and textContent, which is all .jff reading needs, so files
+ * load the same way in the browser and in Node. Comments, processing
+ * instructions and the DOCTYPE are skipped; CDATA sections and character
+ * references become text.
+ */
+class XMLParser {
+    static ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+    static NAME = /[A-Za-z_:][\w:.-]*/y;
+
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+    }
+
+    /**
+     * Parse XML text and return its root element
+     */
+    static parse(text) {
+        return new XMLParser(text).parseDocument();
+    }
+
+    /**
+     * Create an element node
+     */
+    static createElement(tagName, attributes = {}) {
+        return {
+            tagName: tagName,
+            attributes: attributes,
+            children: [],
+            nodes: [], // Child elements and text strings in document order
+
+            getAttribute(name) {
+                return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+            },
+
+            get textContent() {
+                return this.nodes.map(n => typeof n === 'string' ? n : n.textContent).join('');
+            }
+        };
+    }
+
+    /**
+     * Throw an error pointing at the current line
+     */
+    fail(message) {
+        const line = this.text.slice(0, this.pos).split('\n').length;
+        throw new Error(`Invalid XML: ${message} on line ${line}`);
+    }
+
+    /**
+     * Check if the text continues with a string
+     */
+    startsWith(prefix) {
+        return this.text.startsWith(prefix, this.pos);
+    }
+
+    /**
+     * Move past the next occurrence of a string, returning the text before it
+     */
+    readUntil(end, what) {
+        const index = this.text.indexOf(end, this.pos);
+        if (index === -1) this.fail(`unterminated ${what}`);
+        const content = this.text.slice(this.pos, index);
+        this.pos = index + end.length;
+        return content;
+    }
+
+    /**
+     * Skip whitespace
+     */
+    skipWhitespace() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Read an element or attribute name
+     */
+    readName() {
+        XMLParser.NAME.lastIndex = this.pos;
+        const match = XMLParser.NAME.exec(this.text);
+        if (!match) this.fail('expected a name');
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Replace entity and character references
+     */
+    decode(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);/g, (match, name) => {
+            if (name[0] === '#') {
+                return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+            }
+            if (!Object.prototype.hasOwnProperty.call(XMLParser.ENTITIES, name)) {
+                this.fail(`unknown entity ${match}`);
+            }
+            return XMLParser.ENTITIES[name];
+        });
+    }
+
+    /**
+     * Skip a comment, processing instruction or DOCTYPE; returns false if there is none
+     */
+    skipMarkup() {
+        if (this.startsWith('<!--')) {
+            this.readUntil('-->', 'comment');
+        } else if (this.startsWith('<?')) {
+            this.readUntil('?>', 'processing instruction');
+        } else if (this.startsWith('<!DOCTYPE')) {
+            // The internal subset may contain '>' inside brackets
+            const subset = this.text.indexOf('[', this.pos);
+            const close = this.text.indexOf('>', this.pos);
+            if (subset !== -1 && subset < close) {
+                this.pos = subset;
+                this.readUntil(']', 'DOCTYPE');
+            }
+            this.readUntil('>', 'DOCTYPE');
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Parse the whole document
+     */
+    parseDocument() {
+        // Byte order mark
+        if (this.text.charCodeAt(0) === 0xFEFF) this.pos = 1;
+
+        this.skipWhitespace();
+        while (this.skipMarkup()) this.skipWhitespace();
+        if (!this.startsWith('<')) this.fail('missing root element');
+
+        const root = this.parseElement();
+
+        this.skipWhitespace();
+        while (this.skipMarkup()) this.skipWhitespace();
+        if (this.pos < this.text.length) this.fail('content after the root element');
+
+        return root;
+    }
+
+    /**
+     * Parse an element starting at '<'
+     */
+    parseElement() {
+        this.pos++;
+        const element = XMLParser.createElement(this.readName());
+
+        // Attributes
+        for (;;) {
+            this.skipWhitespace();
+            if (this.startsWith('/>')) {
+                this.pos += 2;
+                return element;
+            }
+            if (this.startsWith('>')) {
+                this.pos++;
+                break;
+            }
+
+            const name = this.readName();
+            this.skipWhitespace();
+            if (!this.startsWith('=')) this.fail(`expected = after attribute ${name}`);
+            this.pos++;
+            this.skipWhitespace();
+
+            const quote = this.text[this.pos];
+            if (quote !== '"' && quote !== '\'') this.fail(`expected a quoted value for attribute ${name}`);
+            this.pos++;
+            if (element.getAttribute(name) !== null) this.fail(`duplicate attribute ${name}`);
+            element.attributes[name] = this.decode(this.readUntil(quote, 'attribute value'));
+        }
+
+        // Content
+        while (this.pos < this.text.length) {
+            if (this.startsWith('</')) {
+                this.pos += 2;
+                const name = this.readName();
+                if (name !== element.tagName) this.fail(`expected </${element.tagName}> but found </${name}>`);
+                this.skipWhitespace();
+                if (!this.startsWith('>')) this.fail(`expected > after </${name}`);
+                this.pos++;
+                return element;
+            }
+
+            if (this.startsWith('<![CDATA[')) {
+                this.pos += 9;
+                element.nodes.push(this.readUntil(']]>', 'CDATA section'));
+            } else if (this.skipMarkup()) {
+                continue;
+            } else if (this.startsWith('<')) {
+                const child = this.parseElement();
+                element.children.push(child);
+                element.nodes.push(child);
+            } else {
+                const end = this.text.indexOf('<', this.pos);
+                const text = this.text.slice(this.pos, end === -1 ? this.text.length : end);
+                this.pos += text.length;
+                element.nodes.push(this.decode(text));
+            }
+        }
+
+        this.fail(`unclosed element <${element.tagName}>`);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XMLParser;
+}
@@ -159,13 +159,292 @@ class DFA extends Automaton {
     }
 
     /**
-     * Minimize the DFA using partition refinement
+     * Get the target state for a symbol (first matching transition, as in step())
+     */
+    getNextState(state, symbol) {
+        const transition = this.getTransitionsFrom(state).find(t => !t.isEpsilon() && t.accepts(symbol));
+        if (!transition) return null;
+        return typeof transition.toState === 'object' ? transition.toState : this.getState(transition.toState);
+    }
+
+    /**
+     * Minimize the DFA using Hopcroft's partition refinement.
+     * Unreachable states are removed and equivalent states merged. Missing
+     * transitions are treated as going to an implicit trap state, which is
+     * dropped again from the result, so a partial DFA stays partial.
+     * Returns a new DFA; this one is left untouched.
      */
     minimize() {
-        // Implementation of Hopcroft's algorithm would go here
-        // For now, just return self
-        console.log('DFA minimization not yet implemented');
-        return this;
+        if (!this.initialState) {
+            throw new Error('Cannot minimize: no initial state defined');
+        }
+
+        const alphabet = Array.from(this.alphabet).filter(s => s !== 'ε');
+        const reachable = this.getReachableStates();
+        const states = this.states.filter(s => reachable.has(s.id));
+
+        // Index states; the implicit trap state (if needed) gets the last index
+        const index = new Map(states.map((s, i) => [s.id, i]));
+        let trap = -1;
+        const delta = states.map(state => alphabet.map(symbol => {
+            const next = this.getNextState(state, symbol);
+            if (next) return index.get(next.id);
+            if (trap === -1) trap = states.length;
+            return trap;
+        }));
+        const n = trap === -1 ? states.length : states.length + 1;
+        if (trap !== -1) delta.push(alphabet.map(() => trap));
+
+        // Reverse transitions: inverse[symbol][target] = [sources]
+        const inverse = alphabet.map(() => Array.from({ length: n }, () => []));
+        delta.forEach((row, from) => row.forEach((to, a) => inverse[a][to].push(from)));
+
+        // Initial partition: accepting vs. non-accepting
+        const blockOf = new Array(n);
+        const blocks = [];
+        const finals = [];
+        const nonFinals = [];
+        for (let i = 0; i < n; i++) {
+            (i < states.length && states[i].isFinal ? finals : nonFinals).push(i);
+        }
+        [finals, nonFinals].filter(b => b.length > 0).forEach(block => {
+            block.forEach(i => blockOf[i] = blocks.length);
+            blocks.push(block);
+        });
+
+        // Hopcroft worklist of splitter blocks
+        const pending = new Set();
+        if (blocks.length === 2) {
+            pending.add(blocks[0].length <= blocks[1].length ? 0 : 1);
+        } else {
+            pending.add(0);
+        }
+
+        while (pending.size > 0) {
+            const splitter = pending.values().next().value;
+            pending.delete(splitter);
+            const splitterStates = [...blocks[splitter]];
+
+            alphabet.forEach((symbol, a) => {
+                // States with an a-transition into the splitter, grouped by block
+                const hits = new Map();
+                splitterStates.forEach(target => {
+                    inverse[a][target].forEach(source => {
+                        const b = blockOf[source];
+                        if (!hits.has(b)) hits.set(b, new Set());
+                        hits.get(b).add(source);
+                    });
+                });
+
+                hits.forEach((inside, b) => {
+                    if (inside.size === blocks[b].length) return;
+
+                    const outside = blocks[b].filter(i => !inside.has(i));
+                    const newBlock = blocks.length;
+                    blocks[b] = Array.from(inside);
+                    blocks.push(outside);
+                    outside.forEach(i => blockOf[i] = newBlock);
+
+                    if (pending.has(b) || blocks[b].length > outside.length) {
+                        pending.add(newBlock);
+                    } else {
+                        pending.add(b);
+                    }
+                });
+            });
+        }
+
+        // Build the minimized DFA, dropping the block that holds the trap state
+        const minimized = new DFA();
+        const initialBlock = blockOf[index.get(this.initialState.id)];
+        const trapBlock = trap !== -1 ? blockOf[trap] : -1;
+        const order = [initialBlock, ...blocks.map((_, b) => b).filter(b => b !== initialBlock)];
+        const blockStates = new Map();
+
+        order.forEach(b => {
+            // Keep a trap-equivalent initial block: the language is empty
+            if (b === trapBlock && b !== initialBlock) return;
+            const members = blocks[b].filter(i => i !== trap).map(i => states[i]);
+            const state = new State({
+                name: members.length === 1
+                    ? members[0].name
+                    : `{${members.map(s => s.name).join(',')}}`,
+                isInitial: b === initialBlock,
+                isFinal: members[0].isFinal
+            });
+            minimized.addState(state);
+            blockStates.set(b, state);
+        });
+
+        blockStates.forEach((fromState, b) => {
+            const representative = blocks[b][0];
+            const symbolsByTarget = new Map();
+            alphabet.forEach((symbol, a) => {
+                const target = blockOf[delta[representative][a]];
+                if (target === trapBlock) return;
+                if (!symbolsByTarget.has(target)) symbolsByTarget.set(target, []);
+                symbolsByTarget.get(target).push(symbol);
+            });
+            symbolsByTarget.forEach((symbols, target) => {
+                minimized.addTransition(new Transition({
+                    fromState: fromState,
+                    toState: blockStates.get(target),
+                    symbols: symbols
+                }));
+            });
+        });
+
+        alphabet.forEach(s => minimized.alphabet.add(s));
+        minimized.layoutStates();
+        return minimized;
+    }
+
+    /**
+     * Get an equivalent complete DFA over the given alphabet, adding a trap
+     * state for missing transitions when needed. Returns a new DFA.
+     */
+    complete(alphabet = Array.from(this.alphabet)) {
+        if (!this.initialState) {
+            throw new Error('Cannot complete: no initial state defined');
+        }
+
+        const symbols = alphabet.filter(s => s !== 'ε');
+        const result = new DFA();
+        const stateMap = new Map();
+
+        this.states.forEach(s => {
+            const state = new State({
+                name: s.name,
+                x: s.x,
+                y: s.y,
+                isInitial: s === this.initialState,
+                isFinal: s.isFinal
+            });
+            result.states.push(state);
+            stateMap.set(s.id, state);
+        });
+        result.initialState = stateMap.get(this.initialState.id);
+
+        let trap = null;
+        const getTrap = () => {
+            if (!trap) {
+                const maxX = Math.max(...this.states.map(s => s.x));
+                const maxY = Math.max(...this.states.map(s => s.y));
+                trap = new State({ name: 'trap', x: maxX + 150, y: maxY + 100 });
+                result.states.push(trap);
+                result.transitions.push(new Transition({ fromState: trap, toState: trap, symbols: [...symbols] }));
+            }
+            return trap;
+        };
+
+        this.states.forEach(s => {
+            const byTarget = new Map();
+            symbols.forEach(symbol => {
+                const next = this.getNextState(s, symbol);
+                const target = next ? stateMap.get(next.id) : getTrap();
+                if (!byTarget.has(target)) byTarget.set(target, []);
+                byTarget.get(target).push(symbol);
+            });
+            byTarget.forEach((targetSymbols, target) => {
+                result.transitions.push(new Transition({
+                    fromState: stateMap.get(s.id),
+                    toState: target,
+                    symbols: targetSymbols
+                }));
+            });
+        });
+
+        symbols.forEach(s => result.alphabet.add(s));
+        return result;
+    }
+
+    /**
+     * Complement: swap accepting and non-accepting states of the completed DFA
+     */
+    complement() {
+        const result = this.complete();
+        result.states.forEach(s => s.isFinal = !s.isFinal);
+        result.layoutStates();
+        return result;
+    }
+
+    /**
+     * Intersection with another DFA or NFA (product construction)
+     */
+    intersection(other) {
+        return this.product(other, (a, b) => a && b);
+    }
+
+    /**
+     * Union with another DFA or NFA (product construction)
+     */
+    union(other) {
+        return this.product(other, (a, b) => a || b);
+    }
+
+    /**
+     * Difference: strings accepted by this automaton but not by the other
+     */
+    difference(other) {
+        return this.product(other, (a, b) => a && !b);
+    }
+
+    /**
+     * Build the reachable part of the product of two completed DFAs; a pair
+     * state accepts when accept(leftIsFinal, rightIsFinal) holds
+     */
+    product(other, accept) {
+        const right = other.type === 'nfa' ? other.toDFA() : other;
+        if (right.type !== 'dfa') {
+            throw new Error('Product construction requires a DFA or NFA');
+        }
+
+        const alphabet = Array.from(new Set([...this.alphabet, ...right.alphabet]))
+            .filter(s => s !== 'ε')
+            .sort();
+        const left = this.complete(alphabet);
+        const completeRight = right.complete(alphabet);
+
+        const result = new DFA();
+        const pairStates = new Map();
+        const queue = [];
+
+        const getPairState = (a, b) => {
+            const key = `${a.id},${b.id}`;
+            if (!pairStates.has(key)) {
+                const state = new State({
+                    name: `(${a.name},${b.name})`,
+                    isInitial: pairStates.size === 0,
+                    isFinal: accept(a.isFinal, b.isFinal)
+                });
+                result.states.push(state);
+                if (state.isInitial) result.initialState = state;
+                pairStates.set(key, state);
+                queue.push({ a, b, state });
+            }
+            return pairStates.get(key);
+        };
+
+        getPairState(left.initialState, completeRight.initialState);
+
+        while (queue.length > 0) {
+            const { a, b, state } = queue.shift();
+            const byTarget = new Map();
+
+            alphabet.forEach(symbol => {
+                const target = getPairState(left.getNextState(a, symbol), completeRight.getNextState(b, symbol));
+                if (!byTarget.has(target)) byTarget.set(target, []);
+                byTarget.get(target).push(symbol);
+            });
+
+            byTarget.forEach((symbols, target) => {
+                result.transitions.push(new Transition({ fromState: state, toState: target, symbols: symbols }));
+            });
+        }
+
+        alphabet.forEach(s => result.alphabet.add(s));
+        result.layoutStates();
+        return result;
     }
 
     /**
@@ -179,12 +458,17 @@ class DFA extends Automaton {
     }
 
     /**
-     * Generate regular expression (simplified)
+     * Generate an equivalent regular expression by state elimination
      */
     toRegex() {
-        // State elimination algorithm would go here
-        console.log('Regular expression generation not yet implemented');
-        return null;
+        return new StateElimination(this).run().toString();
+    }
+
+    /**
+     * Generate an equivalent right-linear grammar
+     */
+    toGrammar() {
+        return new FAToGrammar(this).convert();
     }
 }
 
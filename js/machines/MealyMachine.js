@@ -0,0 +1,27 @@
+/**
+ * MealyMachine - Transducer whose outputs are written on the transitions (a/out)
+ */
+class MealyMachine extends Transducer {
+    constructor() {
+        super('mealy');
+    }
+
+    /**
+     * Output of the transition taken
+     */
+    getTransitionOutput(transition) {
+        return transition.output || '';
+    }
+
+    /**
+     * Convert to an equivalent Moore machine
+     */
+    toMoore() {
+        return new MealyToMoore(this).convert();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MealyMachine;
+}
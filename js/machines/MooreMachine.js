@@ -0,0 +1,37 @@
+/**
+ * MooreMachine - Transducer whose outputs are written on the states
+ *
+ * The initial state's output is produced before reading any input, then
+ * each state entered produces its output.
+ */
+class MooreMachine extends Transducer {
+    constructor() {
+        super('moore');
+    }
+
+    /**
+     * Output of the initial state
+     */
+    getInitialOutput() {
+        return this.initialState ? this.initialState.output || '' : '';
+    }
+
+    /**
+     * Output of the state entered
+     */
+    getTransitionOutput(transition, nextState) {
+        return nextState.output || '';
+    }
+
+    /**
+     * Convert to an equivalent Mealy machine
+     */
+    toMealy() {
+        return new MooreToMealy(this).convert();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MooreMachine;
+}
@@ -155,6 +155,35 @@ class NFA extends Automaton {
         return true;
     }
 
+    /**
+     * Get the configurations one transition away from a configuration
+     * { state, inputIndex }, each with the transition taken
+     */
+    getNextConfigurations(config, input) {
+        const symbol = config.inputIndex < input.length ? input[config.inputIndex] : null;
+        const next = [];
+
+        this.getTransitionsFrom(config.state).forEach(t => {
+            const toState = this.getState(t.getToStateId());
+            if (!toState) return;
+
+            if (t.isEpsilon()) {
+                next.push({ config: { state: toState, inputIndex: config.inputIndex }, transition: t });
+            } else if (symbol !== null && t.accepts(symbol)) {
+                next.push({ config: { state: toState, inputIndex: config.inputIndex + 1 }, transition: t });
+            }
+        });
+
+        return next;
+    }
+
+    /**
+     * Check if a configuration accepts: the whole input read in a final state
+     */
+    isAcceptingConfiguration(config, input) {
+        return config.inputIndex >= input.length && config.state.isFinal;
+    }
+
     /**
      * Check acceptance - accepted if any current state is final
      */
@@ -246,84 +275,132 @@ class NFA extends Automaton {
      * Convert NFA to DFA using subset construction
      */
     toDFA() {
-        const dfa = new DFA();
-        const stateMap = new Map(); // Maps set of NFA state IDs to DFA state
-        const queue = [];
+        return new SubsetConstruction(this).run();
+    }
 
-        // Start with epsilon closure of initial state
-        const initialClosure = this.epsilonClosure([this.initialState]);
-        const initialIds = Array.from(initialClosure).map(s => s.id).sort().join(',');
+    /**
+     * Copy the states and transitions of a DFA/NFA into this NFA with fresh ids.
+     * Initial flags are dropped; returns a map from source state id to copy.
+     */
+    appendCopy(source, offsetX = 0, offsetY = 0) {
+        if (source.type !== 'dfa' && source.type !== 'nfa') {
+            throw new Error('Only DFA and NFA can be combined');
+        }
+        if (!source.initialState) {
+            throw new Error('Cannot combine: an automaton has no initial state');
+        }
 
-        const initialDFAState = new State({
-            name: `{${Array.from(initialClosure).map(s => s.name).join(',')}}`,
-            x: 100,
-            y: 200,
-            isInitial: true,
-            isFinal: Array.from(initialClosure).some(s => s.isFinal)
+        const stateMap = new Map();
+        source.states.forEach(s => {
+            const state = new State({
+                name: s.name,
+                x: s.x + offsetX,
+                y: s.y + offsetY,
+                isFinal: s.isFinal
+            });
+            this.states.push(state);
+            stateMap.set(s.id, state);
         });
 
-        dfa.addState(initialDFAState);
-        stateMap.set(initialIds, initialDFAState);
-        queue.push({ nfaStates: initialClosure, dfaState: initialDFAState });
+        source.transitions.forEach(t => {
+            this.transitions.push(new Transition({
+                fromState: stateMap.get(t.getFromStateId()),
+                toState: stateMap.get(t.getToStateId()),
+                symbols: [...t.symbols]
+            }));
+        });
 
-        let xOffset = 200;
+        source.alphabet.forEach(s => this.alphabet.add(s));
+        return stateMap;
+    }
 
-        while (queue.length > 0) {
-            const { nfaStates, dfaState } = queue.shift();
-
-            // For each symbol in alphabet
-            this.alphabet.forEach(symbol => {
-                if (symbol === 'ε') return;
-
-                // Find all states reachable via this symbol
-                const nextStates = new Set();
-                nfaStates.forEach(nfaState => {
-                    const transitions = this.getTransitionsFrom(nfaState);
-                    transitions.forEach(t => {
-                        if (t.accepts(symbol)) {
-                            const toState = typeof t.toState === 'object' ? t.toState : this.getState(t.toState);
-                            if (toState) nextStates.add(toState);
-                        }
-                    });
-                });
-
-                if (nextStates.size === 0) return;
-
-                // Apply epsilon closure
-                const closedNext = new Set();
-                nextStates.forEach(s => {
-                    const closure = this.epsilonClosure([s]);
-                    closure.forEach(c => closedNext.add(c));
-                });
-
-                const nextIds = Array.from(closedNext).map(s => s.id).sort().join(',');
-
-                // Check if we've seen this state set before
-                let nextDFAState = stateMap.get(nextIds);
-                if (!nextDFAState) {
-                    nextDFAState = new State({
-                        name: `{${Array.from(closedNext).map(s => s.name).join(',')}}`,
-                        x: xOffset,
-                        y: 200 + (stateMap.size % 3) * 100,
-                        isFinal: Array.from(closedNext).some(s => s.isFinal)
-                    });
-                    xOffset += 150;
+    /**
+     * Add a fresh initial state to a combined NFA
+     */
+    addStartState(isFinal = false) {
+        const start = new State({ name: 's', isInitial: true, isFinal: isFinal });
+        this.states.unshift(start);
+        this.initialState = start;
+        return start;
+    }
 
-                    dfa.addState(nextDFAState);
-                    stateMap.set(nextIds, nextDFAState);
-                    queue.push({ nfaStates: closedNext, dfaState: nextDFAState });
-                }
+    /**
+     * Add an ε-transition between two states
+     */
+    addEpsilonTransition(fromState, toState) {
+        this.transitions.push(new Transition({ fromState: fromState, toState: toState, symbols: ['ε'] }));
+    }
 
-                // Add transition
-                dfa.addTransition(new Transition({
-                    fromState: dfaState,
-                    toState: nextDFAState,
-                    symbols: [symbol]
-                }));
-            });
-        }
+    /**
+     * Union with another DFA/NFA: a new start state with ε-transitions to both
+     */
+    union(other) {
+        const result = new NFA();
+        const left = result.appendCopy(this);
+        const right = result.appendCopy(other);
+        const start = result.addStartState();
+
+        result.addEpsilonTransition(start, left.get(this.initialState.id));
+        result.addEpsilonTransition(start, right.get(other.initialState.id));
+
+        result.layoutStates();
+        return result;
+    }
+
+    /**
+     * Concatenation with another DFA/NFA: ε-transitions from this machine's
+     * final states to the other's initial state
+     */
+    concatenate(other) {
+        const result = new NFA();
+        const left = result.appendCopy(this);
+        const right = result.appendCopy(other);
+        const rightStart = right.get(other.initialState.id);
+
+        result.initialState = left.get(this.initialState.id);
+        result.initialState.isInitial = true;
+
+        this.getFinalStates().forEach(s => {
+            const copy = left.get(s.id);
+            copy.isFinal = false;
+            result.addEpsilonTransition(copy, rightStart);
+        });
 
-        return dfa;
+        result.layoutStates();
+        return result;
+    }
+
+    /**
+     * Kleene star: a new accepting start state, with ε-transitions from it
+     * and from every final state back to the old initial state
+     */
+    star() {
+        const result = new NFA();
+        const copy = result.appendCopy(this);
+        const oldStart = copy.get(this.initialState.id);
+        const start = result.addStartState(true);
+
+        result.addEpsilonTransition(start, oldStart);
+        this.getFinalStates().forEach(s => {
+            result.addEpsilonTransition(copy.get(s.id), oldStart);
+        });
+
+        result.layoutStates();
+        return result;
+    }
+
+    /**
+     * Generate an equivalent regular expression by state elimination
+     */
+    toRegex() {
+        return new StateElimination(this).run().toString();
+    }
+
+    /**
+     * Generate an equivalent right-linear grammar
+     */
+    toGrammar() {
+        return new FAToGrammar(this).convert();
     }
 }
 
@@ -12,6 +12,9 @@ class PDA extends Automaton {
 
         // For NFA-style PDA, we track multiple configurations
         this.configurations = []; // Each config: { state, stack, inputIndex }
+
+        // Unbounded ε-moves (e.g. left recursion) can make configurations grow forever
+        this.maxConfigurations = 5000;
     }
 
     /**
@@ -113,50 +116,25 @@ class PDA extends Automaton {
 
         // Process each current configuration
         this.configurations.forEach(config => {
-            const { state, stack, inputIndex } = config;
-
-            if (inputIndex > this.input.length) return;
-
-            const symbol = inputIndex < this.input.length ? this.input[inputIndex] : null;
-            const stackTop = stack.length > 0 ? stack[stack.length - 1] : 'ε';
-
-            const transitions = this.getTransitionsFrom(state);
-
-            transitions.forEach(t => {
-                // Check epsilon transitions (don't consume input)
-                if (t.isEpsilon() && this.canTakeTransition(t, null, stackTop)) {
-                    const toState = typeof t.toState === 'object' ? t.toState : this.getState(t.toState);
-                    if (toState) {
-                        const newStack = this.applyStackOperation(stack, t);
-                        newConfigurations.push({
-                            state: toState,
-                            stack: newStack,
-                            inputIndex: inputIndex // Don't advance
-                        });
-                        stepDescriptions.push(`ε-move: ${state.name} → ${toState.name}, stack: ${newStack.join('') || 'ε'}`);
-                        t.highlighted = true;
-                    }
-                }
-
-                // Check symbol transitions
-                if (symbol !== null && this.canTakeTransition(t, symbol, stackTop) && !t.isEpsilon()) {
-                    const toState = typeof t.toState === 'object' ? t.toState : this.getState(t.toState);
-                    if (toState) {
-                        const newStack = this.applyStackOperation(stack, t);
-                        newConfigurations.push({
-                            state: toState,
-                            stack: newStack,
-                            inputIndex: inputIndex + 1
-                        });
-                        stepDescriptions.push(`Read '${symbol}': ${state.name} → ${toState.name}, stack: ${newStack.join('') || 'ε'}`);
-                        t.highlighted = true;
-                    }
-                }
+            this.getNextConfigurations(config, this.input).forEach(({ config: next, transition }) => {
+                newConfigurations.push(next);
+                const stack = next.stack.join('') || 'ε';
+                stepDescriptions.push(transition.isEpsilon()
+                    ? `ε-move: ${config.state.name} → ${next.state.name}, stack: ${stack}`
+                    : `Read '${this.input[config.inputIndex]}': ${config.state.name} → ${next.state.name}, stack: ${stack}`);
+                transition.highlighted = true;
             });
         });
 
-        // Update configurations
-        this.configurations = newConfigurations;
+        // Update configurations, merging identical ones; stack symbols may be
+        // several characters long, so they are joined with a NUL between them
+        const seen = new Set();
+        this.configurations = newConfigurations.filter(config => {
+            const key = `${config.state.id}|${config.inputIndex}|${config.stack.join('\u0000')}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
 
         // Update current states for display
         this.currentStates.clear();
@@ -189,18 +167,92 @@ class PDA extends Automaton {
             return false;
         }
 
-        // Check if we're done (all input consumed)
+        if (this.configurations.length > this.maxConfigurations) {
+            this.trace.push({
+                step: this.trace.length,
+                states: [],
+                stack: this.stack.join('') || 'ε',
+                remainingInput: this.input.substring(this.inputIndex),
+                symbol: null,
+                description: `Stopped: more than ${this.maxConfigurations} configurations`
+            });
+            this.configurations = [];
+            this.isAccepted = false;
+            this.isRunning = false;
+            return false;
+        }
+
+        // Accept as soon as any configuration accepts; configurations that
+        // consumed the input but have no moves left are dropped by the next step
+        if (this.checkAcceptance()) {
+            return false;
+        }
+        this.isAccepted = null;
+
+        // Done when all input is consumed and no ε-move can still empty the stack or reach a final state
         const allDone = this.configurations.every(c => c.inputIndex >= this.input.length);
-        if (allDone) {
-            this.checkAcceptance();
-            if (this.isAccepted !== null) {
-                return false;
-            }
+        if (allDone && !this.hasEpsilonMoves()) {
+            this.isAccepted = false;
+            return false;
         }
 
         return true;
     }
 
+    /**
+     * Get the configurations one transition away from a configuration
+     * { state, stack, inputIndex }, each with the transition taken
+     */
+    getNextConfigurations(config, input) {
+        const symbol = config.inputIndex < input.length ? input[config.inputIndex] : null;
+        const stackTop = config.stack.length > 0 ? config.stack[config.stack.length - 1] : 'ε';
+        const next = [];
+
+        this.getTransitionsFrom(config.state).forEach(t => {
+            const toState = this.getState(t.getToStateId());
+            if (!toState) return;
+
+            // ε-transitions don't consume input
+            const epsilon = t.isEpsilon();
+            if (epsilon ? !this.canTakeTransition(t, null, stackTop)
+                : symbol === null || !this.canTakeTransition(t, symbol, stackTop)) {
+                return;
+            }
+
+            next.push({
+                config: {
+                    state: toState,
+                    stack: this.applyStackOperation(config.stack, t),
+                    inputIndex: config.inputIndex + (epsilon ? 0 : 1)
+                },
+                transition: t
+            });
+        });
+
+        return next;
+    }
+
+    /**
+     * Check if a configuration accepts: the whole input read, in a final
+     * state or with an empty stack depending on the acceptance mode
+     */
+    isAcceptingConfiguration(config, input) {
+        if (config.inputIndex < input.length) return false;
+        return (this.acceptByFinalState && config.state.isFinal) ||
+            (this.acceptByEmptyStack && config.stack.length === 0);
+    }
+
+    /**
+     * Check if any current configuration can take an ε-transition
+     */
+    hasEpsilonMoves() {
+        return this.configurations.some(config => {
+            const stackTop = config.stack.length > 0 ? config.stack[config.stack.length - 1] : 'ε';
+            return this.getTransitionsFrom(config.state)
+                .some(t => t.isEpsilon() && this.canTakeTransition(t, null, stackTop));
+        });
+    }
+
     /**
      * Run simulation with step limit
      */
@@ -208,6 +260,13 @@ class PDA extends Automaton {
         this.isRunning = true;
         let steps = 0;
 
+        // The initial configuration may already accept (e.g. on empty input)
+        if (this.checkAcceptance()) {
+            this.isRunning = false;
+            return true;
+        }
+        this.isAccepted = null;
+
         while (steps < maxSteps && this.configurations.length > 0) {
             const hadProgress = this.step();
             steps++;
@@ -263,6 +322,26 @@ class PDA extends Automaton {
         return false;
     }
 
+    /**
+     * Capture the simulation state, including the stack of every configuration
+     */
+    getSimulationSnapshot() {
+        return {
+            ...super.getSimulationSnapshot(),
+            stack: [...this.stack],
+            configurations: this.configurations.map(c => ({ ...c, stack: [...c.stack] }))
+        };
+    }
+
+    /**
+     * Restore a snapshot from getSimulationSnapshot()
+     */
+    restoreSimulationSnapshot(snapshot, trace = this.trace) {
+        super.restoreSimulationSnapshot(snapshot, trace);
+        this.stack = [...snapshot.stack];
+        this.configurations = snapshot.configurations.map(c => ({ ...c, stack: [...c.stack] }));
+    }
+
     /**
      * Get current stack as string
      */
@@ -0,0 +1,197 @@
+/**
+ * Transducer - Base class for Mealy and Moore machines
+ *
+ * A deterministic finite-state machine that produces an output string
+ * instead of accepting or rejecting. The run completes when the whole input
+ * is read and halts early when a symbol has no transition.
+ */
+class Transducer extends Automaton {
+    constructor(type) {
+        super(type);
+        this.output = '';
+    }
+
+    /**
+     * Get the output produced before reading any input
+     */
+    getInitialOutput() {
+        return '';
+    }
+
+    /**
+     * Get the output produced when taking a transition
+     * To be overridden by subclasses
+     */
+    getTransitionOutput(transition, nextState) {
+        throw new Error('getTransitionOutput() must be implemented by subclass');
+    }
+
+    /**
+     * Reset simulation state
+     */
+    resetSimulation() {
+        super.resetSimulation();
+        this.output = '';
+    }
+
+    /**
+     * Capture the simulation state, including the output so far
+     */
+    getSimulationSnapshot() {
+        return { ...super.getSimulationSnapshot(), output: this.output };
+    }
+
+    /**
+     * Restore a snapshot from getSimulationSnapshot()
+     */
+    restoreSimulationSnapshot(snapshot, trace = this.trace) {
+        super.restoreSimulationSnapshot(snapshot, trace);
+        this.output = snapshot.output;
+    }
+
+    /**
+     * Initialize simulation
+     */
+    initSimulation(input) {
+        const started = super.initSimulation(input);
+        this.output = started ? this.getInitialOutput() : '';
+
+        if (this.trace.length > 0) {
+            this.trace[0].output = this.output;
+            if (this.output) {
+                this.trace[0].description += `, output '${this.output}'`;
+            }
+        }
+
+        return started;
+    }
+
+    /**
+     * Perform one step: read a symbol, move and write its output
+     */
+    step() {
+        if (this.inputIndex >= this.input.length || this.currentStates.size === 0) {
+            this.isRunning = false;
+            this.checkAcceptance();
+            return false;
+        }
+
+        const symbol = this.input[this.inputIndex];
+        const currentState = Array.from(this.currentStates)[0];
+
+        // Clear previous highlighting
+        this.states.forEach(s => s.active = false);
+        this.transitions.forEach(t => t.highlighted = false);
+
+        const validTransition = this.getTransitionsFrom(currentState).find(t => t.accepts(symbol));
+
+        if (!validTransition) {
+            this.currentStates.clear();
+            this.trace.push({
+                step: this.inputIndex + 1,
+                states: [],
+                remainingInput: this.input.substring(this.inputIndex + 1),
+                symbol: symbol,
+                output: this.output,
+                description: `Read '${symbol}': No transition from ${currentState.name} - HALT`
+            });
+            this.isAccepted = false;
+            this.isRunning = false;
+            return false;
+        }
+
+        const nextState = typeof validTransition.toState === 'object'
+            ? validTransition.toState
+            : this.getState(validTransition.toState);
+        const written = this.getTransitionOutput(validTransition, nextState);
+        this.output += written;
+
+        this.currentStates.clear();
+        this.currentStates.add(nextState);
+        nextState.active = true;
+        validTransition.highlighted = true;
+
+        this.trace.push({
+            step: this.inputIndex + 1,
+            states: [nextState.name],
+            remainingInput: this.input.substring(this.inputIndex + 1),
+            symbol: symbol,
+            output: this.output,
+            description: `Read '${symbol}', output '${written || 'ε'}': ${currentState.name} → ${nextState.name}`
+        });
+
+        this.inputIndex++;
+        return true;
+    }
+
+    /**
+     * The run completes when all input was read without halting
+     */
+    checkAcceptance() {
+        this.isAccepted = this.currentStates.size > 0 && this.inputIndex >= this.input.length;
+        return this.isAccepted;
+    }
+
+    /**
+     * Translate an input string; completed is false if the machine halted early
+     */
+    translate(input) {
+        this.initSimulation(input);
+        const completed = this.run();
+        return { output: this.output, completed: completed };
+    }
+
+    /**
+     * Validate: an initial state and at most one transition per state and symbol
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.initialState) {
+            errors.push('No initial state defined');
+        }
+
+        this.states.forEach(state => {
+            const transitions = this.getTransitionsFrom(state);
+
+            this.alphabet.forEach(symbol => {
+                if (transitions.filter(t => t.accepts(symbol)).length > 1) {
+                    errors.push(`State ${state.name} has multiple transitions for symbol '${symbol}'`);
+                }
+            });
+
+            if (transitions.some(t => t.isEpsilon())) {
+                errors.push(`State ${state.name} has epsilon transition(s) - not allowed in a ${this.type === 'mealy' ? 'Mealy' : 'Moore'} machine`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            warnings: this.getWarnings()
+        };
+    }
+
+    /**
+     * Get warnings (non-fatal issues)
+     */
+    getWarnings() {
+        const warnings = [];
+
+        this.states.forEach(state => {
+            const transitions = this.getTransitionsFrom(state);
+            this.alphabet.forEach(symbol => {
+                if (!transitions.some(t => t.accepts(symbol))) {
+                    warnings.push(`State ${state.name} is missing transition for symbol '${symbol}'`);
+                }
+            });
+        });
+
+        return warnings;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Transducer;
+}
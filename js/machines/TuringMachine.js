@@ -1,84 +1,214 @@
 /**
- * TuringMachine - Single-tape Turing Machine
+ * TuringMachine - Turing Machine with one or more tapes
+ *
+ * Every transition reads, writes and moves on all tapes at once. The input
+ * is written on the first tape; the other tapes start blank. When several
+ * transitions apply, every branch is followed and the input is accepted if
+ * any branch reaches a final state.
  */
 class TuringMachine extends Automaton {
-    constructor() {
+    // Simulation bounds of a new machine
+    static DEFAULT_MAX_STEPS = 10000;
+    static DEFAULT_MAX_CONFIGURATIONS = 1000;
+
+    constructor(tapeCount = 1) {
         super('tm');
-        this.tape = [];
-        this.headPosition = 0;
+        this.tapeCount = tapeCount;
         this.blankSymbol = '□';
         this.tapeAlphabet = new Set([this.blankSymbol]);
 
-        // Display settings
-        this.visibleTapeStart = -10;
-        this.visibleTapeEnd = 10;
+        // One { cells, start, head } per tape: start is the position of cells[0], head an index into cells
+        this.tapes = [];
+
+        // Nondeterministic machines branch: one configuration per live computation path
+        this.configurations = []; // Each config: { id, state, tapes }
+        this.visitedConfigurations = new Set();
+        this.stepCount = 0;
+
+        // Per configuration id, the configuration it came from and the cells it
+        // wrote ({ tape, position, symbol }); trace entries rebuild tapes from it.
+        // Ids are handed out in order, so stepping again after restoring a
+        // snapshot rewrites the same records instead of adding to the log.
+        this.tapeLog = [];
+        this.nextConfigurationId = 0;
+        this.shownConfiguration = null; // Id of the configuration whose tapes are shown
+
+        // Bounds on the simulation, saved with the machine
+        this.maxSteps = TuringMachine.DEFAULT_MAX_STEPS;
+        this.maxConfigurations = TuringMachine.DEFAULT_MAX_CONFIGURATIONS;
     }
 
     /**
-     * Initialize the tape with input
+     * Set the step and branch bounds; each must be a positive whole number
      */
-    initializeTape(input) {
-        this.tape = [];
+    setLimits(maxSteps, maxConfigurations) {
+        [maxSteps, maxConfigurations].forEach(value => {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`The limit must be a positive whole number, found "${value}"`);
+            }
+        });
+        this.maxSteps = maxSteps;
+        this.maxConfigurations = maxConfigurations;
+    }
 
-        // Add blank cells before input
-        for (let i = this.visibleTapeStart; i < 0; i++) {
-            this.tape.push(this.blankSymbol);
-        }
+    /**
+     * Create a tape holding the input, with the head on its first symbol
+     */
+    createTape(input = '') {
+        const padding = 10;
+        const cells = [];
 
-        // Add input
-        if (input && input.length > 0) {
-            for (const char of input) {
-                this.tape.push(char);
-                this.tapeAlphabet.add(char);
-            }
+        // Blank cells before and after the input
+        for (let i = 0; i < padding; i++) {
+            cells.push(this.blankSymbol);
+        }
+        for (const char of input) {
+            cells.push(char);
+            this.tapeAlphabet.add(char);
+        }
+        for (let i = 0; i <= padding; i++) {
+            cells.push(this.blankSymbol);
         }
 
-        // Add blank cells after input
-        for (let i = input.length; i <= this.visibleTapeEnd; i++) {
-            this.tape.push(this.blankSymbol);
+        return { cells: cells, start: -padding, head: padding };
+    }
+
+    /**
+     * Initialize the tapes: the input on the first, the others blank
+     */
+    initializeTape(input) {
+        this.tapes = [this.createTape(input || '')];
+        for (let i = 1; i < this.tapeCount; i++) {
+            this.tapes.push(this.createTape());
         }
+    }
 
-        // Set head to first input position (or 0 if empty)
-        this.headPosition = -this.visibleTapeStart; // Index in tape array for position 0
+    /**
+     * Get a tape, creating blank tapes if the simulation has not started
+     */
+    getTape(tapeIndex = 0) {
+        while (this.tapes.length <= tapeIndex) {
+            this.tapes.push(this.createTape());
+        }
+        return this.tapes[tapeIndex];
     }
 
     /**
      * Get tape cell at logical position
      */
-    getTapeCell(position) {
-        const index = position - this.visibleTapeStart;
-        if (index < 0 || index >= this.tape.length) {
+    getTapeCell(position, tapeIndex = 0) {
+        const tape = this.getTape(tapeIndex);
+        const index = position - tape.start;
+        if (index < 0 || index >= tape.cells.length) {
             return this.blankSymbol;
         }
-        return this.tape[index];
+        return tape.cells[index];
     }
 
     /**
      * Set tape cell at logical position
      */
-    setTapeCell(position, symbol) {
-        const index = position - this.visibleTapeStart;
+    setTapeCell(position, symbol, tapeIndex = 0) {
+        const tape = this.getTape(tapeIndex);
 
         // Extend tape if needed
-        while (index < 0) {
-            this.tape.unshift(this.blankSymbol);
-            this.visibleTapeStart--;
-            this.headPosition++; // Adjust head position
+        while (position < tape.start) {
+            tape.cells.unshift(this.blankSymbol);
+            tape.start--;
+            tape.head++;
         }
-        while (index >= this.tape.length) {
-            this.tape.push(this.blankSymbol);
-            this.visibleTapeEnd++;
+        while (position - tape.start >= tape.cells.length) {
+            tape.cells.push(this.blankSymbol);
         }
 
-        this.tape[index] = symbol;
+        tape.cells[position - tape.start] = symbol;
         this.tapeAlphabet.add(symbol);
     }
 
+    /**
+     * Move a tape head, extending the tape with blanks when it runs off an end
+     */
+    moveHead(tape, direction) {
+        if (direction === 'L') {
+            tape.head--;
+            if (tape.head < 0) {
+                tape.cells.unshift(this.blankSymbol);
+                tape.head = 0;
+                tape.start--;
+            }
+        } else if (direction === 'R') {
+            tape.head++;
+            if (tape.head >= tape.cells.length) {
+                tape.cells.push(this.blankSymbol);
+            }
+        }
+        // 'S' means stay
+    }
+
+    /**
+     * Get the logical position of a tape head
+     */
+    getHeadPosition(tapeIndex = 0) {
+        const tape = this.getTape(tapeIndex);
+        return tape.head + tape.start;
+    }
+
+    /**
+     * Get the logical positions of all tape heads
+     */
+    getHeadPositions() {
+        return this.tapes.map((tape, i) => this.getHeadPosition(i));
+    }
+
     /**
      * Get current symbol under head
      */
-    getCurrentSymbol() {
-        return this.getTapeCell(this.headPosition + this.visibleTapeStart);
+    getCurrentSymbol(tapeIndex = 0) {
+        const tape = this.getTape(tapeIndex);
+        return tape.cells[tape.head];
+    }
+
+    /**
+     * Get the symbols under all heads
+     */
+    getCurrentSymbols() {
+        return this.tapes.map((tape, i) => this.getCurrentSymbol(i));
+    }
+
+    /**
+     * Check if a transition's read symbol matches a tape symbol
+     */
+    matchesSymbol(readSymbol, symbol) {
+        const read = readSymbol || this.blankSymbol;
+        return read === symbol ||
+               ((read === '□' || read === '_' || read === '') && symbol === this.blankSymbol);
+    }
+
+    /**
+     * Copy a tape for a new branch of the computation
+     */
+    copyTape(tape) {
+        return { cells: [...tape.cells], start: tape.start, head: tape.head };
+    }
+
+    /**
+     * Get a key identifying a configuration, ignoring blanks around the tape
+     * contents
+     */
+    getConfigurationKey(config) {
+        const tapes = config.tapes.map(tape => {
+            let first = tape.cells.findIndex(s => s !== this.blankSymbol);
+            let last = first;
+            for (let i = tape.cells.length - 1; i > first; i--) {
+                if (tape.cells[i] !== this.blankSymbol) {
+                    last = i;
+                    break;
+                }
+            }
+            const content = first === -1 ? '' : tape.cells.slice(first, last + 1).join('');
+            return `${first === -1 ? 0 : first + tape.start}:${content}:${tape.head + tape.start}`;
+        });
+        return [config.state.id, ...tapes].join('|');
     }
 
     /**
@@ -90,235 +220,382 @@ class TuringMachine extends Automaton {
         this.trace = [];
         this.isRunning = false;
         this.isAccepted = null;
+        this.stepCount = 0;
 
         // Clear highlighting
         this.states.forEach(s => s.active = false);
         this.transitions.forEach(t => t.highlighted = false);
 
         this.currentStates.clear();
+        this.configurations = [];
+        this.visitedConfigurations = new Set();
+        this.tapeLog = [];
+        this.nextConfigurationId = 0;
+        this.shownConfiguration = null;
 
-        // Initialize tape
-        this.visibleTapeStart = -10;
-        this.visibleTapeEnd = Math.max(10, input.length + 10);
+        // Initialize tapes
         this.initializeTape(input);
 
         if (this.initialState) {
             this.currentStates.add(this.initialState);
             this.initialState.active = true;
 
-            this.trace.push({
-                step: 0,
-                states: [this.initialState.name],
-                tape: this.getTapeString(),
-                headPosition: 0,
-                symbol: this.getCurrentSymbol(),
-                description: `Start at ${this.initialState.name}, reading '${this.getCurrentSymbol()}'`
-            });
+            const config = { id: this.nextConfigurationId++, state: this.initialState, tapes: this.tapes };
+            this.tapeLog[config.id] = { parent: null, written: [] };
+            this.shownConfiguration = config.id;
+            this.configurations.push(config);
+            this.visitedConfigurations.add(this.getConfigurationKey(config));
+
+            this.trace.push(this.createTraceEntry(
+                [this.initialState],
+                `Start at ${this.initialState.name}, reading ${this.formatSymbols(this.getCurrentSymbols())}`
+            ));
         }
 
         return this.currentStates.size > 0;
     }
 
     /**
-     * Get tape as string for display
+     * Capture the simulation state: copies of the tapes of every
+     * configuration, since steps write to them in place
+     */
+    getSimulationSnapshot() {
+        // The shown tapes are copied only when they belong to no live configuration
+        const shownIndex = this.configurations.findIndex(c => c.tapes === this.tapes);
+        return {
+            ...super.getSimulationSnapshot(),
+            stepCount: this.stepCount,
+            // Sets keep insertion order, so the first visitedCount entries were seen by then
+            visited: this.visitedConfigurations,
+            visitedCount: this.visitedConfigurations.size,
+            nextConfigurationId: this.nextConfigurationId,
+            tapes: shownIndex >= 0 ? null : this.tapes.map(tape => this.copyTape(tape)),
+            shownConfiguration: this.shownConfiguration,
+            shownIndex: shownIndex,
+            configurations: this.configurations.map(c => ({
+                id: c.id,
+                state: c.state,
+                tapes: c.tapes.map(tape => this.copyTape(tape))
+            }))
+        };
+    }
+
+    /**
+     * Restore a snapshot from getSimulationSnapshot()
+     */
+    restoreSimulationSnapshot(snapshot, trace = this.trace) {
+        super.restoreSimulationSnapshot(snapshot, trace);
+        this.stepCount = snapshot.stepCount;
+        this.visitedConfigurations = new Set(Array.from(snapshot.visited).slice(0, snapshot.visitedCount));
+        this.nextConfigurationId = snapshot.nextConfigurationId;
+        this.configurations = snapshot.configurations.map(c => ({
+            id: c.id,
+            state: c.state,
+            tapes: c.tapes.map(tape => this.copyTape(tape))
+        }));
+        this.shownConfiguration = snapshot.shownConfiguration;
+        this.tapes = snapshot.shownIndex >= 0
+            ? this.configurations[snapshot.shownIndex].tapes
+            : snapshot.tapes.map(tape => this.copyTape(tape));
+    }
+
+    /**
+     * Create a trace entry for the shown tapes. Entries keep the heads and
+     * the shown configuration, not the tapes; getTraceTape() rebuilds them.
+     */
+    createTraceEntry(states, description) {
+        return {
+            step: this.trace.length,
+            states: Array.from(new Set(states.map(s => s.name))),
+            configuration: this.shownConfiguration,
+            headPosition: this.getHeadPosition(),
+            headPositions: this.getHeadPositions(),
+            symbol: this.getCurrentSymbol(),
+            description: description
+        };
+    }
+
+    /**
+     * Get the tapes of a trace entry as text, separated by |, by replaying
+     * the cells written on the way to its configuration
+     */
+    getTraceTape(entry) {
+        const tapes = [];
+        for (let i = 0; i < this.tapeCount; i++) {
+            tapes.push(new Map());
+        }
+        Array.from(this.input || '').forEach((symbol, position) => tapes[0].set(position, symbol));
+
+        const path = [];
+        for (let id = entry.configuration; id !== null && id !== undefined; id = this.tapeLog[id].parent) {
+            path.unshift(this.tapeLog[id]);
+        }
+        path.forEach(record => record.written.forEach(cell => tapes[cell.tape].set(cell.position, cell.symbol)));
+
+        return tapes.map((cells, i) => {
+            const written = Array.from(cells.keys()).filter(position => cells.get(position) !== this.blankSymbol);
+            const head = entry.headPositions[i];
+            const from = Math.min(head, ...written);
+            const to = Math.max(head, ...written);
+            let text = '';
+            for (let position = from; position <= to; position++) {
+                text += cells.has(position) ? cells.get(position) : this.blankSymbol;
+            }
+            return text;
+        }).join(' | ');
+    }
+
+    /**
+     * Format one symbol per tape, e.g. 'a' | '□'
+     */
+    formatSymbols(symbols) {
+        return symbols.map(s => `'${s}'`).join(' | ');
+    }
+
+    /**
+     * Get tapes as string for display, separated by |
      */
     getTapeString() {
-        return this.tape.join('');
+        return this.tapes.map(tape => tape.cells.join('')).join(' | ');
+    }
+
+    /**
+     * Get the written part of a tape, without the blanks around it
+     */
+    getTapeContent(tapeIndex = 0) {
+        const cells = this.getTape(tapeIndex).cells;
+        const first = cells.findIndex(s => s !== this.blankSymbol);
+        if (first === -1) return '';
+
+        let last = cells.length - 1;
+        while (cells[last] === this.blankSymbol) last--;
+        return cells.slice(first, last + 1).join('');
     }
 
     /**
      * Get tape as array of cells with positions
      */
-    getTapeCells() {
-        return this.tape.map((symbol, index) => ({
-            position: index + this.visibleTapeStart,
+    getTapeCells(tapeIndex = 0) {
+        const tape = this.getTape(tapeIndex);
+        return tape.cells.map((symbol, index) => ({
+            position: index + tape.start,
             symbol: symbol,
-            isHead: (index + this.visibleTapeStart) === 0 ?
-                    index === this.headPosition - this.visibleTapeStart + this.visibleTapeStart :
-                    index === this.headPosition
+            isHead: index === tape.head
         }));
     }
 
     /**
-     * Perform one step of TM simulation
+     * Find the transitions from a state matching the symbols under the heads
+     */
+    findTransitions(state, symbols) {
+        return this.getTransitionsFrom(state).filter(t => {
+            const operations = t.getTapeOperations();
+            return operations.length === this.tapeCount &&
+                   operations.every((op, i) => this.matchesSymbol(op.readSymbol, symbols[i]));
+        });
+    }
+
+    /**
+     * Get the live configurations for display: state and, per tape, the
+     * non-blank contents around the head
+     */
+    getConfigurations() {
+        return this.configurations.map(config => ({
+            state: config.state.name,
+            tapes: config.tapes.map(tape => {
+                let first = tape.cells.findIndex(s => s !== this.blankSymbol);
+                let last = tape.cells.length - 1;
+                while (last > 0 && tape.cells[last] === this.blankSymbol) last--;
+                if (first === -1) first = last = tape.head;
+
+                // Always include the head cell
+                const from = Math.min(first, tape.head);
+                const to = Math.max(last, tape.head);
+                return {
+                    symbols: tape.cells.slice(from, to + 1),
+                    head: tape.head - from,
+                    headPosition: tape.head + tape.start
+                };
+            })
+        }));
+    }
+
+    /**
+     * Stop the simulation, rejecting, with a message in the trace
+     */
+    stopSimulation(description) {
+        this.trace.push(this.createTraceEntry(Array.from(this.currentStates), description));
+        this.configurations = [];
+        this.isAccepted = false;
+        this.isRunning = false;
+    }
+
+    /**
+     * Perform one step of TM simulation: every live configuration takes
+     * every matching transition (breadth-first over configurations)
      */
     step() {
-        if (this.currentStates.size === 0) {
+        if (this.configurations.length === 0) {
             this.isRunning = false;
             this.checkAcceptance();
             return false;
         }
 
-        const currentState = Array.from(this.currentStates)[0];
-
-        // Check for halt state
-        if (currentState.isHalt || currentState.isFinal) {
+        // Accept once any branch is in a final state
+        if (this.checkAcceptance()) {
             this.isRunning = false;
-            this.checkAcceptance();
             return false;
         }
+        this.isAccepted = null;
+
+        if (this.stepCount >= this.maxSteps) {
+            this.stopSimulation(`Stopped: step limit of ${this.maxSteps} reached`);
+            return false;
+        }
+        this.stepCount++;
 
         // Clear highlighting
         this.states.forEach(s => s.active = false);
         this.transitions.forEach(t => t.highlighted = false);
 
-        const currentSymbol = this.tape[this.headPosition];
-        const transitions = this.getTransitionsFrom(currentState);
+        const previousStates = this.configurations.map(c => c.state);
+        const next = [];
+        const moves = [];
+        const stuck = [];
 
-        // Find matching transition
-        const validTransition = transitions.find(t => {
-            const readSym = t.readSymbol || this.blankSymbol;
-            return readSym === currentSymbol ||
-                   (readSym === '□' && currentSymbol === this.blankSymbol) ||
-                   (readSym === '_' && currentSymbol === this.blankSymbol) ||
-                   (readSym === '' && currentSymbol === this.blankSymbol);
-        });
-
-        if (validTransition) {
-            const nextState = typeof validTransition.toState === 'object'
-                ? validTransition.toState
-                : this.getState(validTransition.toState);
+        this.configurations.forEach(config => {
+            const state = config.state;
+            const symbols = config.tapes.map(tape => tape.cells[tape.head]);
+            const transitions = this.findTransitions(state, symbols);
 
-            if (!nextState) {
-                this.isAccepted = false;
-                this.isRunning = false;
-                return false;
+            if (transitions.length === 0) {
+                stuck.push(`No transition for ${this.formatSymbols(symbols)} from ${state.name}`);
+                return;
             }
 
-            // Write symbol
-            const writeSymbol = validTransition.writeSymbol || currentSymbol;
-            const actualWrite = (writeSymbol === '□' || writeSymbol === '_' || writeSymbol === '')
-                ? this.blankSymbol
-                : writeSymbol;
-            this.tape[this.headPosition] = actualWrite;
-
-            // Move head
-            const direction = (validTransition.direction || 'R').toUpperCase();
-            const oldPosition = this.headPosition;
-
-            if (direction === 'L') {
-                this.headPosition--;
-                // Extend tape left if needed
-                if (this.headPosition < 0) {
-                    this.tape.unshift(this.blankSymbol);
-                    this.headPosition = 0;
-                    this.visibleTapeStart--;
-                }
-            } else if (direction === 'R') {
-                this.headPosition++;
-                // Extend tape right if needed
-                if (this.headPosition >= this.tape.length) {
-                    this.tape.push(this.blankSymbol);
-                    this.visibleTapeEnd++;
-                }
-            }
-            // 'S' means stay
-
-            // Update state
-            this.currentStates.clear();
-            this.currentStates.add(nextState);
-            nextState.active = true;
-            validTransition.highlighted = true;
-
-            // Get logical head position
-            const logicalHeadPos = this.headPosition + this.visibleTapeStart;
-
-            this.trace.push({
-                step: this.trace.length,
-                states: [nextState.name],
-                tape: this.getTapeString(),
-                headPosition: logicalHeadPos,
-                symbol: this.tape[this.headPosition],
-                description: `Read '${currentSymbol}', write '${actualWrite}', move ${direction}: ${currentState.name} → ${nextState.name}`
+            transitions.forEach((t, index) => {
+                const nextState = typeof t.toState === 'object' ? t.toState : this.getState(t.toState);
+                if (!nextState) return;
+
+                // The last branch reuses the tapes; the others get copies
+                const tapes = index === transitions.length - 1
+                    ? config.tapes
+                    : config.tapes.map(tape => this.copyTape(tape));
+
+                // Write and move on every tape
+                const written = [];
+                const directions = [];
+                const cells = [];
+                t.getTapeOperations().forEach((op, i) => {
+                    const tape = tapes[i];
+                    const writeSymbol = op.writeSymbol || symbols[i];
+                    const actualWrite = (writeSymbol === '□' || writeSymbol === '_' || writeSymbol === '')
+                        ? this.blankSymbol
+                        : writeSymbol;
+                    tape.cells[tape.head] = actualWrite;
+                    cells.push({ tape: i, position: tape.head + tape.start, symbol: actualWrite });
+
+                    const direction = (op.direction || 'R').toUpperCase();
+                    this.moveHead(tape, direction);
+
+                    written.push(actualWrite);
+                    directions.push(direction);
+                });
+
+                const id = this.nextConfigurationId++;
+                this.tapeLog[id] = { parent: config.id, written: cells };
+                next.push({ id: id, state: nextState, tapes: tapes });
+                moves.push(`Read ${this.formatSymbols(symbols)}, write ${this.formatSymbols(written)}, ` +
+                    `move ${directions.join(' | ')}: ${state.name} → ${nextState.name}`);
+                t.highlighted = true;
             });
+        });
+
+        // A configuration seen before cannot lead anywhere new
+        const fresh = next.filter(config => {
+            const key = this.getConfigurationKey(config);
+            if (this.visitedConfigurations.has(key)) return false;
+            this.visitedConfigurations.add(key);
+            return true;
+        });
 
-            this.inputIndex++;
+        // Branches in a non-final halt state have halted and rejected
+        this.configurations = fresh.filter(c => !c.state.isHalt || c.state.isFinal);
 
-            // Check if we've reached a halt/accept state
-            if (nextState.isHalt || nextState.isFinal) {
-                this.checkAcceptance();
-                return false;
-            }
+        // Show the first live branch, or where the computation stopped
+        const shown = this.configurations[0] || next[0];
+        if (shown) {
+            this.tapes = shown.tapes;
+            this.shownConfiguration = shown.id;
+        }
 
-            return true;
+        const currentStates = this.configurations.length > 0
+            ? this.configurations.map(c => c.state)
+            : (next.length > 0 ? next.map(c => c.state) : previousStates);
+        this.currentStates = new Set(currentStates);
+        this.configurations.forEach(c => c.state.active = true);
+
+        if (moves.length > 0) {
+            this.trace.push(this.createTraceEntry(currentStates, [...moves, ...stuck].join('; ')));
         } else {
-            // No valid transition - halt (reject)
-            this.trace.push({
-                step: this.trace.length,
-                states: [currentState.name],
-                tape: this.getTapeString(),
-                headPosition: this.headPosition + this.visibleTapeStart,
-                symbol: currentSymbol,
-                description: `No transition for '${currentSymbol}' from ${currentState.name} - HALT`
-            });
+            this.trace.push(this.createTraceEntry(previousStates, `${stuck.join('; ')} - HALT`));
+        }
 
+        if (this.configurations.length === 0) {
+            if (next.length > 0 && fresh.length === 0) {
+                this.trace.push(this.createTraceEntry(currentStates, 'Potential infinite loop detected - halting'));
+            }
             this.isAccepted = false;
             this.isRunning = false;
             return false;
         }
+
+        if (this.configurations.length > this.maxConfigurations) {
+            this.stopSimulation(`Stopped: more than ${this.maxConfigurations} configurations`);
+            return false;
+        }
+
+        if (this.checkAcceptance()) {
+            return false;
+        }
+        this.isAccepted = null;
+
+        return true;
     }
 
     /**
      * Run simulation with step limit
      */
-    run(maxSteps = 10000) {
+    run(maxSteps = this.maxSteps) {
         this.isRunning = true;
-        let steps = 0;
-
-        while (steps < maxSteps) {
-            const continued = this.step();
-            steps++;
-
-            if (!continued) break;
-
-            // Detect potential infinite loop (same configuration repeated)
-            if (this.trace.length > 100) {
-                const current = this.trace[this.trace.length - 1];
-                const recent = this.trace.slice(-50);
-                const duplicates = recent.filter(t =>
-                    t.states[0] === current.states[0] &&
-                    t.headPosition === current.headPosition &&
-                    t.tape === current.tape
-                );
-                if (duplicates.length > 2) {
-                    this.trace.push({
-                        step: this.trace.length,
-                        states: current.states,
-                        tape: current.tape,
-                        headPosition: current.headPosition,
-                        symbol: current.symbol,
-                        description: 'Potential infinite loop detected - halting'
-                    });
-                    break;
-                }
-            }
+
+        while (this.stepCount < maxSteps) {
+            if (!this.step()) break;
         }
 
-        this.isRunning = false;
         if (this.isAccepted === null) {
-            this.checkAcceptance();
+            this.stopSimulation(`Stopped: step limit of ${maxSteps} reached`);
         }
+
+        this.isRunning = false;
         return this.isAccepted;
     }
 
     /**
-     * Check acceptance - TM accepts if it halts in a final state
+     * Check acceptance - TM accepts if any branch reaches a final state
      */
     checkAcceptance() {
-        if (this.currentStates.size === 0) {
-            this.isAccepted = false;
-            return false;
-        }
+        const accepting = this.configurations.find(c => c.state.isFinal);
 
-        const currentState = Array.from(this.currentStates)[0];
-
-        if (currentState.isFinal || currentState.isHalt) {
-            this.isAccepted = currentState.isFinal;
-            return this.isAccepted;
+        if (accepting) {
+            // Show the accepting branch
+            this.tapes = accepting.tapes;
+            this.shownConfiguration = accepting.id;
+            this.isAccepted = true;
+            return true;
         }
 
-        // If we stopped without reaching final state, check if it's because no transition
-        // In that case, reject
+        // A branch that halts without reaching a final state rejects
         this.isAccepted = false;
         return false;
     }
@@ -337,8 +614,19 @@ class TuringMachine extends Automaton {
             errors.splice(finalStateErrorIndex, 1);
         }
 
+        // Every transition needs one operation per tape
+        this.transitions.forEach(t => {
+            const count = t.getTapeOperations().length;
+            if (count !== this.tapeCount) {
+                const from = this.getState(t.getFromStateId());
+                const to = this.getState(t.getToStateId());
+                errors.push(`Transition ${from ? from.name : '?'} → ${to ? to.name : '?'} has ${count} tape operation(s) but the machine has ${this.tapeCount} tape(s)`);
+            }
+        });
+
+        // A machine without states has no initial state, which is an error above
         return {
-            isValid: errors.length === 0 || (errors.length === 0 && this.states.length > 0),
+            isValid: errors.length === 0,
             errors: errors,
             warnings: this.getWarnings()
         };
@@ -358,6 +646,10 @@ class TuringMachine extends Automaton {
                     warnings.push(`State ${state.name} has no outgoing transitions`);
                 }
             }
+            // Building blocks imported from JFLAP keep their machine for export only
+            if (state.block) {
+                warnings.push(`State ${state.name} is a building block; its inner machine is not simulated`);
+            }
         });
 
         return warnings;
@@ -366,18 +658,19 @@ class TuringMachine extends Automaton {
     /**
      * Get tape for display
      */
-    getDisplayTape(windowSize = 21) {
+    getDisplayTape(windowSize = 21, tapeIndex = 0) {
+        const tape = this.getTape(tapeIndex);
         const half = Math.floor(windowSize / 2);
-        const start = Math.max(0, this.headPosition - half);
-        const end = Math.min(this.tape.length, this.headPosition + half + 1);
+        const start = Math.max(0, tape.head - half);
+        const end = Math.min(tape.cells.length, tape.head + half + 1);
 
         const cells = [];
         for (let i = start; i < end; i++) {
             cells.push({
                 index: i,
-                position: i + this.visibleTapeStart,
-                symbol: this.tape[i],
-                isHead: i === this.headPosition
+                position: i + tape.start,
+                symbol: tape.cells[i],
+                isHead: i === tape.head
             });
         }
 
@@ -393,7 +686,7 @@ class TuringMachine extends Automaton {
             } else {
                 cells.push({
                     index: cells.length > 0 ? cells[cells.length - 1].index + 1 : 0,
-                    position: cells.length > 0 ? cells[cells.length - 1].position + 1 : 0,
+                    position: cells.length > 0 ? cells[cells.length - 1].position + 1 : tape.start,
                     symbol: this.blankSymbol,
                     isHead: false
                 });
@@ -410,6 +703,9 @@ class TuringMachine extends Automaton {
         const json = super.toJSON();
         json.blankSymbol = this.blankSymbol;
         json.tapeAlphabet = Array.from(this.tapeAlphabet);
+        json.tapeCount = this.tapeCount;
+        json.maxSteps = this.maxSteps;
+        json.maxConfigurations = this.maxConfigurations;
         return json;
     }
 
@@ -420,6 +716,9 @@ class TuringMachine extends Automaton {
         super.loadFromJSON(json, clearHistory);
         this.blankSymbol = json.blankSymbol || '□';
         this.tapeAlphabet = new Set(json.tapeAlphabet || [this.blankSymbol]);
+        this.tapeCount = json.tapeCount || 1;
+        this.maxSteps = json.maxSteps || TuringMachine.DEFAULT_MAX_STEPS;
+        this.maxConfigurations = json.maxConfigurations || TuringMachine.DEFAULT_MAX_CONFIGURATIONS;
     }
 }
 
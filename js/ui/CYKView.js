@@ -0,0 +1,272 @@
+/**
+ * CYKView - Step-by-step display of a CYK table and the resulting parse tree
+ */
+class CYKView {
+    constructor() {
+        this.result = null;
+        this.stepIndex = 0; // Number of filled cells
+        this.cellSteps = new Map(); // "length,position" -> fill order
+        this.timer = null;
+
+        // UI Elements
+        this.section = document.getElementById('cyk-section');
+        this.title = document.getElementById('cyk-title');
+        this.table = document.getElementById('cyk-table');
+        this.description = document.getElementById('cyk-description');
+        this.playButton = document.getElementById('btn-cyk-play');
+        this.treeCanvas = document.getElementById('parse-tree-canvas');
+        this.derivation = document.getElementById('cyk-derivation');
+
+        // Parse tree appearance
+        this.colors = {
+            background: '#1e293b',
+            edge: '#94a3b8',
+            variable: '#3b82f6',
+            variableText: '#ffffff',
+            terminal: '#e2e8f0'
+        };
+        this.nodeRadius = 14;
+        this.leafSpacing = 36;
+        this.levelHeight = 48;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('btn-cyk-prev')?.addEventListener('click', () => {
+            this.stopPlayback();
+            this.showStep(this.stepIndex - 1);
+        });
+        document.getElementById('btn-cyk-next')?.addEventListener('click', () => {
+            this.stopPlayback();
+            this.showStep(this.stepIndex + 1);
+        });
+        this.playButton?.addEventListener('click', () => this.togglePlayback());
+    }
+
+    /**
+     * Show a parse result with the table complete
+     */
+    show(result) {
+        this.stopPlayback();
+        this.result = result;
+        this.cellSteps = new Map();
+        result.steps.forEach((step, index) => {
+            this.cellSteps.set(`${step.length},${step.position}`, index);
+        });
+
+        if (this.title) {
+            this.title.textContent = `CYK: ${result.input === '' ? Grammar.EPSILON : result.input}`;
+        }
+        if (this.section) {
+            this.section.classList.remove('hidden');
+        }
+        this.showStep(result.steps.length);
+    }
+
+    /**
+     * Hide the view, e.g. when the grammar has changed
+     */
+    hide() {
+        this.stopPlayback();
+        this.result = null;
+        if (this.section) {
+            this.section.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show the table with the first `index` cells filled
+     */
+    showStep(index) {
+        if (!this.result) return;
+
+        const steps = this.result.steps;
+        this.stepIndex = Math.max(0, Math.min(index, steps.length));
+        const complete = this.stepIndex === steps.length;
+
+        if (this.description) {
+            if (complete) {
+                this.description.textContent = this.result.accepted
+                    ? 'Accepted: the start variable derives the whole input'
+                    : 'Rejected: the start variable does not derive the input';
+            } else if (this.stepIndex === 0) {
+                this.description.textContent = 'Cells are filled from the shortest substrings up';
+            } else {
+                this.description.textContent = steps[this.stepIndex - 1].description;
+            }
+        }
+
+        this.renderTable();
+        this.renderTree(complete ? this.result.tree : null);
+    }
+
+    /**
+     * Play or pause automatic stepping
+     */
+    togglePlayback() {
+        if (this.timer) {
+            this.stopPlayback();
+            return;
+        }
+        if (!this.result) return;
+
+        if (this.stepIndex >= this.result.steps.length) {
+            this.showStep(0);
+        }
+        if (this.playButton) this.playButton.textContent = 'Pause';
+        this.timer = setInterval(() => {
+            this.showStep(this.stepIndex + 1);
+            if (this.stepIndex >= this.result.steps.length) {
+                this.stopPlayback();
+            }
+        }, 700);
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    stopPlayback() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.playButton) this.playButton.textContent = 'Play';
+    }
+
+    /**
+     * Render the table: one column per input symbol, one row per substring length
+     */
+    renderTable() {
+        if (!this.table) return;
+        this.table.innerHTML = '';
+
+        const symbols = Array.from(this.result.input);
+        const n = symbols.length;
+        if (n === 0) return;
+
+        const current = this.stepIndex > 0 ? this.result.steps[this.stepIndex - 1] : null;
+        const table = document.createElement('table');
+
+        const header = document.createElement('tr');
+        symbols.forEach(symbol => {
+            const th = document.createElement('th');
+            th.textContent = symbol;
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        for (let length = 1; length <= n; length++) {
+            const tr = document.createElement('tr');
+            for (let position = 0; position < n; position++) {
+                const td = document.createElement('td');
+                if (position + length > n) {
+                    td.className = 'unused';
+                } else if (this.cellSteps.get(`${length},${position}`) < this.stepIndex) {
+                    const variables = this.result.table[length - 1][position];
+                    td.textContent = variables.length > 0 ? variables.join(',') : '∅';
+                    if (current && current.length === length && current.position === position) {
+                        td.classList.add('current');
+                    }
+                    if (length === n) {
+                        td.classList.add(this.result.accepted ? 'accepted' : 'rejected');
+                    }
+                }
+                tr.appendChild(td);
+            }
+            table.appendChild(tr);
+        }
+
+        this.table.appendChild(table);
+    }
+
+    /**
+     * Draw the parse tree and list the leftmost derivation
+     */
+    renderTree(tree) {
+        if (this.derivation) {
+            this.derivation.textContent = tree ? CYKParser.getDerivation(tree).join(' ⇒ ') : '';
+        }
+        if (!this.treeCanvas) return;
+
+        this.treeCanvas.classList.toggle('hidden', !tree);
+        if (!tree) return;
+
+        // Leaves are spaced evenly; parents are centered over their children
+        const nodes = [];
+        let leafCount = 0;
+        let depth = 0;
+        const place = (node, level) => {
+            depth = Math.max(depth, level);
+            const placed = { node: node, level: level, children: [] };
+            if (node.children.length === 0) {
+                placed.x = leafCount++;
+            } else {
+                placed.children = node.children.map(child => place(child, level + 1));
+                placed.x = (placed.children[0].x + placed.children[placed.children.length - 1].x) / 2;
+            }
+            nodes.push(placed);
+            return placed;
+        };
+        place(tree, 0);
+
+        const margin = this.nodeRadius + 4;
+        const width = Math.max(this.treeCanvas.parentElement?.clientWidth || 0,
+            (leafCount - 1) * this.leafSpacing + margin * 2);
+        const height = depth * this.levelHeight + margin * 2;
+        const offsetX = (width - (leafCount - 1) * this.leafSpacing) / 2;
+        this.treeCanvas.width = width;
+        this.treeCanvas.height = height;
+
+        const ctx = this.treeCanvas.getContext('2d');
+        const position = (placed) => ({
+            x: offsetX + placed.x * this.leafSpacing,
+            y: margin + placed.level * this.levelHeight
+        });
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        // Edges
+        ctx.strokeStyle = this.colors.edge;
+        ctx.lineWidth = 1.5;
+        nodes.forEach(placed => {
+            const from = position(placed);
+            placed.children.forEach(child => {
+                const to = position(child);
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+            });
+        });
+
+        // Nodes: variables in circles, terminals as plain text
+        ctx.font = '13px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        nodes.forEach(placed => {
+            const { x, y } = position(placed);
+            if (Grammar.isVariable(placed.node.symbol)) {
+                ctx.fillStyle = this.colors.variable;
+                ctx.beginPath();
+                ctx.arc(x, y, this.nodeRadius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = this.colors.variableText;
+            } else {
+                ctx.fillStyle = this.colors.background;
+                ctx.fillRect(x - 8, y - 9, 16, 18);
+                ctx.fillStyle = this.colors.terminal;
+            }
+            ctx.fillText(placed.node.symbol, x, y);
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CYKView;
+}
@@ -7,6 +7,9 @@ class CanvasEditor {
         this.renderer = renderer;
         this.automaton = null;
 
+        // Read-only automaton shown instead of the edited one (e.g. conversion steps)
+        this.previewAutomaton = null;
+
         // Current tool
         this.currentTool = 'select'; // 'select', 'state', 'transition', 'delete'
 
@@ -36,6 +39,7 @@ class CanvasEditor {
         this.onStateDeleted = null;
         this.onTransitionDeleted = null;
         this.onAutomatonChanged = null;
+        this.onHistoryRestored = null;
         this.onRequestTransitionInput = null;
 
         this.setupEventListeners();
@@ -50,6 +54,18 @@ class CanvasEditor {
         this.render();
     }
 
+    /**
+     * Show a read-only automaton in place of the edited one (null to stop)
+     */
+    setPreview(automaton) {
+        this.previewAutomaton = automaton;
+        this.clearSelection();
+        this.isDragging = false;
+        this.isDrawingTransition = false;
+        this.isSelecting = false;
+        this.render();
+    }
+
     /**
      * Setup event listeners
      */
@@ -159,6 +175,9 @@ class CanvasEditor {
         // Right click handled by context menu
         if (e.button === 2) return;
 
+        // Only panning is allowed while previewing
+        if (this.previewAutomaton) return;
+
         const state = this.getStateAt(pos.x, pos.y);
         const transition = this.getTransitionAt(pos.x, pos.y);
 
@@ -289,6 +308,12 @@ class CanvasEditor {
             this.isSelecting = false;
         }
 
+        // A whole drag is recorded as a single history entry
+        if (this.isDragging && this.automaton) {
+            this.automaton.saveToHistory();
+            this.notifyChange();
+        }
+
         this.isDragging = false;
         this.render();
     }
@@ -297,6 +322,8 @@ class CanvasEditor {
      * Double click handler
      */
     onDoubleClick(e) {
+        if (this.previewAutomaton) return;
+
         const pos = this.getMousePos(e);
         const state = this.getStateAt(pos.x, pos.y);
         const transition = this.getTransitionAt(pos.x, pos.y);
@@ -316,6 +343,8 @@ class CanvasEditor {
      */
     onContextMenu(e) {
         e.preventDefault();
+        if (this.previewAutomaton) return;
+
         const pos = this.getMousePos(e);
         const state = this.getStateAt(pos.x, pos.y);
         const transition = this.getTransitionAt(pos.x, pos.y);
@@ -343,6 +372,7 @@ class CanvasEditor {
     onKeyDown(e) {
         // Ignore if typing in input field
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        if (this.previewAutomaton) return;
 
         switch (e.key.toLowerCase()) {
             case 'v':
@@ -373,19 +403,56 @@ class CanvasEditor {
                 break;
             case 'z':
                 if (e.ctrlKey) {
-                    this.automaton.undo();
-                    this.render();
+                    e.preventDefault();
+                    e.shiftKey ? this.redo() : this.undo();
                 }
                 break;
             case 'y':
                 if (e.ctrlKey) {
-                    this.automaton.redo();
-                    this.render();
+                    e.preventDefault();
+                    this.redo();
                 }
                 break;
         }
     }
 
+    /**
+     * Undo the last edit
+     */
+    undo() {
+        if (!this.automaton || !this.automaton.undo()) return false;
+
+        // Restoring replaces every State/Transition object, so drop stale references
+        this.clearSelection();
+        this.hoveredState = null;
+        this.notifyChange();
+
+        if (this.onHistoryRestored) {
+            this.onHistoryRestored(this.automaton);
+        }
+
+        this.render();
+        return true;
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+        if (!this.automaton || !this.automaton.redo()) return false;
+
+        this.clearSelection();
+        this.hoveredState = null;
+        this.notifyChange();
+
+        if (this.onHistoryRestored) {
+            this.onHistoryRestored(this.automaton);
+        }
+
+        this.render();
+        return true;
+    }
+
     /**
      * Set current tool
      */
@@ -426,6 +493,7 @@ class CanvasEditor {
         });
 
         this.automaton.addState(state);
+        this.automaton.saveToHistory();
         this.selectState(state);
         this.notifyChange();
 
@@ -465,6 +533,7 @@ class CanvasEditor {
         });
 
         this.automaton.addTransition(transition);
+        this.automaton.saveToHistory();
         this.selectTransition(transition);
         this.notifyChange();
 
@@ -482,6 +551,7 @@ class CanvasEditor {
         if (!this.automaton) return;
 
         this.automaton.removeState(state);
+        this.automaton.saveToHistory();
         this.clearSelection();
         this.notifyChange();
 
@@ -499,6 +569,7 @@ class CanvasEditor {
         if (!this.automaton) return;
 
         this.automaton.removeTransition(transition);
+        this.automaton.saveToHistory();
         this.clearSelection();
         this.notifyChange();
 
@@ -611,6 +682,9 @@ class CanvasEditor {
             { label: state.isInitial ? 'Remove Initial' : 'Make Initial', action: () => this.toggleInitial(state) },
             { label: state.isFinal ? 'Remove Final' : 'Make Final', action: () => this.toggleFinal(state) },
             { divider: true },
+            { label: state.breakpoint !== null ? 'Remove Breakpoint' : 'Add Breakpoint', action: () => this.toggleBreakpoint(state) },
+            { label: 'Conditional Breakpoint...', action: () => this.editBreakpointCondition(state, state.name) },
+            { divider: true },
             { label: 'Delete', action: () => this.deleteState(state) }
         ];
 
@@ -653,6 +727,9 @@ class CanvasEditor {
         const items = [
             { label: 'Edit Transition', action: () => this.openTransitionProperties(transition) },
             { divider: true },
+            { label: transition.breakpoint !== null ? 'Remove Breakpoint' : 'Add Breakpoint', action: () => this.toggleBreakpoint(transition) },
+            { label: 'Conditional Breakpoint...', action: () => this.editBreakpointCondition(transition, transition.getLabel(this.automaton.type)) },
+            { divider: true },
             { label: 'Delete', action: () => this.deleteTransition(transition) }
         ];
 
@@ -700,6 +777,7 @@ class CanvasEditor {
         } else {
             this.automaton.setInitialState(state);
         }
+        this.automaton.saveToHistory();
         this.notifyChange();
         this.render();
     }
@@ -709,6 +787,36 @@ class CanvasEditor {
      */
     toggleFinal(state) {
         state.isFinal = !state.isFinal;
+        this.automaton.saveToHistory();
+        this.notifyChange();
+        this.render();
+    }
+
+    /**
+     * Add or remove the breakpoint of a state or transition
+     */
+    toggleBreakpoint(item) {
+        item.breakpoint = item.breakpoint !== null ? null : '';
+        this.automaton.saveToHistory();
+        this.notifyChange();
+        this.render();
+    }
+
+    /**
+     * Ask for the condition of a state's or transition's breakpoint
+     */
+    editBreakpointCondition(item, name) {
+        const condition = prompt(`Break at ${name} when (e.g. head position > 50, stack depth > 10):`, item.breakpoint || '');
+        if (condition === null) return;
+
+        const error = Breakpoint.validate(condition, this.automaton.type);
+        if (error) {
+            alert('Error in breakpoint condition: ' + error);
+            return;
+        }
+
+        item.breakpoint = condition.trim();
+        this.automaton.saveToHistory();
         this.notifyChange();
         this.render();
     }
@@ -717,7 +825,9 @@ class CanvasEditor {
      * Render the canvas
      */
     render() {
-        if (this.automaton) {
+        if (this.previewAutomaton) {
+            this.renderer.render(this.previewAutomaton);
+        } else if (this.automaton) {
             this.renderer.render(this.automaton);
         } else {
             this.renderer.clear();
@@ -2,9 +2,26 @@
  * CanvasRenderer - Handles drawing automata on canvas
  */
 class CanvasRenderer {
-    constructor(canvas) {
+    // Black on white for exported pictures; no background (transparent)
+    static PRINT_COLORS = {
+        background: null,
+        state: '#ffffff',
+        stateStroke: '#000000',
+        stateText: '#000000',
+        initialArrow: '#000000',
+        finalRing: '#000000',
+        transition: '#000000',
+        transitionText: '#000000',
+        label: '#475569'
+    };
+
+    /**
+     * Options: context to draw on instead of the canvas's own (the canvas is
+     * then a fixed { width, height }), and print to draw for export
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+        this.ctx = options.context || canvas.getContext('2d');
         this.scale = 1;
         this.offsetX = 0;
         this.offsetY = 0;
@@ -20,10 +37,13 @@ class CanvasRenderer {
             finalRing: '#f59e0b',
             activeState: '#ec4899',
             selectedState: '#8b5cf6',
+            highlightedState: '#0d9488',
             transition: '#94a3b8',
             transitionText: '#e2e8f0',
             highlightedTransition: '#fbbf24',
-            selectedTransition: '#a78bfa'
+            selectedTransition: '#a78bfa',
+            label: '#cbd5e1',
+            breakpoint: '#ef4444'
         };
 
         // State appearance
@@ -36,7 +56,16 @@ class CanvasRenderer {
         this.selfLoopRadius = 25;
         this.curveOffset = 30;
 
-        this.setupCanvas();
+        // Exported pictures show the machine only: no grid, selection,
+        // simulation highlights or breakpoints
+        this.print = options.print || false;
+        if (this.print) {
+            Object.assign(this.colors, CanvasRenderer.PRINT_COLORS);
+        }
+
+        if (!options.context) {
+            this.setupCanvas();
+        }
     }
 
     /**
@@ -61,6 +90,7 @@ class CanvasRenderer {
      * Clear the canvas
      */
     clear() {
+        if (this.print) return;
         this.ctx.fillStyle = this.colors.background;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         this.drawGrid();
@@ -125,14 +155,14 @@ class CanvasRenderer {
 
         // Draw states
         automaton.states.forEach(s => {
-            this.drawState(s);
+            this.drawState(s, automaton.type === 'moore');
         });
     }
 
     /**
-     * Draw a state
+     * Draw a state; Moore machine states show their output under the name
      */
-    drawState(state) {
+    drawState(state, showOutput = false) {
         const pos = this.toCanvasCoords(state.x, state.y);
         const radius = this.stateRadius * this.scale;
 
@@ -140,17 +170,26 @@ class CanvasRenderer {
         let fillColor = this.colors.state;
         let strokeColor = this.colors.stateStroke;
 
-        if (state.active) {
+        if (this.print) {
+            // Plain colors only
+        } else if (state.active) {
             fillColor = this.colors.activeState;
             strokeColor = '#f472b6';
         } else if (state.selected) {
             fillColor = this.colors.selectedState;
             strokeColor = '#a78bfa';
+        } else if (state.highlighted) {
+            fillColor = this.colors.highlightedState;
+            strokeColor = '#5eead4';
         }
 
-        // Draw main circle
+        // Draw main circle; building blocks are drawn as squares, as in JFLAP
         this.ctx.beginPath();
-        this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+        if (state.block) {
+            this.ctx.rect(pos.x - radius, pos.y - radius, radius * 2, radius * 2);
+        } else {
+            this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+        }
         this.ctx.fillStyle = fillColor;
         this.ctx.fill();
         this.ctx.strokeStyle = strokeColor;
@@ -176,7 +215,26 @@ class CanvasRenderer {
         this.ctx.font = `${14 * this.scale}px 'Segoe UI', sans-serif`;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
-        this.ctx.fillText(state.name, pos.x, pos.y);
+
+        if (showOutput) {
+            this.ctx.fillText(state.name, pos.x, pos.y - 7 * this.scale);
+            this.ctx.font = `${11 * this.scale}px monospace`;
+            this.ctx.fillText(state.output || 'ε', pos.x, pos.y + 9 * this.scale);
+        } else {
+            this.ctx.fillText(state.name, pos.x, pos.y);
+        }
+
+        if (state.breakpoint !== null && !this.print) {
+            this.drawBreakpointMarker(pos.x - radius * 0.75, pos.y - radius * 0.75, state.breakpoint);
+        }
+
+        // Draw the state's label below it
+        if (state.label) {
+            this.ctx.fillStyle = this.colors.label;
+            this.ctx.font = `${12 * this.scale}px 'Segoe UI', sans-serif`;
+            this.ctx.textBaseline = 'top';
+            this.ctx.fillText(state.label, pos.x, pos.y + radius + 4 * this.scale);
+        }
     }
 
     /**
@@ -233,7 +291,9 @@ class CanvasRenderer {
 
         // Determine color
         let color = this.colors.transition;
-        if (transition.highlighted) {
+        if (this.print) {
+            // Plain colors only
+        } else if (transition.highlighted) {
             color = this.colors.highlightedTransition;
         } else if (transition.selected) {
             color = this.colors.selectedTransition;
@@ -254,6 +314,15 @@ class CanvasRenderer {
         }
     }
 
+    /**
+     * Get the position of a transition's label among the labels of all
+     * transitions between the same two states, so they can be stacked
+     */
+    getLabelIndex(transition, automaton) {
+        return automaton.getTransitionsBetween(transition.getFromStateId(), transition.getToStateId())
+            .indexOf(transition);
+    }
+
     /**
      * Draw self-loop
      */
@@ -285,7 +354,10 @@ class CanvasRenderer {
         this.ctx.font = `${12 * this.scale}px 'Segoe UI', sans-serif`;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'bottom';
-        this.ctx.fillText(label, pos.x, loopCenterY - loopRadius - 5 * this.scale);
+        const stackOffset = this.getLabelIndex(transition, automaton) * 14 * this.scale;
+        const labelY = loopCenterY - loopRadius - 5 * this.scale - stackOffset;
+        this.ctx.fillText(label, pos.x, labelY);
+        this.drawTransitionBreakpoint(transition, label, pos.x, labelY - 7 * this.scale);
     }
 
     /**
@@ -338,7 +410,10 @@ class CanvasRenderer {
             this.ctx.font = `${12 * this.scale}px 'Segoe UI', sans-serif`;
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = perpY < 0 ? 'top' : 'bottom';
-            this.ctx.fillText(label, cpX, cpY + (perpY < 0 ? 5 : -5) * this.scale);
+            const stackOffset = (5 + this.getLabelIndex(transition, automaton) * 14) * this.scale;
+            const labelY = cpY + (perpY < 0 ? stackOffset : -stackOffset);
+            this.ctx.fillText(label, cpX, labelY);
+            this.drawTransitionBreakpoint(transition, label, cpX, labelY + (perpY < 0 ? 7 : -7) * this.scale);
         } else {
             // Draw straight line
             this.ctx.moveTo(startX, startY);
@@ -354,7 +429,7 @@ class CanvasRenderer {
             const midY = (startY + endY) / 2;
 
             // Offset label perpendicular to line
-            const perpDist = 15 * this.scale;
+            const perpDist = (15 + this.getLabelIndex(transition, automaton) * 16) * this.scale;
             const labelX = midX - (dy / dist) * perpDist;
             const labelY = midY + (dx / dist) * perpDist;
 
@@ -364,15 +439,51 @@ class CanvasRenderer {
             this.ctx.textBaseline = 'middle';
 
             // Background for better readability
-            const textWidth = this.ctx.measureText(label).width;
-            this.ctx.fillStyle = this.colors.background;
-            this.ctx.fillRect(labelX - textWidth / 2 - 4, labelY - 8 * this.scale, textWidth + 8, 16 * this.scale);
+            if (this.colors.background) {
+                const textWidth = this.ctx.measureText(label).width;
+                this.ctx.fillStyle = this.colors.background;
+                this.ctx.fillRect(labelX - textWidth / 2 - 4, labelY - 8 * this.scale, textWidth + 8, 16 * this.scale);
+            }
 
             this.ctx.fillStyle = this.colors.transitionText;
             this.ctx.fillText(label, labelX, labelY);
+            this.drawTransitionBreakpoint(transition, label, labelX, labelY);
+        }
+    }
+
+    /**
+     * Draw a breakpoint marker: a red dot, with a ? for a conditional breakpoint
+     */
+    drawBreakpointMarker(x, y, condition) {
+        const radius = 6 * this.scale;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this.ctx.fillStyle = this.colors.breakpoint;
+        this.ctx.fill();
+        this.ctx.strokeStyle = this.colors.background;
+        this.ctx.lineWidth = 1.5 * this.scale;
+        this.ctx.stroke();
+
+        if (condition) {
+            this.ctx.fillStyle = this.colors.stateText;
+            this.ctx.font = `bold ${9 * this.scale}px 'Segoe UI', sans-serif`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText('?', x, y);
         }
     }
 
+    /**
+     * Draw a transition's breakpoint marker left of its label, centered at labelY
+     */
+    drawTransitionBreakpoint(transition, label, labelX, labelY) {
+        if (transition.breakpoint === null || this.print) return;
+
+        this.ctx.font = `${12 * this.scale}px 'Segoe UI', sans-serif`;
+        const textWidth = this.ctx.measureText(label).width;
+        this.drawBreakpointMarker(labelX - textWidth / 2 - 10 * this.scale, labelY, transition.breakpoint);
+    }
+
     /**
      * Draw selection box
      */
@@ -0,0 +1,199 @@
+/**
+ * ComputationTreeView - Draws the computation tree of an NFA or PDA run
+ */
+class ComputationTreeView {
+    constructor() {
+        this.automaton = null;
+        this.tree = null;
+        this.positions = []; // { node, x, y }
+        this.selected = null;
+        this.onSelect = null;
+
+        // UI Elements
+        this.section = document.getElementById('tree-section');
+        this.summary = document.getElementById('tree-summary');
+        this.canvas = document.getElementById('computation-tree-canvas');
+        this.description = document.getElementById('tree-description');
+
+        // Tree appearance
+        this.colors = {
+            background: '#1e293b',
+            edge: '#64748b',
+            acceptingEdge: '#22c55e',
+            edgeLabel: '#cbd5e1',
+            expanded: '#3b82f6',
+            accepting: '#22c55e',
+            dead: '#ef4444',
+            repeated: '#f59e0b',
+            unexplored: '#64748b',
+            text: '#ffffff',
+            selected: '#fbbf24'
+        };
+        this.nodeRadius = 14;
+        this.leafSpacing = 44;
+        this.levelHeight = 56;
+
+        this.canvas?.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    /**
+     * Set the automaton; the view is only shown for NFA and PDA
+     */
+    setAutomaton(automaton) {
+        this.automaton = automaton;
+        this.clear();
+        if (this.section) {
+            this.section.classList.toggle('hidden', automaton.type !== 'nfa' && automaton.type !== 'pda');
+        }
+    }
+
+    /**
+     * Remove the tree
+     */
+    clear() {
+        this.tree = null;
+        this.positions = [];
+        this.selected = null;
+        if (this.summary) this.summary.textContent = '';
+        if (this.description) this.description.textContent = '';
+        if (this.canvas) this.canvas.classList.add('hidden');
+    }
+
+    /**
+     * Build and draw the tree for an input
+     */
+    build(input) {
+        const tree = new ComputationTree(this.automaton, input);
+        tree.build();
+
+        this.tree = tree;
+        this.selected = null;
+        if (this.summary) {
+            this.summary.textContent = tree.getSummary();
+            this.summary.className = `tree-summary ${tree.acceptingNode ? 'accepted' : 'rejected'}`;
+        }
+        if (this.description) {
+            this.description.textContent = 'Click a configuration to show it on the canvas.';
+        }
+        this.render();
+    }
+
+    /**
+     * Draw the tree: leaves are spaced evenly, parents are centered over
+     * their children
+     */
+    render() {
+        if (!this.canvas || !this.tree) return;
+        this.canvas.classList.remove('hidden');
+
+        const placed = new Map();
+        let leafCount = 0;
+        let depth = 0;
+        const place = (node) => {
+            depth = Math.max(depth, node.depth);
+            let x;
+            if (node.children.length === 0) {
+                x = leafCount++;
+            } else {
+                const xs = node.children.map(child => place(child));
+                x = (xs[0] + xs[xs.length - 1]) / 2;
+            }
+            placed.set(node, x);
+            return x;
+        };
+        place(this.tree.root);
+
+        const margin = this.nodeRadius + 4;
+        const width = Math.max(this.canvas.parentElement?.clientWidth || 0,
+            (leafCount - 1) * this.leafSpacing + margin * 2);
+        const height = depth * this.levelHeight + margin * 2;
+        const offsetX = (width - (leafCount - 1) * this.leafSpacing) / 2;
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        this.positions = this.tree.nodes.map(node => ({
+            node: node,
+            x: offsetX + placed.get(node) * this.leafSpacing,
+            y: margin + node.depth * this.levelHeight
+        }));
+        const positionOf = new Map(this.positions.map(p => [p.node, p]));
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        // Edges, labelled with the symbol read (and the stack operation)
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.positions.forEach(to => {
+            if (!to.node.parent) return;
+            const from = positionOf.get(to.node.parent);
+            const accepting = to.node.onAcceptingPath;
+
+            ctx.strokeStyle = accepting ? this.colors.acceptingEdge : this.colors.edge;
+            ctx.lineWidth = accepting ? 3 : 1.5;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.edgeLabel;
+            ctx.fillText(this.tree.getEdgeLabel(to.node), (from.x + to.x) / 2, (from.y + to.y) / 2);
+        });
+
+        // Nodes, colored by status and labelled with the state name
+        ctx.font = '12px monospace';
+        this.positions.forEach(({ node, x, y }) => {
+            ctx.fillStyle = this.colors[node.status];
+            ctx.beginPath();
+            ctx.arc(x, y, this.nodeRadius, 0, Math.PI * 2);
+            ctx.fill();
+
+            if (node === this.selected) {
+                ctx.strokeStyle = this.colors.selected;
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(node.config.state.name, x, y);
+        });
+    }
+
+    /**
+     * Select the configuration under the mouse
+     */
+    handleClick(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+
+        const hit = this.positions.find(p => Math.hypot(p.x - x, p.y - y) <= this.nodeRadius);
+        if (hit) this.select(hit.node);
+    }
+
+    /**
+     * Show a configuration: its state active and the transition into it
+     * highlighted on the automaton
+     */
+    select(node) {
+        this.selected = node;
+
+        this.automaton.states.forEach(s => s.active = false);
+        this.automaton.transitions.forEach(t => t.highlighted = false);
+        node.config.state.active = true;
+        if (node.transition) node.transition.highlighted = true;
+
+        if (this.description) {
+            this.description.textContent = this.tree.describeNode(node);
+        }
+        this.render();
+        if (this.onSelect) this.onSelect(node);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComputationTreeView;
+}
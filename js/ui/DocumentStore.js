@@ -0,0 +1,185 @@
+/**
+ * DocumentStore - Automata saved in the browser (IndexedDB)
+ *
+ * A document is { id, name, type, automaton (JSON), batch, input, created,
+ * updated, opened }: the automaton with the batch tests and input string
+ * that were open with it. The session records which documents were open
+ * in tabs, and each open page keeps a mark in localStorage, so a mark that
+ * stops being refreshed tells that its page crashed. When
+ * IndexedDB is unavailable (e.g. some private windows) every method still
+ * resolves, so the app works without persistence.
+ */
+class DocumentStore {
+    // A running page refreshes its mark every HEARTBEAT ms; a mark older than
+    // STALE_AFTER is a crashed page (hidden tabs may refresh once a minute)
+    static HEARTBEAT = 10000;
+    static STALE_AFTER = 90000;
+
+    constructor(name = 'jflap-online') {
+        this.name = name;
+        this.pageId = `page-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.version = 1;
+        this.db = null;
+        this.available = typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating its stores on first use
+     */
+    open() {
+        if (this.db || !this.available) return Promise.resolve(this.db);
+
+        return new Promise((resolve) => {
+            const request = indexedDB.open(this.name, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('documents', { keyPath: 'id' });
+                db.createObjectStore('session');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => {
+                this.available = false;
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Run a request against a store; resolves to its result (fallback when unavailable)
+     */
+    request(storeName, mode, makeRequest, fallback = null) {
+        return this.open().then(db => {
+            if (!db) return fallback;
+
+            return new Promise((resolve, reject) => {
+                const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Get every document, most recently updated first
+     */
+    listDocuments() {
+        return this.request('documents', 'readonly', store => store.getAll(), [])
+            .then(documents => documents.sort((a, b) => b.updated - a.updated));
+    }
+
+    /**
+     * Get a document by id (undefined if missing)
+     */
+    getDocument(id) {
+        return this.request('documents', 'readonly', store => store.get(id), undefined);
+    }
+
+    /**
+     * Save a document, replacing any with the same id
+     */
+    saveDocument(doc) {
+        return this.request('documents', 'readwrite', store => store.put(doc));
+    }
+
+    /**
+     * Delete a document
+     */
+    deleteDocument(id) {
+        return this.request('documents', 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Get the last session: { openIds, activeId } or undefined
+     */
+    getSession() {
+        return this.request('session', 'readonly', store => store.get('session'), undefined);
+    }
+
+    /**
+     * Save the session
+     */
+    saveSession(session) {
+        return this.request('session', 'readwrite', store => store.put(session, 'session'));
+    }
+
+    /**
+     * Get the running marks: page id -> time of its last heartbeat
+     */
+    readMarks() {
+        const marks = JSON.parse(localStorage.getItem(`${this.name}:running`));
+        return marks && typeof marks === 'object' ? marks : {};
+    }
+
+    /**
+     * Save the running marks, removing the key when no page is running
+     */
+    writeMarks(marks) {
+        if (Object.keys(marks).length === 0) {
+            localStorage.removeItem(`${this.name}:running`);
+        } else {
+            localStorage.setItem(`${this.name}:running`, JSON.stringify(marks));
+        }
+    }
+
+    /**
+     * Mark the page as running; returns true if another page stopped without
+     * closing cleanly (a crash or killed tab), so its session should be
+     * recovered. Pages that are still open keep refreshing their marks, so
+     * they do not count as crashed.
+     */
+    markRunning() {
+        try {
+            const marks = this.readMarks();
+            const now = Date.now();
+            const stale = Object.keys(marks)
+                .filter(id => id !== this.pageId && !(now - marks[id] <= DocumentStore.STALE_AFTER));
+            stale.forEach(id => delete marks[id]);
+            marks[this.pageId] = now;
+            this.writeMarks(marks);
+            return stale.length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Refresh the mark of this page, showing it is still running
+     */
+    heartbeat() {
+        try {
+            const marks = this.readMarks();
+            marks[this.pageId] = Date.now();
+            this.writeMarks(marks);
+        } catch (error) {
+            // Without localStorage there is no crash detection
+        }
+    }
+
+    /**
+     * Mark the page as closed cleanly
+     */
+    markClosed() {
+        try {
+            const marks = this.readMarks();
+            delete marks[this.pageId];
+            this.writeMarks(marks);
+        } catch (error) {
+            // Without localStorage every session counts as a clean close
+        }
+    }
+
+    /**
+     * Create a unique document id
+     */
+    static createId() {
+        return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentStore;
+}
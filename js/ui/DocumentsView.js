@@ -0,0 +1,159 @@
+/**
+ * DocumentsView - Tabs of the open automata and the sidebar of saved documents
+ */
+class DocumentsView {
+    constructor() {
+        // UI Elements
+        this.tabBar = document.getElementById('document-tabs');
+        this.status = document.getElementById('document-status');
+        this.sidebar = document.getElementById('document-sidebar');
+        this.recentList = document.getElementById('recent-documents');
+        this.documentList = document.getElementById('document-list');
+
+        // Callbacks
+        this.onSelectTab = null;
+        this.onCloseTab = null;
+        this.onRename = null;
+        this.onOpenDocument = null;
+        this.onDeleteDocument = null;
+
+        this.recentCount = 5;
+    }
+
+    /**
+     * Show or hide the sidebar
+     */
+    toggleSidebar() {
+        this.sidebar?.classList.toggle('hidden');
+    }
+
+    /**
+     * Check if the sidebar is shown
+     */
+    isSidebarOpen() {
+        return this.sidebar ? !this.sidebar.classList.contains('hidden') : false;
+    }
+
+    /**
+     * Show a short message next to the tabs (empty to clear it)
+     */
+    showStatus(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+
+    /**
+     * Render the tabs: [{ id, name, type }]
+     */
+    renderTabs(tabs, activeId) {
+        if (!this.tabBar) return;
+        this.tabBar.innerHTML = '';
+
+        tabs.forEach(tab => {
+            const element = document.createElement('div');
+            element.className = 'document-tab';
+            element.classList.toggle('active', tab.id === activeId);
+            element.title = 'Double-click to rename';
+
+            const name = document.createElement('span');
+            name.className = 'document-tab-name';
+            name.textContent = tab.name;
+            element.appendChild(name);
+
+            const close = document.createElement('button');
+            close.className = 'document-tab-close';
+            close.textContent = '×';
+            close.title = 'Close tab';
+            close.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.onCloseTab) this.onCloseTab(tab.id);
+            });
+            element.appendChild(close);
+
+            element.addEventListener('click', () => {
+                if (this.onSelectTab) this.onSelectTab(tab.id);
+            });
+            element.addEventListener('dblclick', () => {
+                if (this.onRename) this.onRename(tab.id);
+            });
+
+            this.tabBar.appendChild(element);
+        });
+    }
+
+    /**
+     * Render the saved documents: the most recently opened ones, then all by name
+     */
+    renderDocuments(documents, openIds) {
+        const recent = documents
+            .filter(doc => doc.opened)
+            .sort((a, b) => b.opened - a.opened)
+            .slice(0, this.recentCount);
+        const all = [...documents].sort((a, b) => a.name.localeCompare(b.name));
+
+        this.renderList(this.recentList, recent, openIds, false);
+        this.renderList(this.documentList, all, openIds, true);
+    }
+
+    /**
+     * Render one list of documents, optionally with rename and delete buttons
+     */
+    renderList(container, documents, openIds, editable) {
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (documents.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'document-empty';
+            empty.textContent = 'No documents yet';
+            container.appendChild(empty);
+            return;
+        }
+
+        documents.forEach(doc => {
+            const item = document.createElement('div');
+            item.className = 'document-item';
+            item.classList.toggle('open', openIds.includes(doc.id));
+            item.title = `Last saved ${new Date(doc.updated).toLocaleString()}`;
+
+            const name = document.createElement('span');
+            name.className = 'document-name';
+            name.textContent = doc.name;
+            item.appendChild(name);
+
+            const type = document.createElement('span');
+            type.className = 'document-type';
+            type.textContent = doc.type.toUpperCase();
+            item.appendChild(type);
+
+            if (editable) {
+                [
+                    { label: '✎', title: 'Rename', callback: () => this.onRename },
+                    { label: '×', title: 'Delete', callback: () => this.onDeleteDocument }
+                ].forEach(action => {
+                    const button = document.createElement('button');
+                    button.className = 'document-action';
+                    button.textContent = action.label;
+                    button.title = action.title;
+                    button.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        const callback = action.callback();
+                        if (callback) callback(doc.id);
+                    });
+                    item.appendChild(button);
+                });
+            }
+
+            item.addEventListener('click', () => {
+                if (this.onOpenDocument) this.onOpenDocument(doc.id);
+            });
+            container.appendChild(item);
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentsView;
+}
@@ -0,0 +1,240 @@
+/**
+ * GrammarEditor - Text and table editing of a context-free grammar
+ */
+class GrammarEditor {
+    constructor() {
+        this.grammar = new Grammar();
+        this.mode = 'text'; // 'text' or 'table'
+
+        // UI Elements
+        this.panel = document.getElementById('grammar-panel');
+        this.textArea = document.getElementById('grammar-text');
+        this.table = document.getElementById('grammar-table');
+        this.startInput = document.getElementById('grammar-start');
+        this.messages = document.getElementById('grammar-messages');
+
+        // Callbacks
+        this.onGrammarChanged = null;
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.textArea?.addEventListener('input', () => this.applyText());
+
+        this.startInput?.addEventListener('change', () => {
+            const start = this.startInput.value.trim();
+            if (Grammar.isVariable(start)) {
+                this.grammar.startVariable = start;
+                this.grammar.updateSymbols();
+                this.notifyChange();
+                this.render();
+            } else {
+                this.showMessages([`"${start}" is not a variable`], []);
+            }
+        });
+
+        document.querySelectorAll('.grammar-tab').forEach(tab => {
+            tab.addEventListener('click', (e) => this.setMode(e.target.dataset.mode));
+        });
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    setVisible(visible) {
+        if (this.panel) {
+            this.panel.classList.toggle('hidden', !visible);
+        }
+    }
+
+    /**
+     * Check if the panel is shown
+     */
+    isVisible() {
+        return this.panel ? !this.panel.classList.contains('hidden') : false;
+    }
+
+    /**
+     * Set the grammar to edit
+     */
+    setGrammar(grammar) {
+        this.grammar = grammar;
+        this.render();
+    }
+
+    /**
+     * Switch between text and table mode
+     */
+    setMode(mode) {
+        this.mode = mode;
+        document.querySelectorAll('.grammar-tab').forEach(t => {
+            t.classList.toggle('active', t.dataset.mode === mode);
+        });
+        this.render();
+    }
+
+    /**
+     * Parse the text area into the grammar, keeping the old grammar on errors
+     */
+    applyText() {
+        try {
+            this.grammar = Grammar.parse(this.textArea.value);
+            if (this.startInput) this.startInput.value = this.grammar.startVariable;
+            this.notifyChange();
+            this.renderMessages();
+        } catch (error) {
+            this.showMessages([error.message], []);
+        }
+    }
+
+    /**
+     * Render the current mode
+     */
+    render() {
+        if (this.startInput) {
+            this.startInput.value = this.grammar.startVariable;
+        }
+
+        if (this.textArea) {
+            this.textArea.classList.toggle('hidden', this.mode !== 'text');
+            this.textArea.value = this.grammar.toText();
+        }
+
+        if (this.table) {
+            this.table.classList.toggle('hidden', this.mode !== 'table');
+            if (this.mode === 'table') {
+                this.renderTable();
+            }
+        }
+
+        this.renderMessages();
+    }
+
+    /**
+     * Render the production table, with an empty row for adding productions
+     */
+    renderTable() {
+        this.table.innerHTML = '';
+
+        const rows = [...this.grammar.productions, null];
+        rows.forEach((production, index) => {
+            const row = document.createElement('div');
+            row.className = 'grammar-row';
+
+            const lhsInput = document.createElement('input');
+            lhsInput.type = 'text';
+            lhsInput.className = 'grammar-lhs';
+            lhsInput.value = production ? production.lhs : '';
+            lhsInput.placeholder = 'A';
+
+            const arrow = document.createElement('span');
+            arrow.className = 'grammar-arrow';
+            arrow.textContent = '→';
+
+            const rhsInput = document.createElement('input');
+            rhsInput.type = 'text';
+            rhsInput.className = 'grammar-rhs';
+            rhsInput.value = production ? Grammar.formatRHS(production.rhs) : '';
+            rhsInput.placeholder = production ? 'ε' : 'aAb';
+
+            const onChange = () => this.updateRow(index, lhsInput.value.trim(), rhsInput.value);
+            lhsInput.addEventListener('change', onChange);
+            rhsInput.addEventListener('change', onChange);
+
+            row.appendChild(lhsInput);
+            row.appendChild(arrow);
+            row.appendChild(rhsInput);
+
+            if (production) {
+                const removeButton = document.createElement('button');
+                removeButton.className = 'panel-close';
+                removeButton.title = 'Delete production';
+                removeButton.innerHTML = '&times;';
+                removeButton.addEventListener('click', () => {
+                    this.grammar.removeProduction(index);
+                    this.notifyChange();
+                    this.render();
+                });
+                row.appendChild(removeButton);
+            }
+
+            this.table.appendChild(row);
+        });
+    }
+
+    /**
+     * Apply an edited table row (index past the end adds a production)
+     */
+    updateRow(index, lhs, rhsText) {
+        if (lhs === '') return;
+        if (!Grammar.isVariable(lhs)) {
+            this.showMessages([`"${lhs}" is not a variable (use an uppercase letter)`], []);
+            return;
+        }
+
+        if (index < this.grammar.productions.length) {
+            this.grammar.productions[index] = { lhs: lhs, rhs: Grammar.tokenize(rhsText) };
+            this.grammar.updateSymbols();
+        } else {
+            if (this.grammar.productions.length === 0) {
+                this.grammar.startVariable = lhs;
+            }
+            this.grammar.addProduction(lhs, rhsText);
+        }
+
+        this.notifyChange();
+        this.render();
+    }
+
+    /**
+     * Show validation results for the current grammar
+     */
+    renderMessages() {
+        if (this.grammar.productions.length === 0) {
+            this.showMessages([], []);
+            return;
+        }
+        const validation = this.grammar.validate();
+        this.showMessages(validation.errors, validation.warnings);
+    }
+
+    /**
+     * Show error and warning lines
+     */
+    showMessages(errors, warnings) {
+        if (!this.messages) return;
+
+        this.messages.innerHTML = '';
+        errors.forEach(text => {
+            const div = document.createElement('div');
+            div.className = 'grammar-error';
+            div.textContent = text;
+            this.messages.appendChild(div);
+        });
+        warnings.forEach(text => {
+            const div = document.createElement('div');
+            div.className = 'grammar-warning';
+            div.textContent = text;
+            this.messages.appendChild(div);
+        });
+    }
+
+    /**
+     * Notify of grammar change
+     */
+    notifyChange() {
+        if (this.onGrammarChanged) {
+            this.onGrammarChanged(this.grammar);
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrammarEditor;
+}
@@ -0,0 +1,99 @@
+/**
+ * ImageExport - Pictures of an automaton for slides and papers
+ *
+ * The automaton is drawn by CanvasRenderer in print colors, cropped to
+ * what it draws: on a VectorContext for SVG and PDF, on an offscreen
+ * canvas for PNG.
+ */
+class ImageExport {
+    static MARGIN = 10;
+
+    /**
+     * Draw the automaton on a context, with bounds.minX/minY at the margin
+     */
+    static draw(automaton, context, size, bounds, scale = 1) {
+        const renderer = new CanvasRenderer(size, { context: context, print: true });
+        renderer.scale = scale;
+        renderer.offsetX = ImageExport.MARGIN - bounds.minX;
+        renderer.offsetY = ImageExport.MARGIN - bounds.minY;
+        renderer.render(automaton);
+    }
+
+    /**
+     * Get the box around the drawn automaton, in automaton coordinates
+     */
+    static getBounds(automaton) {
+        if (automaton.states.length === 0) {
+            throw new Error('The automaton has no states to export');
+        }
+
+        // Drawn unshifted, so the bounds are in automaton coordinates
+        const context = new VectorContext(0, 0);
+        ImageExport.draw(automaton, context, context, { minX: ImageExport.MARGIN, minY: ImageExport.MARGIN });
+        return context.getBounds();
+    }
+
+    /**
+     * Get the picture size for the bounds at a scale
+     */
+    static getSize(bounds, scale = 1) {
+        return {
+            width: Math.ceil((bounds.maxX - bounds.minX + ImageExport.MARGIN * 2) * scale),
+            height: Math.ceil((bounds.maxY - bounds.minY + ImageExport.MARGIN * 2) * scale)
+        };
+    }
+
+    /**
+     * Draw the automaton as vector shapes
+     */
+    static toVector(automaton) {
+        const bounds = ImageExport.getBounds(automaton);
+        const size = ImageExport.getSize(bounds);
+        const context = new VectorContext(size.width, size.height);
+        ImageExport.draw(automaton, context, size, bounds);
+        return context;
+    }
+
+    /**
+     * Get the automaton as an SVG document
+     */
+    static toSVG(automaton) {
+        return ImageExport.toVector(automaton).toSVG();
+    }
+
+    /**
+     * Get the automaton as a one-page PDF document
+     */
+    static toPDF(automaton) {
+        return ImageExport.toVector(automaton).toPDF();
+    }
+
+    /**
+     * Draw the automaton on a transparent canvas; scale multiplies the
+     * resolution (e.g. 2 for sharp slides)
+     */
+    static toCanvas(automaton, scale = 2) {
+        const bounds = ImageExport.getBounds(automaton);
+        const size = ImageExport.getSize(bounds, scale);
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        ImageExport.draw(automaton, canvas.getContext('2d'), canvas, bounds, scale);
+        return canvas;
+    }
+
+    /**
+     * Get the automaton as a PNG image; resolves to a Blob
+     */
+    static toPNG(automaton, scale = 2) {
+        const canvas = ImageExport.toCanvas(automaton, scale);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The image is too large')), 'image/png');
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageExport;
+}
@@ -0,0 +1,117 @@
+/**
+ * ShareLink - An automaton packed into a URL fragment, so a link reproduces
+ * it with no server
+ *
+ * The fragment is "#share=" followed by a format letter and base64url data:
+ * 'z' for deflate-compressed JSON, 'j' for plain JSON (browsers without
+ * CompressionStream). The JSON is { automaton, input, tests } where the
+ * input string and the test suite are optional.
+ */
+class ShareLink {
+    static PREFIX = 'share=';
+
+    /**
+     * Check if a URL fragment holds a shared automaton
+     */
+    static isShareFragment(hash) {
+        return hash.replace(/^#/, '').startsWith(ShareLink.PREFIX);
+    }
+
+    /**
+     * Build the fragment for an automaton; resolves to "#share=..."
+     */
+    static encode(automaton, input = '', tests = undefined) {
+        const data = { automaton: automaton.toJSON() };
+        if (input !== '') data.input = input;
+        if (tests) data.tests = tests;
+
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        if (typeof CompressionStream === 'undefined') {
+            return Promise.resolve(`#${ShareLink.PREFIX}j${ShareLink.toBase64Url(bytes)}`);
+        }
+        return ShareLink.transform(bytes, new CompressionStream('deflate-raw'))
+            .then(compressed => `#${ShareLink.PREFIX}z${ShareLink.toBase64Url(compressed)}`);
+    }
+
+    /**
+     * Read a fragment built by encode; resolves to { automaton, input, tests }
+     * with the automaton and test suite as objects
+     */
+    static decode(hash) {
+        const text = hash.replace(/^#/, '');
+        if (!ShareLink.isShareFragment(text)) {
+            return Promise.reject(new Error('The link does not contain an automaton'));
+        }
+
+        const format = text.charAt(ShareLink.PREFIX.length);
+        let bytes;
+        try {
+            bytes = ShareLink.fromBase64Url(decodeURIComponent(text.slice(ShareLink.PREFIX.length + 1)));
+        } catch (error) {
+            return Promise.reject(new Error('The link is damaged (was it cut short?)'));
+        }
+
+        let decoding;
+        if (format === 'j') {
+            decoding = Promise.resolve(bytes);
+        } else if (format === 'z') {
+            if (typeof DecompressionStream === 'undefined') {
+                return Promise.reject(new Error('This browser cannot decompress shared links'));
+            }
+            decoding = ShareLink.transform(bytes, new DecompressionStream('deflate-raw'))
+                .catch(() => { throw new Error('The link is damaged (was it cut short?)'); });
+        } else {
+            return Promise.reject(new Error(`Unknown link format '${format}'`));
+        }
+
+        return decoding.then(decoded => {
+            const data = JSON.parse(new TextDecoder().decode(decoded));
+            if (!data.automaton) {
+                throw new Error('The link does not contain an automaton');
+            }
+            return {
+                automaton: Automaton.fromJSON(data.automaton),
+                input: data.input || '',
+                tests: data.tests ? TestSuite.fromJSON(data.tests) : null
+            };
+        });
+    }
+
+    /**
+     * Run bytes through a compression or decompression stream
+     */
+    static transform(bytes, stream) {
+        return new Response(new Blob([bytes]).stream().pipeThrough(stream))
+            .arrayBuffer()
+            .then(buffer => new Uint8Array(buffer));
+    }
+
+    /**
+     * Encode bytes as base64url (URL-safe, without padding)
+     */
+    static toBase64Url(bytes) {
+        let binary = '';
+        // Chunks keep String.fromCharCode under the argument limit
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode base64url into bytes
+     */
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShareLink;
+}
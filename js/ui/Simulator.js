@@ -2,12 +2,29 @@
  * Simulator - Handles automaton simulation and UI updates
  */
 class Simulator {
+    // Every CHECKPOINT_INTERVAL-th step keeps a whole snapshot; the steps
+    // between are rebuilt by stepping forward from the checkpoint before them
+    static CHECKPOINT_INTERVAL = 50;
+
+    // Run to breakpoint: steps between redraws are bounded by time, and
+    // machines without a step limit of their own pause after MAX_RUN_STEPS
+    static CHUNK_TIME = 30;
+    static MAX_RUN_STEPS = 10000;
+
     constructor() {
         this.automaton = null;
         this.isRunning = false;
         this.isPaused = false;
         this.speed = 5; // 1-10 scale
         this.stepInterval = null;
+        this.chunkTimeout = null; // Next chunk of a run to breakpoint
+        this.runLimit = 0; // Position a run to breakpoint pauses at
+
+        // The run so far, for stepping back: one { snapshot, continued, traceLength }
+        // per step, with a snapshot only at checkpoints
+        this.history = [];
+        this.historyTrace = []; // The whole trace, also after stepping back
+        this.position = -1; // Index of the shown step
 
         // UI Elements
         this.inputField = document.getElementById('input-string');
@@ -16,19 +33,31 @@ class Simulator {
         this.remainingInputDisplay = document.getElementById('sim-remaining');
         this.stackDisplay = document.getElementById('sim-stack');
         this.stackContainer = document.getElementById('stack-display');
+        this.outputDisplay = document.getElementById('sim-output');
+        this.outputContainer = document.getElementById('output-display');
         this.traceOutput = document.getElementById('trace-output');
         this.speedSlider = document.getElementById('speed-slider');
         this.speedValue = document.getElementById('speed-value');
+        this.timelineSlider = document.getElementById('timeline-slider');
+        this.timelineValue = document.getElementById('timeline-value');
+        this.breakpointInput = document.getElementById('breakpoint-condition');
+        this.breakpointDisplay = document.getElementById('sim-breakpoint');
+        this.breakpointContainer = document.getElementById('breakpoint-display');
+        this.limitsRow = document.getElementById('tm-limits');
+        this.maxStepsInput = document.getElementById('max-steps');
+        this.maxConfigurationsInput = document.getElementById('max-configurations');
 
         // TM Elements
         this.tmTapeContainer = document.getElementById('tm-tape-container');
         this.tmTape = document.getElementById('tm-tape');
         this.headPositionDisplay = document.getElementById('head-position');
+        this.tmConfigurations = document.getElementById('tm-configurations');
         this.currentTMStateDisplay = document.getElementById('current-tm-state');
 
         // Callbacks
         this.onStepComplete = null;
         this.onSimulationComplete = null;
+        this.onRestore = null;
 
         this.setupEventListeners();
     }
@@ -45,6 +74,30 @@ class Simulator {
                 }
             });
         }
+
+        if (this.timelineSlider) {
+            this.timelineSlider.addEventListener('input', (e) => {
+                this.stop();
+                this.restore(parseInt(e.target.value));
+            });
+        }
+
+        // Step and branch bounds of a Turing machine, saved with it
+        [this.maxStepsInput, this.maxConfigurationsInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('change', () => this.updateLimits());
+        });
+
+        // Click a trace entry to go back (or forward) to it
+        if (this.traceOutput) {
+            this.traceOutput.addEventListener('click', (e) => {
+                const entry = e.target.closest('.trace-step');
+                if (entry) {
+                    this.stop();
+                    this.restoreTraceEntry(parseInt(entry.dataset.index));
+                }
+            });
+        }
     }
 
     /**
@@ -67,10 +120,43 @@ class Simulator {
             this.stackContainer.style.display = this.automaton.type === 'pda' ? 'flex' : 'none';
         }
 
+        // Show/hide output tape for Mealy/Moore machines
+        if (this.outputContainer) {
+            this.outputContainer.style.display = this.automaton.isTransducer() ? 'flex' : 'none';
+        }
+
         // Show/hide TM tape
         if (this.tmTapeContainer) {
             this.tmTapeContainer.classList.toggle('hidden', this.automaton.type !== 'tm');
         }
+
+        // Show the TM simulation bounds
+        if (this.limitsRow) {
+            this.limitsRow.classList.toggle('hidden', this.automaton.type !== 'tm');
+        }
+        this.showLimits();
+    }
+
+    /**
+     * Fill the step and branch bound inputs from a Turing machine
+     */
+    showLimits() {
+        if (!this.maxStepsInput || !this.maxConfigurationsInput || this.automaton.type !== 'tm') return;
+        this.maxStepsInput.value = this.automaton.maxSteps;
+        this.maxConfigurationsInput.value = this.automaton.maxConfigurations;
+    }
+
+    /**
+     * Set the Turing machine's bounds from the inputs; invalid values are put back
+     */
+    updateLimits() {
+        if (!this.automaton || this.automaton.type !== 'tm') return;
+        try {
+            this.automaton.setLimits(Number(this.maxStepsInput.value), Number(this.maxConfigurationsInput.value));
+        } catch (error) {
+            alert(error.message);
+        }
+        this.showLimits();
     }
 
     /**
@@ -81,6 +167,11 @@ class Simulator {
 
         const success = this.automaton.initSimulation(input || '');
 
+        this.history = [];
+        this.clearTrace();
+        this.recordSnapshot(success);
+        this.updateTrace();
+
         this.updateStatus('ready');
         this.updateDisplay();
 
@@ -97,8 +188,13 @@ class Simulator {
             this.automaton.resetSimulation();
         }
 
+        this.history = [];
+        this.historyTrace = [];
+        this.position = -1;
+
         this.updateStatus('ready');
         this.clearTrace();
+        this.updateTimeline();
         this.updateDisplay();
     }
 
@@ -109,14 +205,25 @@ class Simulator {
         if (!this.automaton) return false;
 
         // Initialize if not already
-        if (this.automaton.trace.length === 0) {
+        if (this.history.length === 0) {
             const input = this.inputField ? this.inputField.value : '';
             this.init(input);
         }
 
-        const continued = this.automaton.step();
-        this.updateDisplay();
-        this.appendTrace();
+        // After stepping back, replay the recorded steps
+        let continued;
+        if (this.position < this.history.length - 1) {
+            this.restore(this.position + 1);
+            continued = this.history[this.position].continued;
+        } else if (!this.history[this.position].continued) {
+            this.complete();
+            return false;
+        } else {
+            continued = this.automaton.step();
+            this.recordSnapshot(continued && this.automaton.isAccepted === null);
+            this.updateDisplay();
+            this.updateTrace();
+        }
 
         if (this.onStepComplete) {
             this.onStepComplete(this.automaton);
@@ -130,6 +237,24 @@ class Simulator {
         return true;
     }
 
+    /**
+     * Take one step without updating the display: replay a recorded step or
+     * take a new one. Returns false once the run has ended.
+     */
+    advance() {
+        if (this.position < this.history.length - 1) {
+            this.rebuild(this.position + 1);
+            this.position++;
+            this.updateTimeline();
+            return this.history[this.position].continued;
+        }
+        if (!this.history[this.position].continued) return false;
+
+        const continued = this.automaton.step() && this.automaton.isAccepted === null;
+        this.recordSnapshot(continued);
+        return continued;
+    }
+
     /**
      * Run simulation automatically
      */
@@ -137,7 +262,7 @@ class Simulator {
         if (!this.automaton) return;
 
         // Initialize if not already
-        if (this.automaton.trace.length === 0) {
+        if (this.history.length === 0) {
             const input = this.inputField ? this.inputField.value : '';
             this.init(input);
         }
@@ -155,16 +280,94 @@ class Simulator {
             const continued = this.step();
             if (!continued) {
                 this.stop();
+                return;
+            }
+
+            const hit = this.checkBreakpoints();
+            if (hit) {
+                this.pause(hit);
             }
         }, interval);
     }
 
     /**
-     * Pause simulation
+     * Run as fast as possible until a breakpoint, the end of the run or the
+     * step limit. Steps go in chunks, drawing the shown step after each so
+     * the page stays responsive.
+     */
+    runToBreakpoint() {
+        if (!this.automaton) return;
+
+        // Initialize if not already
+        if (this.history.length === 0) {
+            const input = this.inputField ? this.inputField.value : '';
+            this.init(input);
+        }
+
+        this.stop();
+        this.isRunning = true;
+        this.updateStatus('running');
+        this.runChunk(true);
+    }
+
+    /**
+     * Take steps for up to CHUNK_TIME milliseconds, then show where the run
+     * got to and either stop there or schedule the next chunk
+     */
+    runChunk(first = false) {
+        this.chunkTimeout = null;
+        if (!this.isRunning || this.isPaused) return;
+
+        // Turing machines stop at their own step limit
+        if (first) {
+            this.runLimit = this.automaton.maxSteps ? Infinity : this.position + Simulator.MAX_RUN_STEPS;
+        }
+
+        const end = Date.now() + Simulator.CHUNK_TIME;
+        let continued;
+        let hit = null;
+        do {
+            continued = this.advance();
+            if (continued) {
+                hit = this.checkBreakpoints();
+            }
+        } while (continued && !hit && this.position < this.runLimit && Date.now() < end);
+
+        this.restore(this.position);
+
+        if (!continued) {
+            this.complete();
+        } else if (hit) {
+            this.pause(hit);
+        } else if (this.position >= this.runLimit) {
+            this.pause(`${Simulator.MAX_RUN_STEPS} steps without a result`);
+        } else {
+            this.chunkTimeout = setTimeout(() => this.runChunk(), 0);
+        }
+    }
+
+    /**
+     * Check the breakpoints of the current states and the transitions just
+     * taken, and the condition typed in the simulator panel
+     */
+    checkBreakpoints() {
+        const condition = this.breakpointInput ? this.breakpointInput.value : '';
+        try {
+            return Breakpoint.check(this.automaton, this.position, condition);
+        } catch (error) {
+            return 'Error in breakpoint condition: ' + error.message;
+        }
+    }
+
+    /**
+     * Pause simulation, optionally at a breakpoint
      */
-    pause() {
+    pause(breakpoint = null) {
+        clearTimeout(this.chunkTimeout);
+        this.chunkTimeout = null;
         this.isPaused = true;
         this.updateStatus('paused');
+        this.showBreakpoint(breakpoint);
     }
 
     /**
@@ -173,6 +376,24 @@ class Simulator {
     resume() {
         this.isPaused = false;
         this.updateStatus('running');
+        this.showBreakpoint(null);
+
+        // A run to breakpoint goes on in chunks; a timed run's interval is still going
+        if (!this.stepInterval) {
+            this.runChunk(true);
+        }
+    }
+
+    /**
+     * Show the breakpoint a run paused at, or hide it (null)
+     */
+    showBreakpoint(description) {
+        if (this.breakpointDisplay) {
+            this.breakpointDisplay.textContent = description || '';
+        }
+        if (this.breakpointContainer) {
+            this.breakpointContainer.style.display = description ? 'flex' : 'none';
+        }
     }
 
     /**
@@ -183,8 +404,108 @@ class Simulator {
             clearInterval(this.stepInterval);
             this.stepInterval = null;
         }
+        clearTimeout(this.chunkTimeout);
+        this.chunkTimeout = null;
         this.isRunning = false;
         this.isPaused = false;
+        this.showBreakpoint(null);
+    }
+
+    /**
+     * Step back to the previous snapshot
+     */
+    stepBack() {
+        this.stop();
+        if (this.position <= 0) return false;
+
+        this.restore(this.position - 1);
+        return true;
+    }
+
+    /**
+     * Record a step after init or a step; only checkpoints keep the
+     * automaton's simulation state, since a Turing machine's holds its tapes
+     */
+    recordSnapshot(continued) {
+        const checkpoint = this.history.length % Simulator.CHECKPOINT_INTERVAL === 0;
+        this.history.push({
+            snapshot: checkpoint ? this.automaton.getSimulationSnapshot() : null,
+            continued: continued,
+            traceLength: this.automaton.trace.length
+        });
+        this.historyTrace = this.automaton.trace;
+        this.position = this.history.length - 1;
+        this.updateTimeline();
+    }
+
+    /**
+     * Show a recorded step: canvas, status, stack or tapes, and trace
+     */
+    restore(position) {
+        if (position < 0 || position >= this.history.length) return;
+
+        this.rebuild(position);
+        this.position = position;
+
+        if (this.automaton.isAccepted === null) {
+            this.updateStatus(this.isRunning ? 'running' : 'ready');
+        } else {
+            this.updateResultStatus();
+        }
+        this.updateDisplay();
+        this.updateTrace();
+        this.updateTimeline();
+
+        if (this.onRestore) {
+            this.onRestore(this.automaton);
+        }
+    }
+
+    /**
+     * Put the automaton in its state after a recorded step: restore the
+     * checkpoint before it and step forward, or step on from the shown step
+     * when it lies between the two
+     */
+    rebuild(position) {
+        const checkpoint = position - position % Simulator.CHECKPOINT_INTERVAL;
+        let current = this.position;
+        if (current < checkpoint || current > position) {
+            this.automaton.restoreSimulationSnapshot(this.history[checkpoint].snapshot, this.historyTrace);
+            current = checkpoint;
+        }
+        for (; current < position; current++) {
+            this.automaton.step();
+        }
+    }
+
+    /**
+     * Restore the state right after a trace entry was added
+     */
+    restoreTraceEntry(index) {
+        let position = this.history.findIndex(entry => entry.traceLength > index);
+        if (position === -1) return;
+
+        // Prefer the last step with the same trace, e.g. the one that checked acceptance
+        while (position + 1 < this.history.length &&
+               this.history[position + 1].traceLength === this.history[position].traceLength) {
+            position++;
+        }
+        this.restore(position);
+    }
+
+    /**
+     * Update the timeline slider to the recorded steps
+     */
+    updateTimeline() {
+        const last = Math.max(0, this.history.length - 1);
+        if (this.timelineSlider) {
+            this.timelineSlider.max = last;
+            this.timelineSlider.value = Math.max(0, this.position);
+            this.timelineSlider.disabled = this.history.length < 2;
+        }
+        if (this.timelineValue) {
+            this.timelineValue.textContent = `${Math.max(0, this.position)} / ${last}`;
+        }
     }
 
     /**
@@ -192,16 +513,27 @@ class Simulator {
      */
     complete() {
         this.stop();
+        this.updateResultStatus();
 
-        if (this.automaton.isAccepted === true) {
+        if (this.onSimulationComplete) {
+            this.onSimulationComplete(this.automaton, this.automaton.isAccepted);
+        }
+    }
+
+    /**
+     * Show the result of a finished run in the status badge
+     */
+    updateResultStatus() {
+        if (this.automaton.isTransducer()) {
+            // Transducers finish or halt early; they do not accept
+            if (this.automaton.isAccepted !== null) {
+                this.updateStatus(this.automaton.isAccepted ? 'done' : 'halted');
+            }
+        } else if (this.automaton.isAccepted === true) {
             this.updateStatus('accepted');
         } else if (this.automaton.isAccepted === false) {
             this.updateStatus('rejected');
         }
-
-        if (this.onSimulationComplete) {
-            this.onSimulationComplete(this.automaton, this.automaton.isAccepted);
-        }
     }
 
     /**
@@ -230,6 +562,14 @@ class Simulator {
                 this.statusBadge.textContent = 'Rejected';
                 this.statusBadge.classList.add('rejected');
                 break;
+            case 'done':
+                this.statusBadge.textContent = 'Done';
+                this.statusBadge.classList.add('accepted');
+                break;
+            case 'halted':
+                this.statusBadge.textContent = 'Halted';
+                this.statusBadge.classList.add('rejected');
+                break;
         }
     }
 
@@ -264,6 +604,11 @@ class Simulator {
             this.stackDisplay.textContent = this.automaton.getStackString();
         }
 
+        // Output tape (for Mealy/Moore)
+        if (this.automaton.isTransducer()) {
+            this.updateOutputTape();
+        }
+
         // TM tape
         if (this.automaton.type === 'tm') {
             this.updateTMTape();
@@ -271,31 +616,76 @@ class Simulator {
     }
 
     /**
-     * Update Turing Machine tape display
+     * Update the output tape of a Mealy/Moore machine, one cell per symbol
+     */
+    updateOutputTape() {
+        if (!this.outputDisplay) return;
+
+        this.outputDisplay.innerHTML = '';
+        const output = this.automaton.output;
+        if (output.length === 0) {
+            this.outputDisplay.textContent = '(empty)';
+            return;
+        }
+
+        // Symbols written by the last step are highlighted
+        const trace = this.automaton.trace;
+        const previous = trace.length > 1 ? trace[trace.length - 2].output || '' : '';
+
+        for (let i = 0; i < output.length; i++) {
+            const cell = document.createElement('span');
+            cell.className = 'output-cell';
+            if (i >= previous.length) cell.classList.add('new');
+            cell.textContent = output[i];
+            this.outputDisplay.appendChild(cell);
+        }
+    }
+
+    /**
+     * Update Turing Machine tape display, one row per tape
      */
     updateTMTape() {
         if (!this.tmTape || !this.automaton || this.automaton.type !== 'tm') return;
 
-        const cells = this.automaton.getDisplayTape(21);
+        const tapeCount = this.automaton.tapeCount;
         this.tmTape.innerHTML = '';
 
-        cells.forEach(cell => {
-            const cellDiv = document.createElement('div');
-            cellDiv.className = 'tape-cell';
-            if (cell.isHead) {
-                cellDiv.classList.add('head');
-            }
-            if (cell.symbol === this.automaton.blankSymbol) {
-                cellDiv.classList.add('blank');
+        for (let i = 0; i < tapeCount; i++) {
+            const row = document.createElement('div');
+            row.className = 'tm-tape';
+
+            if (tapeCount > 1) {
+                const label = document.createElement('span');
+                label.className = 'tape-label';
+                label.textContent = i + 1;
+                label.title = `Tape ${i + 1}`;
+                row.appendChild(label);
             }
-            cellDiv.textContent = cell.symbol;
-            cellDiv.title = `Position: ${cell.position}`;
-            this.tmTape.appendChild(cellDiv);
-        });
+
+            this.automaton.getDisplayTape(21, i).forEach(cell => {
+                const cellDiv = document.createElement('div');
+                cellDiv.className = 'tape-cell';
+                if (cell.isHead) {
+                    cellDiv.classList.add('head');
+                }
+                if (cell.symbol === this.automaton.blankSymbol) {
+                    cellDiv.classList.add('blank');
+                }
+                cellDiv.textContent = cell.symbol;
+                cellDiv.title = `Position: ${cell.position}`;
+                row.appendChild(cellDiv);
+            });
+
+            this.tmTape.appendChild(row);
+        }
 
         // Update head position display
         if (this.headPositionDisplay) {
-            this.headPositionDisplay.textContent = this.automaton.headPosition + this.automaton.visibleTapeStart;
+            const heads = [];
+            for (let i = 0; i < tapeCount; i++) {
+                heads.push(this.automaton.getHeadPosition(i));
+            }
+            this.headPositionDisplay.textContent = heads.join(' | ');
         }
 
         // Update current state
@@ -303,6 +693,53 @@ class Simulator {
             const state = Array.from(this.automaton.currentStates)[0];
             this.currentTMStateDisplay.textContent = state ? state.name : '-';
         }
+
+        this.updateTMConfigurations();
+    }
+
+    /**
+     * List the live configurations of a nondeterministic Turing machine
+     */
+    updateTMConfigurations() {
+        if (!this.tmConfigurations) return;
+
+        const configurations = this.automaton.getConfigurations();
+        this.tmConfigurations.innerHTML = '';
+        this.tmConfigurations.classList.toggle('hidden', configurations.length < 2);
+        if (configurations.length < 2) return;
+
+        const maxShown = 50;
+        configurations.slice(0, maxShown).forEach(config => {
+            const row = document.createElement('div');
+            row.className = 'tm-configuration';
+
+            const badge = document.createElement('span');
+            badge.className = 'config-badge';
+            badge.textContent = config.state;
+            row.appendChild(badge);
+
+            config.tapes.forEach(tape => {
+                const tapeSpan = document.createElement('span');
+                tapeSpan.className = 'tm-configuration-tape';
+                tapeSpan.title = `Head: ${tape.headPosition}`;
+                tape.symbols.forEach((symbol, i) => {
+                    const cell = document.createElement('span');
+                    cell.textContent = symbol;
+                    if (i === tape.head) cell.className = 'head';
+                    tapeSpan.appendChild(cell);
+                });
+                row.appendChild(tapeSpan);
+            });
+
+            this.tmConfigurations.appendChild(row);
+        });
+
+        if (configurations.length > maxShown) {
+            const more = document.createElement('div');
+            more.className = 'tm-configuration';
+            more.textContent = `... and ${configurations.length - maxShown} more`;
+            this.tmConfigurations.appendChild(more);
+        }
     }
 
     /**
@@ -315,29 +752,40 @@ class Simulator {
     }
 
     /**
-     * Append latest trace step
+     * Append new trace steps and mark the shown one; steps after it (when
+     * stepped back) are dimmed
      */
-    appendTrace() {
+    updateTrace() {
         if (!this.traceOutput || !this.automaton) return;
 
-        const trace = this.automaton.trace;
-        if (trace.length === 0) return;
-
-        const lastStep = trace[trace.length - 1];
-
-        // Remove 'current' class from previous step
-        const prevCurrent = this.traceOutput.querySelector('.trace-step.current');
-        if (prevCurrent) {
-            prevCurrent.classList.remove('current');
+        const trace = this.historyTrace;
+        const appended = this.traceOutput.children.length < trace.length;
+        for (let i = this.traceOutput.children.length; i < trace.length; i++) {
+            const stepDiv = document.createElement('div');
+            stepDiv.className = 'trace-step';
+            stepDiv.dataset.index = i;
+            stepDiv.title = 'Go to this step';
+            stepDiv.textContent = `Step ${trace[i].step}: ${trace[i].description}`;
+            if (this.automaton.type === 'tm') {
+                // Trace entries do not keep the tapes; rebuild them when pointed at
+                const automaton = this.automaton;
+                stepDiv.addEventListener('mouseenter', () => {
+                    stepDiv.title = `Go to this step\nTape: ${automaton.getTraceTape(trace[i])}`;
+                }, { once: true });
+            }
+            this.traceOutput.appendChild(stepDiv);
         }
 
-        const stepDiv = document.createElement('div');
-        stepDiv.className = 'trace-step current';
-        stepDiv.textContent = `Step ${lastStep.step}: ${lastStep.description}`;
-        this.traceOutput.appendChild(stepDiv);
+        const current = this.automaton.trace.length - 1;
+        Array.from(this.traceOutput.children).forEach((stepDiv, i) => {
+            stepDiv.classList.toggle('current', i === current);
+            stepDiv.classList.toggle('future', i > current);
+        });
 
-        // Scroll to bottom
-        this.traceOutput.scrollTop = this.traceOutput.scrollHeight;
+        if (appended) {
+            // Scroll to bottom
+            this.traceOutput.scrollTop = this.traceOutput.scrollHeight;
+        }
     }
 
     /**
@@ -354,24 +802,17 @@ class Simulator {
         return {
             input: input,
             accepted: result,
+            output: testAutomaton.isTransducer() ? testAutomaton.output : undefined,
             trace: testAutomaton.trace
         };
     }
 
     /**
-     * Run batch tests
+     * Run a test suite on a copy of the automaton
      */
-    runBatchTests(inputs) {
-        const results = [];
-
-        inputs.forEach(input => {
-            const result = this.testString(input);
-            if (result) {
-                results.push(result);
-            }
-        });
-
-        return results;
+    runBatchTests(suite) {
+        if (!this.automaton) return [];
+        return suite.run(this.createTestCopy());
     }
 
     /**
@@ -396,6 +837,12 @@ class Simulator {
             case 'tm':
                 copy = new TuringMachine();
                 break;
+            case 'mealy':
+                copy = new MealyMachine();
+                break;
+            case 'moore':
+                copy = new MooreMachine();
+                break;
             default:
                 copy = new NFA();
         }
@@ -405,27 +852,73 @@ class Simulator {
     }
 
     /**
-     * Display batch test results
+     * Display batch test results; rows are clickable when onSelect is given.
+     * Results with an expectation are marked as passed or failed under a score.
      */
-    displayBatchResults(results, container) {
+    displayBatchResults(results, container, onSelect = null) {
         if (!container) return;
 
         container.innerHTML = '';
 
+        const score = TestSuite.summarize(results);
+        if (score.total > 0) {
+            const summaryDiv = document.createElement('div');
+            summaryDiv.className = 'batch-summary' + (score.passed === score.total ? ' passed' : ' failed');
+            summaryDiv.textContent = `Score: ${score.passed}/${score.total} passed (${Math.round(100 * score.passed / score.total)}%)`;
+            container.appendChild(summaryDiv);
+        }
+
         results.forEach(result => {
             const resultDiv = document.createElement('div');
             resultDiv.className = 'batch-result';
+            if (TestSuite.hasExpectation(result)) {
+                resultDiv.classList.add(result.passed ? 'passed' : 'failed');
+            }
+
+            if (onSelect) {
+                resultDiv.classList.add('selectable');
+                resultDiv.addEventListener('click', () => {
+                    container.querySelectorAll('.batch-result').forEach(div => div.classList.remove('selected'));
+                    resultDiv.classList.add('selected');
+                    onSelect(result);
+                });
+            }
+
+            // Grammar results have no output
+            const isTransducer = result.actualOutput !== null && this.automaton.isTransducer();
 
             const inputSpan = document.createElement('span');
             inputSpan.className = 'input-str';
             inputSpan.textContent = result.input || '(empty)';
+            if (result.actualOutput !== null && !isTransducer) {
+                // Turing machines: the tape content at the end
+                inputSpan.textContent += ` → ${result.actualOutput || 'ε'}`;
+            }
 
             const badgeSpan = document.createElement('span');
-            badgeSpan.className = 'result-badge ' + (result.accepted ? 'accepted' : 'rejected');
-            badgeSpan.textContent = result.accepted ? 'Accepted' : 'Rejected';
+            if (isTransducer) {
+                // Mealy/Moore: show the output, marked when the machine halted early
+                badgeSpan.className = 'result-badge output' + (result.accepted ? '' : ' rejected');
+                badgeSpan.textContent = (result.actualOutput || 'ε') + (result.accepted ? '' : ' (halted)');
+            } else {
+                badgeSpan.className = 'result-badge ' + (result.accepted ? 'accepted' : 'rejected');
+                badgeSpan.textContent = result.accepted ? 'Accepted' : 'Rejected';
+            }
 
             resultDiv.appendChild(inputSpan);
             resultDiv.appendChild(badgeSpan);
+
+            if (TestSuite.hasExpectation(result) && !result.passed) {
+                const expected = [];
+                if (result.expected !== null) expected.push(result.expected);
+                if (result.output !== null) expected.push(result.output || 'ε');
+
+                const expectedSpan = document.createElement('span');
+                expectedSpan.className = 'expected-str';
+                expectedSpan.textContent = `expected ${expected.join(', ')}`;
+                resultDiv.appendChild(expectedSpan);
+            }
+
             container.appendChild(resultDiv);
         });
     }
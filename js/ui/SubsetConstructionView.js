@@ -0,0 +1,217 @@
+/**
+ * SubsetConstructionView - Interactive NFA to DFA conversion
+ *
+ * The DFA is built in a second canvas next to the source NFA. Each expansion
+ * highlights, in the NFA, the subset being expanded and the transitions
+ * followed to reach the new subsets.
+ */
+class SubsetConstructionView {
+    constructor(sourceEditor) {
+        this.sourceEditor = sourceEditor;
+        this.nfa = null;
+        this.construction = null;
+        this.timer = null;
+
+        // UI Elements
+        this.container = document.getElementById('subset-container');
+        this.canvas = document.getElementById('subset-canvas');
+        this.description = document.getElementById('subset-description');
+        this.playButton = document.getElementById('btn-subset-play');
+
+        // The DFA canvas is read-only; panning and zooming still work
+        this.renderer = new CanvasRenderer(this.canvas);
+        this.editor = new CanvasEditor(this.canvas, this.renderer);
+
+        // Callbacks
+        this.onLayoutChanged = null;
+        this.onOpenResult = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('btn-subset-expand')?.addEventListener('click', () => {
+            this.stopPlayback();
+            this.expand();
+        });
+        document.getElementById('btn-subset-complete')?.addEventListener('click', () => {
+            this.stopPlayback();
+            this.complete();
+        });
+        document.getElementById('btn-subset-open')?.addEventListener('click', () => this.openResult());
+        document.getElementById('btn-close-subset')?.addEventListener('click', () => this.close());
+        this.playButton?.addEventListener('click', () => this.togglePlayback());
+    }
+
+    /**
+     * Check if the view is shown
+     */
+    isOpen() {
+        return this.construction !== null;
+    }
+
+    /**
+     * Start converting an NFA, showing its initial DFA state
+     */
+    open(nfa) {
+        this.close();
+        this.nfa = nfa;
+        this.construction = new SubsetConstruction(nfa);
+
+        this.container?.classList.remove('hidden');
+        this.notifyLayoutChanged();
+        this.renderer.resize();
+
+        this.sourceEditor.setPreview(nfa);
+        this.editor.setAutomaton(this.construction.dfa);
+        this.editor.setPreview(this.construction.dfa);
+        this.expand();
+    }
+
+    /**
+     * Expand the next DFA state; returns false when there is nothing left
+     */
+    expand() {
+        if (!this.construction) return false;
+
+        const step = this.construction.expandNext();
+        if (!step) {
+            this.showComplete();
+            return false;
+        }
+
+        this.clearHighlights();
+        step.subset.forEach(state => state.highlighted = true);
+        step.transitions.forEach(t => t.highlighted = true);
+        step.dfaState.active = true;
+        this.construction.dfa.layoutStates();
+
+        if (this.description) {
+            this.description.textContent = step.description;
+        }
+        if (this.construction.isComplete()) {
+            this.showComplete(step.description);
+        }
+        this.render();
+        return true;
+    }
+
+    /**
+     * Expand every remaining state
+     */
+    complete() {
+        if (!this.construction) return;
+        this.construction.run();
+        this.clearHighlights();
+        this.showComplete();
+        this.render();
+    }
+
+    /**
+     * Show that the construction has finished
+     */
+    showComplete(lastStep = '') {
+        if (this.description) {
+            const states = this.construction.dfa.states.length;
+            const prefix = lastStep ? lastStep + '. ' : '';
+            this.description.textContent = `${prefix}Done: the DFA has ${states} state(s).`;
+        }
+        this.stopPlayback();
+    }
+
+    /**
+     * Play or pause automatic expansion
+     */
+    togglePlayback() {
+        if (this.timer) {
+            this.stopPlayback();
+            return;
+        }
+        if (!this.construction || this.construction.isComplete()) return;
+
+        if (this.playButton) this.playButton.textContent = 'Pause';
+        this.timer = setInterval(() => {
+            if (!this.expand() || this.construction.isComplete()) {
+                this.stopPlayback();
+            }
+        }, 1200);
+    }
+
+    /**
+     * Stop automatic expansion
+     */
+    stopPlayback() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.playButton) this.playButton.textContent = 'Auto';
+    }
+
+    /**
+     * Finish the construction and hand the DFA over for editing
+     */
+    openResult() {
+        if (!this.construction) return;
+
+        const dfa = this.construction.run();
+        this.close();
+        if (this.onOpenResult) {
+            this.onOpenResult(dfa);
+        }
+    }
+
+    /**
+     * Close the view and restore the source canvas
+     */
+    close() {
+        this.stopPlayback();
+        if (!this.construction) return;
+
+        this.clearHighlights();
+        this.construction = null;
+        this.nfa = null;
+
+        this.sourceEditor.setPreview(null);
+        this.container?.classList.add('hidden');
+        this.notifyLayoutChanged();
+    }
+
+    /**
+     * Remove highlighting from both automata
+     */
+    clearHighlights() {
+        if (this.nfa) {
+            this.nfa.states.forEach(s => s.highlighted = false);
+            this.nfa.transitions.forEach(t => t.highlighted = false);
+        }
+        if (this.construction) {
+            this.construction.dfa.states.forEach(s => s.active = false);
+        }
+    }
+
+    /**
+     * Render both canvases
+     */
+    render() {
+        this.sourceEditor.render();
+        this.editor.render();
+    }
+
+    /**
+     * Notify that the canvases were shown or hidden
+     */
+    notifyLayoutChanged() {
+        if (this.onLayoutChanged) {
+            this.onLayoutChanged();
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubsetConstructionView;
+}
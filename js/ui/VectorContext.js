@@ -0,0 +1,534 @@
+/**
+ * VectorContext - A recording stand-in for a canvas 2D context
+ *
+ * CanvasRenderer draws on it as on a live canvas; the paths and text are
+ * kept as shapes and written out as SVG or PDF. Arcs and quadratic curves
+ * become cubic Béziers and the current transform is applied as shapes are
+ * added, so both writers only see absolute points. Text is measured with
+ * Helvetica's metrics, the font both outputs use.
+ */
+class VectorContext {
+    // Helvetica advance widths (1/1000 em) for ' ' to '~'
+    static HELVETICA_WIDTHS = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ];
+
+    // Characters drawn from the Symbol font in PDF: code and width
+    static SYMBOL_GLYPHS = {
+        'ε': [0x65, 439], 'λ': [0x6C, 549], 'δ': [0x64, 494], 'σ': [0x73, 603],
+        'Γ': [0x47, 603], 'Σ': [0x53, 592], '∅': [0xC6, 823],
+        '→': [0xAE, 987], '←': [0xAC, 987], '↔': [0xAB, 1042]
+    };
+
+    // The Turing machine blank, drawn as a box since no standard font has it
+    static BLANK = '□';
+    static BLANK_WIDTH = 600;
+
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.shapes = [];
+
+        // Canvas state
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.lineDash = [];
+        this.transform = [1, 0, 0, 1, 0, 0];
+        this.stack = [];
+
+        this.path = [];
+        this.current = null;
+        this.start = null;
+    }
+
+    // ==================== Canvas API ====================
+
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            lineDash: this.lineDash,
+            transform: this.transform
+        });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    translate(x, y) {
+        this.multiply([1, 0, 0, 1, x, y]);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.multiply([cos, sin, -sin, cos, 0, 0]);
+    }
+
+    scale(x, y) {
+        this.multiply([x, 0, 0, y, 0, 0]);
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    beginPath() {
+        this.path = [];
+        this.current = null;
+        this.start = null;
+    }
+
+    moveTo(x, y) {
+        this.current = { x, y };
+        this.start = { x, y };
+        this.path.push(['M', this.apply(x, y)]);
+    }
+
+    lineTo(x, y) {
+        if (!this.current) {
+            this.moveTo(x, y);
+            return;
+        }
+        this.current = { x, y };
+        this.path.push(['L', this.apply(x, y)]);
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this.current) this.moveTo(cpx, cpy);
+        const from = this.current;
+        this.bezierCurveTo(
+            from.x + 2 / 3 * (cpx - from.x), from.y + 2 / 3 * (cpy - from.y),
+            x + 2 / 3 * (cpx - x), y + 2 / 3 * (cpy - y),
+            x, y
+        );
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this.current) this.moveTo(cp1x, cp1y);
+        this.current = { x, y };
+        this.path.push(['C', this.apply(cp1x, cp1y), this.apply(cp2x, cp2y), this.apply(x, y)]);
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        let sweep;
+        if (!counterclockwise) {
+            sweep = endAngle - startAngle >= Math.PI * 2
+                ? Math.PI * 2
+                : ((endAngle - startAngle) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+        } else {
+            sweep = startAngle - endAngle >= Math.PI * 2
+                ? -Math.PI * 2
+                : -(((startAngle - endAngle) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2));
+        }
+
+        const startX = x + radius * Math.cos(startAngle);
+        const startY = y + radius * Math.sin(startAngle);
+        if (this.current) {
+            this.lineTo(startX, startY);
+        } else {
+            this.moveTo(startX, startY);
+        }
+
+        // One Bézier per quarter circle at most
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+        const step = sweep / segments;
+        const k = 4 / 3 * Math.tan(step / 4);
+
+        for (let i = 0; i < segments; i++) {
+            const a0 = startAngle + i * step;
+            const a1 = a0 + step;
+            this.bezierCurveTo(
+                x + radius * (Math.cos(a0) - k * Math.sin(a0)), y + radius * (Math.sin(a0) + k * Math.cos(a0)),
+                x + radius * (Math.cos(a1) + k * Math.sin(a1)), y + radius * (Math.sin(a1) - k * Math.cos(a1)),
+                x + radius * Math.cos(a1), y + radius * Math.sin(a1)
+            );
+        }
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    closePath() {
+        if (!this.start) return;
+        this.path.push(['Z']);
+        this.current = { ...this.start };
+    }
+
+    fill() {
+        this.addPath(this.path, { fill: this.fillStyle });
+    }
+
+    stroke() {
+        this.addPath(this.path, { stroke: this.strokeStyle });
+    }
+
+    fillRect(x, y, width, height) {
+        this.addPath(this.rectPath(x, y, width, height), { fill: this.fillStyle });
+    }
+
+    strokeRect(x, y, width, height) {
+        this.addPath(this.rectPath(x, y, width, height), { stroke: this.strokeStyle });
+    }
+
+    fillText(text, x, y) {
+        const font = this.parseFont();
+        const width = this.getTextWidth(text, font);
+        const offset = { center: width / 2, right: width, end: width }[this.textAlign] || 0;
+        const baseline = {
+            top: 0.8, hanging: 0.8, middle: 0.35, bottom: -0.2, ideographic: -0.2
+        }[this.textBaseline] || 0;
+
+        this.shapes.push({
+            type: 'text',
+            text: String(text),
+            position: this.apply(x - offset, y + baseline * font.size),
+            size: font.size,
+            bold: font.bold,
+            monospace: font.monospace,
+            color: this.fillStyle
+        });
+    }
+
+    measureText(text) {
+        return { width: this.getTextWidth(text, this.parseFont()) };
+    }
+
+    // ==================== Helpers ====================
+
+    /**
+     * Multiply the current transform by another [a, b, c, d, e, f]
+     */
+    multiply([a, b, c, d, e, f]) {
+        const [ta, tb, tc, td, te, tf] = this.transform;
+        this.transform = [
+            ta * a + tc * b, tb * a + td * b,
+            ta * c + tc * d, tb * c + td * d,
+            ta * e + tc * f + te, tb * e + td * f + tf
+        ];
+    }
+
+    /**
+     * Apply the current transform to a point
+     */
+    apply(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    /**
+     * Build a closed rectangle path without touching the current path
+     */
+    rectPath(x, y, width, height) {
+        return [
+            ['M', this.apply(x, y)],
+            ['L', this.apply(x + width, y)],
+            ['L', this.apply(x + width, y + height)],
+            ['L', this.apply(x, y + height)],
+            ['Z']
+        ];
+    }
+
+    /**
+     * Keep a filled or stroked path with the current line style
+     */
+    addPath(path, paint) {
+        if (path.length === 0) return;
+        const scale = Math.hypot(this.transform[0], this.transform[1]);
+        this.shapes.push({
+            type: 'path',
+            segments: path.map(segment => [...segment]),
+            fill: paint.fill || null,
+            stroke: paint.stroke || null,
+            lineWidth: this.lineWidth * scale,
+            dash: this.lineDash.map(length => length * scale)
+        });
+    }
+
+    /**
+     * Read the size, weight and family of the canvas font string
+     */
+    parseFont() {
+        const match = this.font.match(/(bold\s+)?([\d.]+)px\s*(.*)/);
+        return {
+            size: match ? parseFloat(match[2]) : 10,
+            bold: Boolean(match && match[1]),
+            monospace: Boolean(match && match[3].includes('monospace'))
+        };
+    }
+
+    /**
+     * Width of a string in the PDF/SVG font
+     */
+    getTextWidth(text, font) {
+        let width = 0;
+        for (const char of String(text)) {
+            width += VectorContext.getCharWidth(char, font);
+        }
+        return width * font.size / 1000;
+    }
+
+    /**
+     * Advance width of a character in 1/1000 em
+     */
+    static getCharWidth(char, font) {
+        if (font.monospace) return 600;
+        if (char === VectorContext.BLANK) return VectorContext.BLANK_WIDTH;
+        if (VectorContext.SYMBOL_GLYPHS[char]) return VectorContext.SYMBOL_GLYPHS[char][1];
+
+        const code = char.charCodeAt(0);
+        if (code >= 32 && code <= 126) return VectorContext.HELVETICA_WIDTHS[code - 32];
+        return 556;
+    }
+
+    /**
+     * Get the box around everything drawn: { minX, minY, maxX, maxY }
+     */
+    getBounds() {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        const include = (x, y) => {
+            bounds.minX = Math.min(bounds.minX, x);
+            bounds.minY = Math.min(bounds.minY, y);
+            bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.maxY = Math.max(bounds.maxY, y);
+        };
+
+        this.shapes.forEach(shape => {
+            if (shape.type === 'text') {
+                const width = this.getTextWidth(shape.text, shape);
+                include(shape.position.x, shape.position.y - shape.size * 0.8);
+                include(shape.position.x + width, shape.position.y + shape.size * 0.2);
+                return;
+            }
+            // Control points bound the curves; half the line width sticks out
+            const margin = shape.stroke ? shape.lineWidth / 2 : 0;
+            shape.segments.forEach(segment => segment.slice(1).forEach(point => {
+                include(point.x - margin, point.y - margin);
+                include(point.x + margin, point.y + margin);
+            }));
+        });
+        return bounds;
+    }
+
+    // ==================== SVG ====================
+
+    /**
+     * Write the drawing as an SVG document
+     */
+    toSVG() {
+        const number = (value) => String(Math.round(value * 100) / 100);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${number(this.width)}" height="${number(this.height)}" ` +
+                `viewBox="0 0 ${number(this.width)} ${number(this.height)}">`
+        ];
+
+        this.shapes.forEach(shape => {
+            if (shape.type === 'text') {
+                const family = shape.monospace ? 'Courier, monospace' : 'Helvetica, Arial, sans-serif';
+                lines.push(`  <text x="${number(shape.position.x)}" y="${number(shape.position.y)}" ` +
+                    `font-family="${family}" font-size="${number(shape.size)}"` +
+                    `${shape.bold ? ' font-weight="bold"' : ''} fill="${shape.color}" xml:space="preserve">` +
+                    `${VectorContext.escapeXML(shape.text)}</text>`);
+                return;
+            }
+
+            const d = shape.segments.map(([command, ...points]) =>
+                command + points.map(p => `${number(p.x)} ${number(p.y)}`).join(' ')).join(' ');
+            let attributes = `fill="${shape.fill || 'none'}"`;
+            if (shape.stroke) {
+                attributes += ` stroke="${shape.stroke}" stroke-width="${number(shape.lineWidth)}"`;
+                if (shape.dash.length > 0) {
+                    attributes += ` stroke-dasharray="${shape.dash.map(number).join(' ')}"`;
+                }
+            }
+            lines.push(`  <path d="${d}" ${attributes}/>`);
+        });
+
+        lines.push('</svg>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Escape text for XML content
+     */
+    static escapeXML(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // ==================== PDF ====================
+
+    /**
+     * Write the drawing as a one-page PDF document (ASCII only, so a string
+     * can be saved as is). Sizes are in points, one per canvas pixel.
+     */
+    toPDF() {
+        const number = (value) => String(Math.round(value * 100) / 100);
+        // PDF's y axis points up
+        const point = (p) => `${number(p.x)} ${number(this.height - p.y)}`;
+        const content = [];
+
+        this.shapes.forEach(shape => {
+            if (shape.type === 'text') {
+                content.push(...this.getPDFText(shape, number));
+                return;
+            }
+
+            const color = VectorContext.parseColor(shape.fill || shape.stroke);
+            if (!color || color.alpha === 0) return;
+
+            content.push(shape.fill
+                ? `${color.r} ${color.g} ${color.b} rg`
+                : `${color.r} ${color.g} ${color.b} RG ${number(shape.lineWidth)} w [${shape.dash.map(number).join(' ')}] 0 d`);
+            shape.segments.forEach(([command, ...points]) => {
+                switch (command) {
+                    case 'M': content.push(`${point(points[0])} m`); break;
+                    case 'L': content.push(`${point(points[0])} l`); break;
+                    case 'C': content.push(`${points.map(point).join(' ')} c`); break;
+                    case 'Z': content.push('h'); break;
+                }
+            });
+            content.push(shape.fill ? 'f' : 'S');
+        });
+
+        const stream = content.join('\n');
+        const fonts = ['Helvetica', 'Helvetica-Bold', 'Courier', 'Symbol'];
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(this.width)} ${number(this.height)}] ` +
+                `/Resources << /Font << ${fonts.map((f, i) => `/F${i + 1} ${5 + i} 0 R`).join(' ')} >> >> /Contents 4 0 R >>`,
+            `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+            ...fonts.map(font => font === 'Symbol'
+                ? '<< /Type /Font /Subtype /Type1 /BaseFont /Symbol >>'
+                : `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`)
+        ];
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((object, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return pdf;
+    }
+
+    /**
+     * PDF operators for a text shape: runs of the text font, Symbol glyphs
+     * and boxes for the blank symbol
+     */
+    getPDFText(shape, number) {
+        const color = VectorContext.parseColor(shape.color) || { r: 0, g: 0, b: 0 };
+        const textFont = shape.monospace ? '/F3' : (shape.bold ? '/F2' : '/F1');
+        const operators = [`${color.r} ${color.g} ${color.b} rg`];
+        const y = this.height - shape.position.y;
+        let x = shape.position.x;
+
+        const runs = [];
+        for (const char of shape.text) {
+            const font = char === VectorContext.BLANK ? 'blank'
+                : (VectorContext.SYMBOL_GLYPHS[char] && !shape.monospace ? '/F4' : textFont);
+            const last = runs[runs.length - 1];
+            if (last && last.font === font && font !== 'blank') {
+                last.text += char;
+            } else {
+                runs.push({ font, text: char });
+            }
+        }
+
+        runs.forEach(run => {
+            const width = this.getTextWidth(run.text, shape);
+            if (run.font === 'blank') {
+                const side = shape.size * 0.5;
+                operators.push(`${color.r} ${color.g} ${color.b} RG ${number(shape.size / 14)} w [] 0 d`);
+                operators.push(`${number(x + (width - side) / 2)} ${number(y)} ${number(side)} ${number(side)} re S`);
+            } else {
+                const codes = [...run.text].map(char => run.font === '/F4'
+                    ? VectorContext.SYMBOL_GLYPHS[char][0]
+                    : VectorContext.getWinAnsiCode(char));
+                operators.push(`BT ${run.font} ${number(shape.size)} Tf ${number(x)} ${number(y)} Td ` +
+                    `(${VectorContext.escapePDFString(codes)}) Tj ET`);
+            }
+            x += width;
+        });
+        return operators;
+    }
+
+    /**
+     * Character code in the standard fonts' encoding ('?' if missing)
+     */
+    static getWinAnsiCode(char) {
+        const code = char.charCodeAt(0);
+        return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? code : 63;
+    }
+
+    /**
+     * Write character codes as a PDF string body, escaping as needed
+     */
+    static escapePDFString(codes) {
+        return codes.map(code => {
+            if (code === 40 || code === 41 || code === 92) return '\\' + String.fromCharCode(code);
+            if (code < 32 || code > 126) return '\\' + code.toString(8).padStart(3, '0');
+            return String.fromCharCode(code);
+        }).join('');
+    }
+
+    /**
+     * Parse a #rgb, #rrggbb or rgb()/rgba() color into 0-1 components
+     */
+    static parseColor(color) {
+        if (!color) return null;
+        const round = (value) => Math.round(value / 255 * 1000) / 1000;
+
+        let match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (match) {
+            const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+            return {
+                r: round(parseInt(hex.slice(0, 2), 16)),
+                g: round(parseInt(hex.slice(2, 4), 16)),
+                b: round(parseInt(hex.slice(4, 6), 16)),
+                alpha: 1
+            };
+        }
+
+        match = color.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+        if (match) {
+            return {
+                r: round(Number(match[1])),
+                g: round(Number(match[2])),
+                b: round(Number(match[3])),
+                alpha: match[4] !== undefined ? Number(match[4]) : 1
+            };
+        }
+        return null;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VectorContext;
+}
@@ -0,0 +1,73 @@
+/**
+ * Checks that machines written as Graphviz DOT read back the same: states
+ * with repeated names keep apart from a state named like their node, and
+ * Mealy transitions keep each of their input symbols.
+ *
+ * Run with: npm test
+ */
+const assert = require('assert');
+const { Automaton, DOTFormat, State, Transition } = require('..');
+
+/**
+ * Describe a machine by state names and transition labels, without ids
+ */
+function describe(automaton) {
+    const name = (id) => automaton.getState(id).name;
+    return {
+        type: automaton.type,
+        states: automaton.states.map(s => `${s.name}${s.isInitial ? ' initial' : ''}${s.isFinal ? ' final' : ''}`).sort(),
+        transitions: automaton.transitions
+            .map(t => `${name(t.getFromStateId())} → ${name(t.getToStateId())}: ${t.getLabel(automaton.type)}`)
+            .sort()
+    };
+}
+
+/**
+ * Write a machine as DOT and read it back
+ */
+function roundTrip(automaton) {
+    const reread = DOTFormat.parse(DOTFormat.write(automaton));
+    assert.deepStrictEqual(describe(reread), describe(automaton));
+    return reread;
+}
+
+const checks = {
+    'repeated names and a state named like a node': () => {
+        const nfa = Automaton.create('nfa');
+        const first = nfa.addState(new State({ id: 1, name: 'q', x: 100, y: 100, isInitial: true }));
+        const second = nfa.addState(new State({ id: 2, name: 'q', x: 250, y: 100 }));
+        const named = nfa.addState(new State({ id: 3, name: 's1', x: 400, y: 100, isFinal: true }));
+        nfa.addTransition(new Transition({ fromState: first, toState: second, symbols: ['a'] }));
+        nfa.addTransition(new Transition({ fromState: second, toState: named, symbols: ['b'] }));
+        nfa.addTransition(new Transition({ fromState: named, toState: first, symbols: ['a'] }));
+
+        const reread = roundTrip(nfa);
+        assert.strictEqual(reread.states.length, 3);
+        assert.strictEqual(reread.accepts('abaab'), true);
+    },
+
+    'mealy transitions on several symbols': () => {
+        const mealy = Automaton.create('mealy');
+        const p = mealy.addState(new State({ name: 'p', x: 100, y: 100 }));
+        const q = mealy.addState(new State({ name: 'q', x: 250, y: 100 }));
+        mealy.addTransition(new Transition({ fromState: p, toState: q, symbols: ['a', 'b'], output: '0' }));
+        mealy.addTransition(new Transition({ fromState: q, toState: p, symbols: ['a', 'b'], output: '1' }));
+
+        const reread = roundTrip(mealy);
+        assert.deepStrictEqual(Array.from(reread.transitions, t => t.symbols.join(',')), ['a,b', 'a,b']);
+    }
+};
+
+let failures = 0;
+Object.entries(checks).forEach(([name, check]) => {
+    try {
+        check();
+        console.log(`ok    ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`FAIL  ${name}: ${error.message}`);
+    }
+});
+
+console.log(`\n${Object.keys(checks).length - failures}/${Object.keys(checks).length} checks passed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,62 @@
+/**
+ * Checks that the automatic layouts handle large machines: a generated
+ * 2,000-state machine is laid out in seconds, and a chain of 20,000 states
+ * does not overflow the stack.
+ *
+ * Run with: npm test
+ */
+const assert = require('assert');
+const { Automaton, GraphLayout, State, Transition } = require('..');
+
+/**
+ * Build a DFA of n states: a cycle on a, and b to a pseudo-random state
+ */
+function generate(n, withJumps) {
+    const automaton = Automaton.create('dfa');
+    const states = [];
+    for (let i = 0; i < n; i++) {
+        states.push(automaton.addState(new State({ name: `q${i}` })));
+    }
+
+    let seed = 7;
+    const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+    states.forEach((state, i) => {
+        automaton.addTransition(new Transition({ fromState: state, toState: states[(i + 1) % n], symbols: ['a'] }));
+        if (withJumps) {
+            automaton.addTransition(new Transition({ fromState: state, toState: states[Math.floor(random() * n)], symbols: ['b'] }));
+        }
+    });
+    return automaton;
+}
+
+/**
+ * Lay out an automaton and check that it was quick and no states overlap
+ */
+function layOut(automaton, algorithm, seconds) {
+    const start = Date.now();
+    GraphLayout.apply(automaton, algorithm, { automatic: true });
+    const elapsed = (Date.now() - start) / 1000;
+    assert.ok(elapsed < seconds, `${algorithm} layout took ${elapsed}s`);
+    assert.strictEqual(GraphLayout.needsLayout(automaton), false, 'two states were placed on the same spot');
+}
+
+const checks = {
+    '2,000 states, layered': () => layOut(generate(2000, true), 'layered', 10),
+    '2,000 states, circular': () => layOut(generate(2000, true), 'circular', 10),
+    '2,000 states, force (imported)': () => layOut(generate(2000, true), 'force', 10),
+    'chain of 20,000 states': () => layOut(generate(20000, false), 'layered', 10)
+};
+
+let failures = 0;
+Object.entries(checks).forEach(([name, check]) => {
+    try {
+        check();
+        console.log(`ok    ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`FAIL  ${name}: ${error.message}`);
+    }
+});
+
+console.log(`\n${Object.keys(checks).length - failures}/${Object.keys(checks).length} checks passed`);
+process.exitCode = failures === 0 ? 0 : 1;
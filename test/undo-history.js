@@ -0,0 +1,55 @@
+/**
+ * Checks that machines built by conversions carry no undo history: only
+ * edits made in the editor record it, so converting stays linear in the
+ * size of the result.
+ *
+ * Run with: npm test
+ */
+const assert = require('assert');
+const { RegularExpression, GrammarToPDA, Grammar, MealyToMoore, MealyMachine, State, Transition } = require('..');
+
+const checks = {
+    'subset construction and minimization': () => {
+        const dfa = RegularExpression.parse('(a+b)*a(a+b)(a+b)').toNFA().toDFA();
+        assert.strictEqual(dfa.history.length, 0, 'the DFA has undo history');
+        const minimized = dfa.minimize();
+        assert.strictEqual(minimized.history.length, 0, 'the minimized DFA has undo history');
+
+        // An edit records one entry, not one per state the conversion added
+        minimized.getFinalStates()[0].isFinal = false;
+        minimized.saveToHistory();
+        assert.strictEqual(minimized.history.length, 1);
+        assert.strictEqual(minimized.canUndo(), false);
+    },
+
+    'grammar to PDA': () => {
+        const pda = new GrammarToPDA(Grammar.parse('S -> aSb | ε')).build();
+        assert.strictEqual(pda.history.length, 0, 'the PDA has undo history');
+    },
+
+    'Mealy to Moore': () => {
+        const mealy = new MealyMachine();
+        const p = mealy.addState(new State({ name: 'p' }));
+        const q = mealy.addState(new State({ name: 'q' }));
+        mealy.addTransition(new Transition({ fromState: p, toState: q, symbols: ['a'], output: '1' }));
+        mealy.addTransition(new Transition({ fromState: q, toState: p, symbols: ['a'], output: '0' }));
+        assert.strictEqual(mealy.history.length, 0, 'building the Mealy machine recorded history');
+
+        const moore = new MealyToMoore(mealy).convert();
+        assert.strictEqual(moore.history.length, 0, 'the Moore machine has undo history');
+    }
+};
+
+let failures = 0;
+Object.entries(checks).forEach(([name, check]) => {
+    try {
+        check();
+        console.log(`ok    ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`FAIL  ${name}: ${error.message}`);
+    }
+});
+
+console.log(`\n${Object.keys(checks).length - failures}/${Object.keys(checks).length} checks passed`);
+process.exitCode = failures === 0 ? 0 : 1;